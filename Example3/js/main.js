@@ -10,9 +10,8 @@ import SoundSample from './soundsample.js';
 // The AudioContext object is the main "entry point" into the Web Audio API
 let ctx;
 
-// Server configuration
+// Server configuration (the server also serves the API client, see init)
 const SERVER_URL = 'http://localhost:3000';
-const PRESETS_API = `${SERVER_URL}/api/presets`;
 
 // Arrays to store presets and current sound samples
 let presets = [];
@@ -23,15 +22,13 @@ window.onload = async function init() {
     ctx = new AudioContext();
 
     try {
-        // Step 1: Fetch all presets from the server
+        // Step 1: Fetch all presets from the server, with the client module it serves
+        // (imported here rather than at the top so a stopped server shows the message below)
         console.log('Fetching presets from server...');
-        const response = await fetch(PRESETS_API);
+        const { default: PresetClient } = await import(`${SERVER_URL}/client/presetClient.js`);
+        const client = new PresetClient(SERVER_URL);
         
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        presets = await response.json();
+        ({ presets } = await client.listPresets());
         console.log('Presets loaded:', presets);
         
         // Step 2: Build the dropdown menu with presets
@@ -8,6 +8,57 @@
  * - Observer: Event-based communication with GUI (or other listeners)
  */
 import SoundSample from './SoundSample.js';
+import { DEFAULT_ENVELOPE, CUT_FADE, releaseEnvelope } from './envelope.js';
+import { MAX_VELOCITY, VELOCITY_CURVES, velocityLevel, velocityCutoff } from './velocity.js';
+import { centsToRate } from './utils.js';
+
+// Voices sounding at once over all pads
+export const DEFAULT_MAX_VOICES = 32;
+
+// What to do when a pad or the engine has no free voice:
+// stop the oldest voice, stop the most recent one, or ignore the new hit
+export const STEAL_POLICIES = ['oldest', 'newest', 'none'];
+
+// How a pad responds to press and release:
+// one-shot plays to the end, gate stops on release, toggle starts / stops on each press
+export const PLAY_MODES = ['one-shot', 'gate', 'toggle'];
+
+// How a pad picks among samples sharing a velocity range (variations) on each hit:
+// in turn, at random, or at random but never the same one twice in a row
+export const ALTERNATION_MODES = ['round-robin', 'random', 'random-no-repeat'];
+
+// Per-pad settings (preset sounds carry them in sound.settings)
+// maxVoices: voices of the pad at once (null = only the global limit)
+// chokeGroup: pads of the same group stop each other (null = none), e.g. open / closed hi-hat
+// playMode: one of PLAY_MODES
+// attack, hold, decay, release (seconds) and sustain (0-1): amplitude envelope of each voice
+// coarseTune (semitones) and fineTune (cents): pitch, played faster or slower
+// reverse: play backwards; loop: repeat the loop points of the sample until stopped
+// (a looping one-shot pad has no end: it keeps looping after release and stops on the next press, see togglesOff)
+// loopStart, loopEnd: loop points in seconds (null = the trim range)
+// velocityCurve (see VELOCITY_CURVES), velocitySensitivity (0 = every hit at full level, 1 = follow
+// the curve) and velocityToCutoff (0-1, how much soft hits close a low-pass filter)
+// alternation: one of ALTERNATION_MODES
+export const DEFAULT_PAD_SETTINGS = {
+    maxVoices: null,
+    chokeGroup: null,
+    playMode: 'one-shot',
+    ...DEFAULT_ENVELOPE,
+    coarseTune: 0,
+    fineTune: 0,
+    reverse: false,
+    loop: false,
+    loopStart: null,
+    loopEnd: null,
+    velocityCurve: 'linear',
+    velocitySensitivity: 1,
+    velocityToCutoff: 0,
+    alternation: 'round-robin'
+};
+
+// Tuning range
+export const MAX_COARSE_TUNE = 24; // Semitones, up or down
+export const MAX_FINE_TUNE = 100; // Cents, up or down
 
 export default class SamplerEngine {
     constructor(padCount = 16) {
@@ -19,10 +70,28 @@ export default class SamplerEngine {
         this.progressCallbacks = [];
         this.stateCallbacks = [];
         this.playCallbacks = [];
+        this.stopCallbacks = [];
         
         // Master volume
         this.masterGain = null;
         this.volume = 1.0;
+        
+        // Extra headers for requests to the preset server (e.g. Authorization)
+        this.requestHeaders = {};
+        
+        // Sounding voices, oldest first: {index, source, gain, startTime}
+        this.voices = [];
+        this.maxVoices = DEFAULT_MAX_VOICES;
+        this.stealPolicy = 'oldest';
+        
+        // Settings of each pad (voices, play mode, envelope, tuning, velocity...)
+        this.padSettings = Array.from({ length: padCount }, () => ({ ...DEFAULT_PAD_SETTINGS }));
+        
+        // Extra samples of each pad played in a velocity range: {sample, velocityMin, velocityMax}
+        this.layers = Array.from({ length: padCount }, () => []);
+        
+        // Sample each pad played last, to alternate variations
+        this.lastPlayed = new Array(padCount).fill(null);
     }
 
     /**
@@ -64,12 +133,22 @@ export default class SamplerEngine {
 
     /**
      * Subscribe to playback events
-     * @param {Function} callback - (index) => void
+     * @param {Function} callback - (index, {velocity, sample, variation, variations}) => void
+     *   sample is the SoundSample that played (the pad sample or one of its layers),
+     *   variation its position (from 0) among the variations that could have played
      */
     onPlay(callback) {
         this.playCallbacks.push(callback);
     }
 
+    /**
+     * Subscribe to the end of playback of a pad (last voice ended or stopped)
+     * @param {Function} callback - (index) => void
+     */
+    onStop(callback) {
+        this.stopCallbacks.push(callback);
+    }
+
     /**
      * Emit progress event
      */
@@ -87,34 +166,55 @@ export default class SamplerEngine {
     /**
      * Emit play event
      */
-    emitPlay(index) {
-        this.playCallbacks.forEach(cb => cb(index));
+    emitPlay(index, details = {}) {
+        this.playCallbacks.forEach(cb => cb(index, details));
+    }
+
+    /**
+     * Emit stop event
+     */
+    emitStop(index) {
+        this.stopCallbacks.forEach(cb => cb(index));
     }
 
     // ==================== Sound Loading ====================
 
+    /**
+     * Set headers sent with requests to the preset server (waveform peaks)
+     * @param {Object} headers - e.g. {Authorization: 'Bearer <token>'}
+     */
+    setRequestHeaders(headers) {
+        this.requestHeaders = { ...headers };
+    }
+
     /**
      * Load a single sound sample
      * @param {string} url - URL of the sound file
      * @param {number} index - Pad index (0-15)
      * @param {string} name - Optional name for the sample
+     * @param {Object} metadata - Optional file metadata from the server
+     * @param {string} peaksUrl - Optional URL of server-computed waveform peaks
+     * @param {Object} analysis - Optional server analysis (loudness, tempo, pitch...)
      * @returns {Promise<SoundSample>}
      */
-    async loadSound(url, index, name = null) {
+    async loadSound(url, index, name = null, metadata = null, peaksUrl = null, analysis = null) {
         this.init();
 
         // Create sound sample
         const sampleName = name || `Sample ${index + 1}`;
-        const sample = new SoundSample(url, sampleName, index);
+        const sample = new SoundSample(url, sampleName, index, metadata, peaksUrl, analysis);
         this.samples[index] = sample;
 
         this.emitStateChange(index, 'loading');
 
         try {
-            // Load with progress callback
-            await sample.load(this.audioContext, (idx, progress, loaded, total) => {
-                this.emitProgress(idx, progress, loaded, total);
-            });
+            // Load with progress callback (peaks are fetched alongside, never fail)
+            await Promise.all([
+                sample.load(this.audioContext, (idx, progress, loaded, total) => {
+                    this.emitProgress(idx, progress, loaded, total);
+                }),
+                sample.loadPeaks(this.requestHeaders)
+            ]);
 
             this.emitStateChange(index, 'loaded');
             console.log(`✓ Loaded: ${sampleName}`);
@@ -130,21 +230,25 @@ export default class SamplerEngine {
 
     /**
      * Load multiple sounds (fault-tolerant with Promise.allSettled)
-     * @param {Array} soundConfigs - Array of {url, name} objects
+     * @param {Array} soundConfigs - Array of {url, name, metadata, peaksUrl, analysis} objects (null for an empty pad)
      * @returns {Promise<Object>} Load summary
      */
     async loadAll(soundConfigs) {
         this.init();
 
+        // Empty pads (null configs) load nothing
         const promises = soundConfigs.map((config, index) => {
+            if (!config) {
+                return null;
+            }
             if (index >= this.padCount) {
                 console.warn(`Skipping index ${index}, exceeds pad count`);
                 return Promise.resolve();
             }
-            return this.loadSound(config.url, index, config.name);
+            return this.loadSound(config.url, index, config.name, config.metadata, config.peaksUrl, config.analysis);
         });
 
-        const results = await Promise.allSettled(promises);
+        const results = await Promise.allSettled(promises.filter(Boolean));
 
         // Generate summary
         const summary = {
@@ -159,32 +263,66 @@ export default class SamplerEngine {
     }
 
     /**
-     * Load sounds from a preset (REST API integration)
+     * Load sounds from a preset (REST API integration), with the velocity layers of each sound
      * @param {Object} preset - Preset object with sounds array
-     * @returns {Promise<Object>} Load summary
+     * @returns {Promise<Object>} Load summary, layers: {total, loaded, failed}
      */
     async loadPreset(preset) {
         console.log(`🎹 Loading preset: ${preset.name}`);
         
-        // Clear existing samples
+        // Clear existing samples, then take the pad settings of the preset
         this.clearAll();
+        for (let index = 0; index < this.padCount; index++) {
+            const sound = preset.sounds[index];
+            this.padSettings[index] = { ...DEFAULT_PAD_SETTINGS };
+            this.setPadSettings(index, (sound && sound.settings) || {});
+        }
 
         // Map preset sounds to sample configs
-        const soundConfigs = preset.sounds.map(sound => ({
+        const soundConfigs = preset.sounds.map(sound => sound && ({
             url: sound.url,
-            name: sound.name
+            name: sound.name,
+            metadata: sound.metadata || null,
+            peaksUrl: sound.peaksUrl || null,
+            analysis: sound.analysis || null
         }));
 
-        return this.loadAll(soundConfigs);
+        // Layers load alongside the pad samples; one failing leaves the others playable
+        const layerLoads = preset.sounds.slice(0, this.padCount).flatMap((sound, index) =>
+            ((sound && sound.layers) || []).map(layer => this.loadLayer(index, layer.url, {
+                name: layer.name,
+                velocityMin: layer.velocityMin,
+                velocityMax: layer.velocityMax
+            }))
+        );
+
+        const [summary, layerResults] = await Promise.all([
+            this.loadAll(soundConfigs),
+            Promise.allSettled(layerLoads)
+        ]);
+        summary.layers = {
+            total: layerResults.length,
+            loaded: layerResults.filter(r => r.status === 'fulfilled').length,
+            failed: layerResults.filter(r => r.status === 'rejected').length
+        };
+
+        // Loop points are seconds of the decoded samples
+        for (let index = 0; index < this.padCount; index++) {
+            this.applyLoopPoints(index);
+        }
+        return summary;
     }
 
     // ==================== Playback ====================
 
     /**
-     * Play a sound by index
+     * Press a pad: play its sound, or stop it when the pad is in toggle mode and sounding
+     * Chokes the other pads of its group and steals a voice when none is free
+     * The velocity sets the level (and filter) of the voice and picks the layer to play
      * @param {number} index - Pad index
+     * @param {number} velocity - 1 to 127 (MIDI velocity)
      */
-    playSound(index) {
+    playSound(index, velocity = MAX_VELOCITY) {
         if (index < 0 || index >= this.padCount) {
             console.warn(`Invalid index: ${index}`);
             return;
@@ -197,22 +335,423 @@ export default class SamplerEngine {
             return;
         }
 
-        // Play through master gain
-        sample.play(this.audioContext, this.masterGain);
-        this.emitPlay(index);
+        if (this.togglesOff(index) && this.getActiveVoiceCount(index) > 0) {
+            this.stopSound(index);
+            return;
+        }
+
+        this.choke(index);
+        if (!this.allocateVoice(index)) {
+            console.log(`🚫 No free voice for pad ${index}`);
+            return;
+        }
+
+        // Play through master gain, shaped by the envelope of the pad
+        const settings = this.padSettings[index];
+        const { sample: played, variation, variations } = this.selectSample(index, velocity);
+        const nodes = played.play(this.audioContext, this.masterGain, settings, {
+            level: velocityLevel(velocity, settings),
+            cutoff: velocityCutoff(velocity, settings.velocityToCutoff)
+        });
+        if (nodes) {
+            this.addVoice(index, nodes);
+        }
+        this.emitPlay(index, { velocity, sample: played, variation, variations });
+    }
+
+    /**
+     * Release a pad (key up, pointer up, MIDI Note Off)
+     * Pads in gate mode stop; one-shot pads (looping or not) and toggle pads keep playing
+     * @param {number} index - Pad index
+     */
+    releaseSound(index) {
+        const settings = this.padSettings[index];
+        if (!settings) return;
+
+        if (settings.playMode === 'gate') {
+            this.stopSound(index);
+        }
+    }
+
+    /**
+     * Whether pressing a sounding pad stops it instead of playing it again:
+     * toggle pads, and one-shot pads that loop (they would never end)
+     * @param {number} index - Pad index
+     * @returns {boolean}
+     */
+    togglesOff(index) {
+        const settings = this.padSettings[index];
+        return settings.playMode === 'toggle' || (settings.playMode === 'one-shot' && settings.loop);
+    }
+
+    /**
+     * Stop every voice of a pad, whatever its play mode, fading out over its release
+     * @param {number} index - Pad index
+     */
+    stopSound(index) {
+        if (index < 0 || index >= this.padCount) {
+            console.warn(`Invalid index: ${index}`);
+            return;
+        }
+
+        if (this.getActiveVoiceCount(index) > 0) {
+            this.stopAll(index, this.padSettings[index].release);
+            console.log(`⏹ Stopped pad ${index}`);
+        }
     }
 
     /**
      * Play a sound by MIDI note number
      * Maps MIDI notes 36-51 (or custom range) to pads
      * @param {number} midiNote - MIDI note number (0-127)
+     * @param {number} baseNote - Note of the first pad
+     * @param {number} velocity - 1 to 127
+     */
+    playByMidiNote(midiNote, baseNote = 36, velocity = MAX_VELOCITY) {
+        const padIndex = midiNote - baseNote;
+        
+        if (padIndex >= 0 && padIndex < this.padCount) {
+            this.playSound(padIndex, velocity);
+        }
+    }
+
+    /**
+     * Release a pad by MIDI note number (Note Off)
+     * @param {number} midiNote - MIDI note number (0-127)
      */
-    playByMidiNote(midiNote, baseNote = 36) {
+    releaseByMidiNote(midiNote, baseNote = 36) {
         const padIndex = midiNote - baseNote;
         
         if (padIndex >= 0 && padIndex < this.padCount) {
-            this.playSound(padIndex);
+            this.releaseSound(padIndex);
+        }
+    }
+
+    // ==================== Voices ====================
+
+    /**
+     * Track a started voice until it ends
+     * @param {number} index - Pad index
+     * @param {Object} nodes - {source, gain} from SoundSample.play
+     */
+    addVoice(index, { source, gain }) {
+        const voice = { index, source, gain, startTime: this.audioContext.currentTime };
+        this.voices.push(voice);
+        source.onended = () => this.removeVoice(voice);
+    }
+
+    /**
+     * Forget a voice (ended or stopped), emitting stop when it was the last of its pad
+     * @param {Object} voice
+     */
+    removeVoice(voice) {
+        const position = this.voices.indexOf(voice);
+        if (position !== -1) {
+            this.voices.splice(position, 1);
+            if (this.getActiveVoiceCount(voice.index) === 0) {
+                this.emitStop(voice.index);
+            }
+        }
+    }
+
+    /**
+     * Stop a voice, fading it out (it no longer counts as a voice while fading)
+     * @param {Object} voice
+     * @param {number} fade - Seconds (default: a few ms, enough to avoid a click)
+     */
+    stopVoice(voice, fade = CUT_FADE) {
+        this.removeVoice(voice);
+        const end = releaseEnvelope(voice.gain.gain, fade, this.audioContext.currentTime);
+        try {
+            voice.source.stop(end);
+        } catch (error) {
+            // Already stopped
+        }
+    }
+
+    /**
+     * Make room for a new voice of a pad, stealing one if a limit is reached
+     * @param {number} index - Pad index
+     * @returns {boolean} false if the hit must be dropped (policy 'none')
+     */
+    allocateVoice(index) {
+        const padLimit = this.padSettings[index].maxVoices;
+        const limits = [[this.voices, this.maxVoices]];
+        if (padLimit) {
+            limits.unshift([this.voices.filter(v => v.index === index), padLimit]);
+        }
+
+        for (const [voices, limit] of limits) {
+            if (voices.length < limit) continue;
+            if (this.stealPolicy === 'none') return false;
+
+            // Voices are kept oldest first
+            const excess = voices.length - limit + 1;
+            const stolen = this.stealPolicy === 'newest' ? voices.slice(-excess) : voices.slice(0, excess);
+            stolen.forEach(voice => this.stopVoice(voice));
+        }
+        return true;
+    }
+
+    /**
+     * Stop the other pads of the choke group of a pad
+     * @param {number} index - Pad index
+     */
+    choke(index) {
+        const group = this.padSettings[index].chokeGroup;
+        if (group === null) return;
+
+        this.voices
+            .filter(voice => voice.index !== index && this.padSettings[voice.index].chokeGroup === group)
+            .forEach(voice => this.stopVoice(voice));
+    }
+
+    /**
+     * Stop every voice, or the voices of one pad
+     * @param {number|null} index - Pad index (null for all pads)
+     * @param {number} fade - Seconds
+     */
+    stopAll(index = null, fade = CUT_FADE) {
+        this.voices
+            .filter(voice => index === null || voice.index === index)
+            .forEach(voice => this.stopVoice(voice, fade));
+    }
+
+    /**
+     * Number of voices sounding
+     * @param {number|null} index - Pad index (null for all pads)
+     * @returns {number}
+     */
+    getActiveVoiceCount(index = null) {
+        return index === null ? this.voices.length : this.voices.filter(v => v.index === index).length;
+    }
+
+    /**
+     * Set the number of voices sounding at once over all pads
+     * @param {number} count - At least 1
+     */
+    setMaxVoices(count) {
+        this.maxVoices = Math.max(1, Math.floor(count));
+    }
+
+    /**
+     * Set what happens when no voice is free
+     * @param {string} policy - 'oldest', 'newest' or 'none' (see STEAL_POLICIES)
+     */
+    setStealPolicy(policy) {
+        if (!STEAL_POLICIES.includes(policy)) {
+            throw new Error(`Unknown voice stealing policy: ${policy}`);
         }
+        this.stealPolicy = policy;
+    }
+
+    // ==================== Velocity Layers ====================
+
+    /**
+     * Load an extra sample played by a pad in a velocity range
+     * The sample whose range is the narrowest match plays (the pad sample covers 0-127),
+     * e.g. a rimshot layer on 110-127 over a snare. Samples with the same range are
+     * variations the pad alternates on each hit (see the alternation setting), e.g.
+     * three takes of a snare loaded with the default range
+     * @param {number} index - Pad index
+     * @param {string} url - URL of the sound file
+     * @param {Object} options - {name, velocityMin, velocityMax, metadata, peaksUrl, analysis}
+     * @returns {Promise<SoundSample>}
+     */
+    async loadLayer(index, url, {
+        name = null, velocityMin = 0, velocityMax = MAX_VELOCITY, metadata = null, peaksUrl = null, analysis = null
+    } = {}) {
+        this.init();
+        
+        const layers = this.layers[index];
+        if (!layers) {
+            throw new Error(`Invalid index: ${index}`);
+        }
+        if (!(velocityMin >= 0 && velocityMin <= velocityMax && velocityMax <= MAX_VELOCITY)) {
+            throw new Error(`Invalid velocity range: ${velocityMin}-${velocityMax}`);
+        }
+
+        const sample = new SoundSample(url, name || `Layer ${layers.length + 1}`, index, metadata, peaksUrl, analysis);
+        const layer = { sample, velocityMin, velocityMax };
+        layers.push(layer);
+
+        try {
+            await sample.load(this.audioContext);
+        } catch (error) {
+            layers.splice(layers.indexOf(layer), 1);
+            throw error;
+        }
+
+        console.log(`✓ Loaded layer ${sample.name} on pad ${index} (velocity ${velocityMin}-${velocityMax})`);
+        return sample;
+    }
+
+    /**
+     * Describe the layers of a pad
+     * @param {number} index - Pad index
+     * @returns {Array} [{name, velocityMin, velocityMax, loaded}]
+     */
+    getLayers(index) {
+        return (this.layers[index] || []).map(({ sample, velocityMin, velocityMax }) => ({
+            name: sample.name,
+            velocityMin,
+            velocityMax,
+            loaded: sample.isLoaded()
+        }));
+    }
+
+    /**
+     * Remove the layers of a pad
+     * @param {number} index - Pad index
+     */
+    clearLayers(index) {
+        if (!this.layers[index]) return;
+        this.layers[index].forEach(({ sample }) => sample.reset());
+        this.layers[index] = [];
+        this.lastPlayed[index] = null;
+    }
+
+    /**
+     * Sample a pad plays at a velocity: the loaded samples with the narrowest matching range
+     * are its variations, one is picked following the alternation setting of the pad
+     * @param {number} index - Pad index
+     * @param {number} velocity - 0 to 127
+     * @returns {Object} {sample, variation, variations}
+     */
+    selectSample(index, velocity) {
+        const candidates = [
+            { sample: this.samples[index], velocityMin: 0, velocityMax: MAX_VELOCITY },
+            ...this.layers[index]
+        ].filter(({ sample, velocityMin, velocityMax }) =>
+            sample.isLoaded() && velocity >= velocityMin && velocity <= velocityMax);
+
+        // The pad sample always matches, so there is at least one variation
+        const width = Math.min(...candidates.map(({ velocityMin, velocityMax }) => velocityMax - velocityMin));
+        const group = candidates
+            .filter(({ velocityMin, velocityMax }) => velocityMax - velocityMin === width)
+            .map(({ sample }) => sample);
+
+        const variation = this.pickVariation(group, this.lastPlayed[index], this.padSettings[index].alternation);
+        this.lastPlayed[index] = group[variation];
+        return { sample: group[variation], variation, variations: group.length };
+    }
+
+    /**
+     * Position of the variation to play
+     * @param {Array} group - Variations (SoundSample)
+     * @param {SoundSample|null} last - Sample the pad played last
+     * @param {string} mode - One of ALTERNATION_MODES
+     * @returns {number}
+     */
+    pickVariation(group, last, mode) {
+        const lastIndex = group.indexOf(last);
+
+        switch (mode) {
+            case 'random':
+                return Math.floor(Math.random() * group.length);
+
+            case 'random-no-repeat': {
+                if (group.length < 2 || lastIndex === -1) {
+                    return Math.floor(Math.random() * group.length);
+                }
+                // Draw among the others, skipping over the last one
+                const pick = Math.floor(Math.random() * (group.length - 1));
+                return pick >= lastIndex ? pick + 1 : pick;
+            }
+
+            default:
+                // Round-robin, starting over when the last sample is not in the group
+                return (lastIndex + 1) % group.length;
+        }
+    }
+
+    // ==================== Pad Settings ====================
+
+    /**
+     * Update settings of a pad (unknown keys, e.g. volume, are ignored)
+     * @param {number} index - Pad index
+     * @param {Object} settings - Subset of DEFAULT_PAD_SETTINGS
+     */
+    setPadSettings(index, settings) {
+        const current = this.padSettings[index];
+        if (!current) return;
+        if (settings.playMode !== undefined && !PLAY_MODES.includes(settings.playMode)) {
+            throw new Error(`Unknown play mode: ${settings.playMode}`);
+        }
+        ['reverse', 'loop']
+            .filter(key => settings[key] !== undefined && typeof settings[key] !== 'boolean')
+            .forEach(key => {
+                throw new Error(`Invalid ${key}: must be true or false`);
+            });
+        if (settings.alternation !== undefined && !ALTERNATION_MODES.includes(settings.alternation)) {
+            throw new Error(`Unknown alternation: ${settings.alternation}`);
+        }
+        if (settings.velocityCurve !== undefined && !VELOCITY_CURVES[settings.velocityCurve]) {
+            throw new Error(`Unknown velocity curve: ${settings.velocityCurve}`);
+        }
+        ['velocitySensitivity', 'velocityToCutoff']
+            .filter(key => settings[key] !== undefined && !(settings[key] >= 0 && settings[key] <= 1))
+            .forEach(key => {
+                throw new Error(`Invalid ${key}: must be a number between 0 and 1`);
+            });
+        if (settings.coarseTune !== undefined
+            && !(Number.isInteger(settings.coarseTune) && Math.abs(settings.coarseTune) <= MAX_COARSE_TUNE)) {
+            throw new Error(`Invalid coarseTune: use whole semitones between -${MAX_COARSE_TUNE} and ${MAX_COARSE_TUNE}`);
+        }
+        if (settings.fineTune !== undefined
+            && !(Number.isFinite(settings.fineTune) && Math.abs(settings.fineTune) <= MAX_FINE_TUNE)) {
+            throw new Error(`Invalid fineTune: use cents between -${MAX_FINE_TUNE} and ${MAX_FINE_TUNE}`);
+        }
+        Object.keys(DEFAULT_ENVELOPE)
+            .filter(key => settings[key] !== undefined)
+            .forEach(key => {
+                const value = settings[key];
+                if (!(Number.isFinite(value) && value >= 0 && (key !== 'sustain' || value <= 1))) {
+                    throw new Error(`Invalid ${key}: ${value}`);
+                }
+            });
+
+        ['loopStart', 'loopEnd']
+            .filter(key => settings[key] != null && !(Number.isFinite(settings[key]) && settings[key] >= 0))
+            .forEach(key => {
+                throw new Error(`Invalid ${key}: must be a number of seconds >= 0`);
+            });
+        const loopStart = settings.loopStart !== undefined ? settings.loopStart : current.loopStart;
+        const loopEnd = settings.loopEnd !== undefined ? settings.loopEnd : current.loopEnd;
+        if (loopStart != null && loopEnd != null && loopStart >= loopEnd) {
+            throw new Error(`Invalid loop points: ${loopStart}s must be before ${loopEnd}s`);
+        }
+
+        Object.keys(DEFAULT_PAD_SETTINGS)
+            .filter(key => settings[key] !== undefined)
+            .forEach(key => {
+                current[key] = settings[key];
+            });
+
+        if (settings.loopStart !== undefined || settings.loopEnd !== undefined) {
+            this.applyLoopPoints(index);
+        }
+    }
+
+    /**
+     * Give a loaded sample the loop points of its pad settings
+     * @param {number} index - Pad index
+     */
+    applyLoopPoints(index) {
+        const sample = this.samples[index];
+        const settings = this.padSettings[index];
+        if (sample && sample.isLoaded() && settings) {
+            sample.setLoopTimes(settings.loopStart, settings.loopEnd);
+        }
+    }
+
+    /**
+     * Get settings of a pad
+     * @param {number} index - Pad index
+     * @returns {Object|null} Copy of the settings
+     */
+    getPadSettings(index) {
+        return this.padSettings[index] ? { ...this.padSettings[index] } : null;
     }
 
     // ==================== Trim Bar Management ====================
@@ -233,14 +772,75 @@ export default class SamplerEngine {
         }
     }
 
+    /**
+     * Update loop points of a sample (used by pads in loop mode)
+     * @param {number} index - Sample index
+     * @param {number} startX - Loop start position (pixels)
+     * @param {number} endX - Loop end position (pixels)
+     * @param {number} canvasWidth - Canvas width for conversion
+     */
+    updateLoopPoints(index, startX, endX, canvasWidth) {
+        const sample = this.samples[index];
+        
+        if (sample && sample.isLoaded()) {
+            sample.setLoopPositions(startX, endX, canvasWidth);
+            // Kept in the pad settings, which presets save
+            const { loopStart, loopEnd } = sample.getLoopSettings();
+            Object.assign(this.padSettings[index], { loopStart, loopEnd });
+            console.log(`🔁 Loop points updated for pad ${index}:`, sample.getLoopSettings());
+        }
+    }
+
+    /**
+     * Get loop points of a sample
+     * @param {number} index - Sample index
+     * @returns {Object|null} {loopStart, loopEnd, startPixel, endPixel}
+     */
+    getLoopSettings(index) {
+        const sample = this.samples[index];
+        return sample && sample.isLoaded() ? sample.getLoopSettings() : null;
+    }
+
     /**
      * Get trim settings for a sample
+     * playbackDuration is the length of the trimmed section at the tuning of the pad
      * @param {number} index - Sample index
      * @returns {Object|null} Trim settings
      */
     getTrimSettings(index) {
         const sample = this.samples[index];
-        return sample && sample.isLoaded() ? sample.getTrimSettings() : null;
+        return sample && sample.isLoaded() ? sample.getTrimSettings(this.getTuning(index).playbackRate) : null;
+    }
+
+    // ==================== Tuning ====================
+
+    /**
+     * Transpose a pad
+     * @param {number} index - Pad index
+     * @param {number} coarse - Semitones (-24 to 24)
+     * @param {number} fine - Cents (-100 to 100)
+     */
+    setTuning(index, coarse, fine = 0) {
+        this.setPadSettings(index, { coarseTune: coarse, fineTune: fine });
+        console.log(`🎚️ Tuning of pad ${index}:`, this.getTuning(index));
+    }
+
+    /**
+     * Get the tuning of a pad
+     * @param {number} index - Pad index
+     * @returns {Object|null} {coarse, fine, cents, playbackRate}
+     */
+    getTuning(index) {
+        const settings = this.padSettings[index];
+        if (!settings) return null;
+
+        const cents = settings.coarseTune * 100 + settings.fineTune;
+        return {
+            coarse: settings.coarseTune,
+            fine: settings.fineTune,
+            cents,
+            playbackRate: centsToRate(cents)
+        };
     }
 
     // ==================== Sample Management ====================
@@ -276,11 +876,13 @@ export default class SamplerEngine {
      * Clear all samples
      */
     clearAll() {
+        this.stopAll();
         for (let i = 0; i < this.padCount; i++) {
             if (this.samples[i]) {
                 this.samples[i].reset();
             }
             this.samples[i] = null;
+            this.clearLayers(i);
             this.emitStateChange(i, 'empty');
             this.emitProgress(i, 0, 0, 100);
         }
@@ -292,6 +894,8 @@ export default class SamplerEngine {
      * @param {number} index
      */
     clearSample(index) {
+        this.stopAll(index);
+        this.clearLayers(index);
         if (this.samples[index]) {
             this.samples[index].reset();
             this.samples[index] = null;
@@ -333,6 +937,9 @@ export default class SamplerEngine {
             padCount: this.padCount,
             loadedSamples: this.getLoadedCount(),
             volume: this.volume,
+            activeVoices: this.voices.length,
+            maxVoices: this.maxVoices,
+            stealPolicy: this.stealPolicy,
             sampleRate: this.audioContext ? this.audioContext.sampleRate : null,
             state: this.audioContext ? this.audioContext.state : 'not initialized'
         };
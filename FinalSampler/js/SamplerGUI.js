@@ -8,7 +8,16 @@
  */
 import WaveformDrawer from './WaveformDrawer.js';
 import TrimbarsDrawer from './TrimbarsDrawer.js';
-import { getMousePos, formatTime } from './utils.js';
+import { getMousePos, formatTime, formatBytes, noteName } from './utils.js';
+
+// Envelope times are short, shown in milliseconds
+const formatMs = seconds => `${Math.round(seconds * 1000)} ms`;
+
+// Signed amount, e.g. "+3", "-12", "0"
+const signed = value => (value > 0 ? `+${value}` : `${value}`);
+
+// MIDI note of the first pad (C1), pads follow chromatically
+const MIDI_BASE_NOTE = 36;
 
 export default class SamplerGUI {
     constructor(engine) {
@@ -50,8 +59,14 @@ export default class SamplerGUI {
             this.updatePadState(index, state, error);
         });
 
-        this.engine.onPlay((index) => {
+        this.engine.onPlay((index, { sample, variation, variations }) => {
             this.flashPad(index);
+            this.setPadSounding(index, true);
+            this.showVariation(index, sample, variation, variations);
+        });
+
+        this.engine.onStop((index) => {
+            this.setPadSounding(index, false);
         });
     }
 
@@ -110,34 +125,66 @@ export default class SamplerGUI {
         const status = document.createElement('div');
         status.className = 'pad-status';
         
+        // Variation that fired last (pads alternating several samples)
+        const variation = document.createElement('div');
+        variation.className = 'pad-variation';
+        
         // Assemble pad
         pad.appendChild(label);
         pad.appendChild(name);
         pad.appendChild(progressContainer);
         pad.appendChild(status);
+        pad.appendChild(variation);
         
-        // Click handlers
-        pad.addEventListener('click', () => this.handlePadClick(index));
+        // Press / release handlers (the pointer is captured so release fires outside the pad)
+        pad.addEventListener('pointerdown', (e) => {
+            pad.setPointerCapture(e.pointerId);
+            this.handlePadClick(index, this.pointerVelocity(e));
+        });
+        pad.addEventListener('pointerup', () => this.handlePadRelease(index));
+        pad.addEventListener('pointercancel', () => this.handlePadRelease(index));
         
         return pad;
     }
 
+    /**
+     * Velocity of a pointer press: pen pressure, full velocity for mouse and touch
+     * (a mouse always reports a pressure of 0.5)
+     * @param {PointerEvent} event
+     * @returns {number} 1 to 127
+     */
+    pointerVelocity(event) {
+        if (event.pointerType === 'pen' && event.pressure > 0) {
+            return Math.max(1, Math.round(event.pressure * 127));
+        }
+        return 127;
+    }
+
     /**
      * Handle pad click
      * @param {number} index
+     * @param {number} velocity - 1 to 127
      */
-    handlePadClick(index) {
+    handlePadClick(index, velocity = 127) {
         const sample = this.engine.getSample(index);
         
         if (sample && sample.isLoaded()) {
             // Play sound
-            this.engine.playSound(index);
+            this.engine.playSound(index, velocity);
             
             // Switch to this pad's waveform
             this.switchToPad(index);
         }
     }
 
+    /**
+     * Handle pad release (stops pads in gate mode)
+     * @param {number} index
+     */
+    handlePadRelease(index) {
+        this.engine.releaseSound(index);
+    }
+
     /**
      * Switch waveform display to a different pad
      * @param {number} index
@@ -246,11 +293,14 @@ export default class SamplerGUI {
             case 'empty':
                 nameEl.textContent = 'Empty';
                 statusEl.textContent = '';
+                pad.title = '';
+                this.showVariation(index, null, 0, 0);
                 break;
                 
             case 'loading':
                 nameEl.textContent = sample ? sample.name : 'Loading...';
                 statusEl.textContent = '⏳';
+                pad.title = this.describeMetadata(sample);
                 break;
                 
             case 'loaded':
@@ -266,6 +316,32 @@ export default class SamplerGUI {
         }
     }
 
+    /**
+     * One-line summary of the server metadata and analysis of a sample (for pad tooltips)
+     * @param {SoundSample} sample
+     * @returns {string}
+     */
+    describeMetadata(sample) {
+        const meta = sample && sample.getMetadata();
+        const analysis = sample && sample.getAnalysis();
+        if (!meta && !analysis) return '';
+
+        const parts = [sample.name];
+        if (meta) {
+            if (meta.duration != null) parts.push(formatTime(meta.duration));
+            if (meta.sampleRate) parts.push(`${meta.sampleRate} Hz`);
+            if (meta.channels) parts.push(meta.channels === 1 ? 'mono' : `${meta.channels} ch`);
+            if (meta.bitDepth) parts.push(`${meta.bitDepth}-bit`);
+            if (meta.size) parts.push(formatBytes(meta.size));
+        }
+        if (analysis) {
+            if (analysis.rootPitch) parts.push(analysis.rootPitch.note);
+            if (analysis.tempo) parts.push(`${analysis.tempo} BPM`);
+            if (analysis.loudness != null) parts.push(`${analysis.loudness} LUFS`);
+        }
+        return parts.join(' · ');
+    }
+
     /**
      * Flash pad when played
      * @param {number} index
@@ -280,23 +356,56 @@ export default class SamplerGUI {
         }, 200);
     }
 
+    /**
+     * Mark a pad as sounding until its last voice stops
+     * @param {number} index
+     * @param {boolean} sounding
+     */
+    setPadSounding(index, sounding) {
+        const pad = this.pads[index];
+        if (!pad) return;
+
+        pad.classList.toggle('pad-sounding', sounding);
+    }
+
+    /**
+     * Show which variation of a pad fired, e.g. "2/3" (hidden for pads with a single sample)
+     * @param {number} index
+     * @param {SoundSample|null} sample - Sample that played
+     * @param {number} variation - Position among the variations, from 0
+     * @param {number} variations - Number of variations
+     */
+    showVariation(index, sample, variation, variations) {
+        const pad = this.pads[index];
+        if (!pad) return;
+
+        const badge = pad.querySelector('.pad-variation');
+        badge.textContent = variations > 1 ? `${variation + 1}/${variations}` : '';
+        badge.title = variations > 1 && sample ? sample.name : '';
+    }
+
     // ==================== Waveform Visualization ====================
 
     /**
      * Draw waveform for a sample
+     * Uses the peaks precomputed by the server when available
      * @param {SoundSample} sample
      */
     drawWaveform(sample) {
         if (!sample || !sample.isLoaded()) return;
 
-        const buffer = sample.getBuffer();
+        const peaks = sample.getPeaks();
         
         // Clear waveform canvas before drawing
         const ctx = this.waveformCanvas.getContext('2d');
         ctx.clearRect(0, 0, this.waveformCanvas.width, this.waveformCanvas.height);
         
         // Initialize and draw waveform
-        this.waveformDrawer.init(buffer, this.waveformCanvas);
+        if (peaks) {
+            this.waveformDrawer.initFromPeaks(peaks, this.waveformCanvas);
+        } else {
+            this.waveformDrawer.init(sample.getBuffer(), this.waveformCanvas);
+        }
         this.waveformDrawer.drawWave();
     }
 
@@ -315,6 +424,18 @@ export default class SamplerGUI {
         // Create new trim drawer
         this.trimDrawer = new TrimbarsDrawer(this.trimCanvas, leftX, rightX);
 
+        // Loop markers of pads in loop mode (the trim range until moved),
+        // placed from the loop times when they come from a preset
+        const pad = this.engine.getPadSettings(sample.index);
+        if (pad && pad.loop) {
+            const loop = sample.getLoopSettings();
+            const toX = time => (time / sample.getBuffer().duration) * this.trimCanvas.width;
+            this.trimDrawer.setLoopMarkers(
+                sample.loopStartPosition ?? (sample.loopStart != null ? toX(loop.loopStart) : leftX),
+                sample.loopEndPosition ?? (sample.loopEnd != null ? toX(loop.loopEnd) : rightX)
+            );
+        }
+
         // Setup mouse interaction
         this.setupTrimBarInteraction();
 
@@ -360,6 +481,11 @@ export default class SamplerGUI {
                 canvas.width
             );
             
+            const loop = this.trimDrawer.getLoopPositions();
+            if (loop) {
+                this.engine.updateLoopPoints(this.currentPadIndex, loop.start, loop.end, canvas.width);
+            }
+            
             // Update info display
             const sample = this.engine.getSample(this.currentPadIndex);
             if (sample) {
@@ -408,21 +534,83 @@ export default class SamplerGUI {
         if (!this.infoDisplay || !sample) return;
 
         const buffer = sample.getBuffer();
-        const trimSettings = sample.getTrimSettings();
+        const trimSettings = this.engine.getTrimSettings(sample.index) || sample.getTrimSettings();
+        const meta = sample.getMetadata();
+        const analysis = sample.getAnalysis();
+        const pad = this.engine.getPadSettings(sample.index);
+        const tuning = this.engine.getTuning(sample.index);
+        const loop = pad && pad.loop ? this.engine.getLoopSettings(sample.index) : null;
+        const layers = this.engine.getLayers(sample.index);
+
+        // File details only known from the server metadata
+        const fileInfo = meta ? [
+            meta.bitDepth && `Bit Depth: ${meta.bitDepth}-bit`,
+            meta.size && `File Size: ${formatBytes(meta.size)}`,
+            meta.format && `Format: ${meta.format}${meta.codec ? ` (${meta.codec})` : ''}`
+        ] : [];
+
+        // Levels, rhythm and pitch measured by the server
+        const pitch = analysis && analysis.rootPitch;
+        const analysisInfo = analysis ? [
+            analysis.peak != null && `Peak: ${analysis.peak} dBFS`,
+            analysis.loudness != null && `Loudness: ${analysis.loudness} LUFS`,
+            `Onsets: ${analysis.onsets.length}`,
+            analysis.tempo && `Tempo: ${analysis.tempo} BPM`,
+            pitch && `Root Pitch: ${pitch.note} (${pitch.frequency} Hz, ${pitch.cents >= 0 ? '+' : ''}${pitch.cents} cents)`,
+            pitch && tuning && tuning.cents !== 0 && `Tuned Pitch: ${noteName(Math.round(pitch.midi + (pitch.cents + tuning.cents) / 100))}`
+        ] : null;
+
+        // Voice limit and choke group of the pad
+        const padInfo = pad ? [
+            `Max Voices: ${pad.maxVoices ?? `${this.engine.maxVoices} (global)`}`,
+            `Choke Group: ${pad.chokeGroup ?? 'none'}`,
+            `Play Mode: ${pad.playMode}${pad.playMode === 'one-shot' && pad.loop ? ' (loops until pressed again)' : ''}`,
+            `Envelope: A ${formatMs(pad.attack)} · H ${formatMs(pad.hold)} · D ${formatMs(pad.decay)} · S ${Math.round(pad.sustain * 100)}% · R ${formatMs(pad.release)}`,
+            tuning && `Tuning: ${signed(tuning.coarse)} st ${signed(tuning.fine)} ct (rate ×${tuning.playbackRate.toFixed(3)})`,
+            `Direction: ${pad.reverse ? 'reverse' : 'forward'}`,
+            `Loop: ${loop ? `${formatTime(loop.loopStart)} - ${formatTime(loop.loopEnd)}` : 'off'}`,
+            layers.length > 0 && `Alternation: ${pad.alternation}`,
+            `Velocity: ${pad.velocityCurve} curve, ${Math.round(pad.velocitySensitivity * 100)}% sensitivity${pad.velocityToCutoff > 0 ? `, ${Math.round(pad.velocityToCutoff * 100)}% to filter` : ''}`,
+            ...layers.map(layer => (layer.velocityMin === 0 && layer.velocityMax === 127
+                ? `Variation: ${layer.name}`
+                : `Layer: ${layer.name} (velocity ${layer.velocityMin}-${layer.velocityMax})`) + (layer.loaded ? '' : ' ⏳'))
+        ] : null;
+
+        // Names and metadata come from presets of other users: only ever set as text
+        this.renderInfo([
+            [sample.name, [
+                `Duration: ${formatTime(buffer.duration)}`,
+                `Channels: ${buffer.numberOfChannels}`,
+                `Sample Rate: ${buffer.sampleRate} Hz`,
+                ...fileInfo
+            ]],
+            analysisInfo && ['Analysis:', analysisInfo],
+            padInfo && ['Pad Settings:', padInfo],
+            ['Trim Settings:', [
+                `Start: ${formatTime(trimSettings.startOffset)}`,
+                `Duration: ${formatTime(trimSettings.duration)}`,
+                `End: ${formatTime(trimSettings.startOffset + trimSettings.duration)}`,
+                `Plays For: ${formatTime(trimSettings.playbackDuration)}`
+            ]]
+        ]);
+    }
 
-        const info = `
-            <strong>${sample.name}</strong><br>
-            Duration: ${formatTime(buffer.duration)}<br>
-            Channels: ${buffer.numberOfChannels}<br>
-            Sample Rate: ${buffer.sampleRate} Hz<br>
-            <hr>
-            <strong>Trim Settings:</strong><br>
-            Start: ${formatTime(trimSettings.startOffset)}<br>
-            Duration: ${formatTime(trimSettings.duration)}<br>
-            End: ${formatTime(trimSettings.startOffset + trimSettings.duration)}
-        `;
-
-        this.infoDisplay.innerHTML = info;
+    /**
+     * Fill the info panel: sections separated by rules, a bold title then one line per entry
+     * @param {Array} sections - [title, lines] (null sections and falsy lines are skipped)
+     */
+    renderInfo(sections) {
+        const nodes = [];
+        sections.filter(Boolean).forEach(([title, lines], i) => {
+            if (i > 0) nodes.push(document.createElement('hr'));
+            const strong = document.createElement('strong');
+            strong.textContent = title;
+            nodes.push(strong, document.createElement('br'));
+            lines.filter(Boolean).forEach(line => {
+                nodes.push(document.createTextNode(line), document.createElement('br'));
+            });
+        });
+        this.infoDisplay.replaceChildren(...nodes);
     }
 
     // ==================== MIDI Integration ====================
@@ -492,14 +680,18 @@ export default class SamplerGUI {
      * @param {MIDIMessageEvent} event
      */
     handleMIDIMessage(event) {
-        const [command, note, velocity] = event.data;
+        const [status, note, velocity] = event.data;
+        const command = status & 0xf0; // Any channel
         
         // Note On (144 = 0x90)
         if (command === 144 && velocity > 0) {
-            this.engine.playByMidiNote(note);
+            this.engine.playByMidiNote(note, MIDI_BASE_NOTE, velocity);
         }
         
-        // Note Off (128 = 0x80) - could be used for sample stopping if implemented
+        // Note Off (128 = 0x80), or Note On with velocity 0 (running status)
+        if (command === 128 || (command === 144 && velocity === 0)) {
+            this.engine.releaseByMidiNote(note, MIDI_BASE_NOTE);
+        }
     }
 
     /**
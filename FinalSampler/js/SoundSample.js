@@ -3,14 +3,29 @@
  * Represents an individual sound sample with its audio buffer and trim settings
  * Each sample maintains its own trim bar positions for precise playback control
  */
+import { DEFAULT_ENVELOPE, startEnvelope, endEnvelope } from './envelope.js';
+import { centsToRate } from './utils.js';
+
 export default class SoundSample {
-    constructor(url, name, index) {
+    constructor(url, name, index, metadata = null, peaksUrl = null, analysis = null) {
         this.url = url;
         this.name = name;
         this.index = index;
         
-        // Audio data
+        // File metadata sent by the server (duration, sampleRate, channels, bitDepth, size)
+        // Known before the sound is downloaded and decoded
+        this.metadata = metadata;
+        
+        // Server analysis (peak, loudness, onsets, tempo, rootPitch), once computed
+        this.analysis = analysis;
+        
+        // Waveform peaks precomputed by the server (drawn instead of the decoded buffer)
+        this.peaksUrl = peaksUrl;
+        this.peaks = null;
+        
+        // Audio data (the reversed copy is made on the first reversed play)
         this.decodedBuffer = null;
+        this.reversedBuffer = null;
         
         // Trim bar positions (in pixels, relative to waveform canvas)
         // Will be converted to time offsets during playback
@@ -21,6 +36,12 @@ export default class SoundSample {
         this.startOffset = 0;  // Where to start playing in the buffer
         this.duration = 0;     // Duration of the trimmed section
         
+        // Loop points of loop mode (pixels and seconds), null = the trim range
+        this.loopStartPosition = null;
+        this.loopEndPosition = null;
+        this.loopStart = null;
+        this.loopEnd = null;
+        
         // Loading state
         this.loaded = false;
         this.loading = false;
@@ -96,6 +117,29 @@ export default class SoundSample {
         }
     }
 
+    /**
+     * Load the waveform peaks precomputed by the server
+     * Failures are not fatal: the waveform is then computed from the decoded buffer
+     * @param {Object} headers - Optional request headers (e.g. Authorization)
+     * @returns {Promise<Object|null>} Peaks data
+     */
+    async loadPeaks(headers = {}) {
+        if (!this.peaksUrl) return null;
+
+        try {
+            const response = await fetch(this.peaksUrl, { headers });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            this.peaks = await response.json();
+        } catch (error) {
+            console.warn(`Waveform peaks of ${this.name} unavailable:`, error.message);
+            this.peaks = null;
+        }
+
+        return this.peaks;
+    }
+
     /**
      * Update trim bar positions (in pixels)
      * These will be converted to time offsets when playing
@@ -117,48 +161,162 @@ export default class SoundSample {
 
     /**
      * Get current trim settings in seconds
-     * @returns {Object} {startOffset, duration}
+     * @param {number} playbackRate - Rate the sound is played at (tuning), for playbackDuration
+     * @returns {Object} {startOffset, duration, playbackDuration, leftPixel, rightPixel}
+     *   playbackDuration is how long the trimmed section lasts at that rate
      */
-    getTrimSettings() {
+    getTrimSettings(playbackRate = 1) {
         return {
             startOffset: this.startOffset,
             duration: this.duration,
+            playbackDuration: this.duration / playbackRate,
             leftPixel: this.leftTrimPosition,
             rightPixel: this.rightTrimPosition
         };
     }
 
+    /**
+     * Update loop point positions (in pixels), independent of the trim bars
+     * @param {number} startX - Loop start position in pixels
+     * @param {number} endX - Loop end position in pixels
+     * @param {number} canvasWidth - Width of the waveform canvas
+     */
+    setLoopPositions(startX, endX, canvasWidth) {
+        this.loopStartPosition = startX;
+        this.loopEndPosition = endX;
+        
+        if (this.decodedBuffer && canvasWidth > 0) {
+            const totalDuration = this.decodedBuffer.duration;
+            this.loopStart = (startX / canvasWidth) * totalDuration;
+            this.loopEnd = (endX / canvasWidth) * totalDuration;
+        }
+    }
+
+    /**
+     * Set loop points in seconds (e.g. saved in a preset), null for the trim range
+     * Marker positions are then placed from the times (see SamplerGUI)
+     * @param {number|null} loopStart
+     * @param {number|null} loopEnd
+     */
+    setLoopTimes(loopStart, loopEnd) {
+        const total = this.decodedBuffer ? this.decodedBuffer.duration : Infinity;
+        this.loopStart = loopStart != null ? Math.min(loopStart, total) : null;
+        this.loopEnd = loopEnd != null ? Math.min(loopEnd, total) : null;
+        this.loopStartPosition = null;
+        this.loopEndPosition = null;
+    }
+
+    /**
+     * Get loop points in seconds (the trim range until loop points are set)
+     * @returns {Object} {loopStart, loopEnd, startPixel, endPixel}
+     */
+    getLoopSettings() {
+        return {
+            loopStart: this.loopStart ?? this.startOffset,
+            loopEnd: this.loopEnd ?? this.startOffset + this.duration,
+            startPixel: this.loopStartPosition ?? this.leftTrimPosition,
+            endPixel: this.loopEndPosition ?? this.rightTrimPosition
+        };
+    }
+
+    /**
+     * Get the reversed copy of the audio buffer, made once
+     * @param {AudioContext} audioContext
+     * @returns {AudioBuffer}
+     */
+    getReversedBuffer(audioContext) {
+        if (!this.reversedBuffer) {
+            const buffer = this.decodedBuffer;
+            this.reversedBuffer = audioContext.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+            for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+                this.reversedBuffer.getChannelData(channel).set(buffer.getChannelData(channel));
+                this.reversedBuffer.getChannelData(channel).reverse();
+            }
+        }
+        return this.reversedBuffer;
+    }
+
     /**
      * Play the sound with trim settings applied
+     * The voice has its own gain node shaped by the amplitude envelope (see envelope.js)
+     * and is transposed by the tuning (coarseTune semitones, fineTune cents)
+     * Reversed sounds play the trimmed section backwards; looped sounds start at the
+     * trim start and repeat the loop points until stopped
      * @param {AudioContext} audioContext - The Web Audio API context
      * @param {AudioNode} destination - Where to connect (default: audioContext.destination)
+     * @param {Object} settings - Pad settings {attack, hold, decay, sustain, release, coarseTune, fineTune, reverse, loop}
+     * @param {Object} voice - Level (0-1) and low-pass cutoff (Hz, null for none) of this hit
+     * @returns {Object|null} Voice nodes {source, gain}
      */
-    play(audioContext, destination = null) {
+    play(audioContext, destination = null, settings = DEFAULT_ENVELOPE, { level = 1, cutoff = null } = {}) {
         if (!this.loaded || !this.decodedBuffer) {
             console.warn(`Sound ${this.name} is not loaded yet`);
             return null;
         }
 
+        // The reversed buffer holds the mirrored sections: t becomes total - t
+        const total = this.decodedBuffer.duration;
+        const reverse = Boolean(settings.reverse);
+        const mirror = time => (reverse ? total - time : time);
+        
         const source = audioContext.createBufferSource();
-        source.buffer = this.decodedBuffer;
+        source.buffer = reverse ? this.getReversedBuffer(audioContext) : this.decodedBuffer;
+        
+        // Semitones change the rate, cents the detune (folded into the rate where unsupported)
+        const coarse = settings.coarseTune || 0;
+        const fine = settings.fineTune || 0;
+        const rate = centsToRate(coarse * 100 + fine);
+        if (source.detune) {
+            source.playbackRate.value = centsToRate(coarse * 100);
+            source.detune.value = fine;
+        } else {
+            source.playbackRate.value = rate;
+        }
         
-        // Connect to destination
+        // Connect through the voice gain (and the velocity filter, if any) to destination
+        const gain = audioContext.createGain();
         const target = destination || audioContext.destination;
-        source.connect(target);
+        if (cutoff) {
+            const filter = audioContext.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = cutoff;
+            source.connect(filter);
+            filter.connect(gain);
+        } else {
+            source.connect(gain);
+        }
+        gain.connect(target);
+        source.addEventListener('ended', () => gain.disconnect());
+        
+        const now = audioContext.currentTime;
+        startEnvelope(gain.gain, settings, now, level);
         
         // Apply trim settings
-        // start(when, offset, duration)
-        if (this.duration > 0 && this.duration < this.decodedBuffer.duration) {
-            // Play trimmed portion
-            source.start(0, this.startOffset, this.duration);
-            console.log(`▶ Playing ${this.name} [${this.startOffset.toFixed(2)}s - ${(this.startOffset + this.duration).toFixed(2)}s]`);
+        // start(when, offset, duration): offset and duration are buffer time, whatever the rate
+        const trimmed = this.duration > 0 && this.duration < total;
+        const start = trimmed ? this.startOffset : 0;
+        const length = trimmed ? this.duration : total;
+        const offset = reverse ? mirror(start + length) : start;
+        const range = trimmed ? `${start.toFixed(2)}s - ${(start + length).toFixed(2)}s` : 'full';
+        const direction = reverse ? ', reversed' : '';
+        
+        if (settings.loop) {
+            // Repeat the loop points until the voice is stopped (no end fade)
+            const { loopStart, loopEnd } = this.getLoopSettings();
+            source.loop = true;
+            source.loopStart = reverse ? mirror(loopEnd) : loopStart;
+            source.loopEnd = reverse ? mirror(loopStart) : loopEnd;
+            source.start(now, offset);
+            console.log(`🔁 Looping ${this.name} [${range}, loop ${loopStart.toFixed(2)}s - ${loopEnd.toFixed(2)}s${direction}]`);
         } else {
-            // Play full sound
-            source.start(0);
-            console.log(`▶ Playing ${this.name} [full]`);
+            source.start(now, offset, length);
+            console.log(`▶ Playing ${this.name} [${range}${direction}]`);
+            
+            // Fade out before the trim end instead of cutting the waveform (the end moves with the rate)
+            endEnvelope(gain.gain, settings, now, now + length / rate, level);
         }
 
-        return source;
+        return { source, gain };
     }
 
     /**
@@ -169,6 +327,30 @@ export default class SoundSample {
         return this.decodedBuffer;
     }
 
+    /**
+     * Get file metadata sent by the server
+     * @returns {Object|null} {duration, sampleRate, channels, bitDepth, size, format, codec}
+     */
+    getMetadata() {
+        return this.metadata;
+    }
+
+    /**
+     * Get the analysis computed by the server
+     * @returns {Object|null} {peak, loudness, onsets, tempo, rootPitch}
+     */
+    getAnalysis() {
+        return this.analysis;
+    }
+
+    /**
+     * Get waveform peaks precomputed by the server
+     * @returns {Object|null}
+     */
+    getPeaks() {
+        return this.peaks;
+    }
+
     /**
      * Check if the sound is loaded
      * @returns {boolean}
@@ -206,6 +388,8 @@ export default class SoundSample {
      */
     reset() {
         this.decodedBuffer = null;
+        this.reversedBuffer = null;
+        this.peaks = null;
         this.loaded = false;
         this.loading = false;
         this.loadProgress = 0;
@@ -214,5 +398,9 @@ export default class SoundSample {
         this.duration = 0;
         this.leftTrimPosition = 0;
         this.rightTrimPosition = 0;
+        this.loopStartPosition = null;
+        this.loopEndPosition = null;
+        this.loopStart = null;
+        this.loopEnd = null;
     }
 }
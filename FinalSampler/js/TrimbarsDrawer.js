@@ -2,9 +2,13 @@
  * TrimbarsDrawer Class
  * Manages draggable trim bars for audio sample trimming
  * Allows user to select a portion of the audio to play
+ * Pads in loop mode also get loop markers (handles at the bottom)
  */
 import { distance } from './utils.js';
 
+// Color of the loop markers when not highlighted
+const LOOP_COLOR = '#00aaff';
+
 export default class TrimbarsDrawer {
     constructor(canvas, leftTrimBarX = 0, rightTrimBarX = null) {
         this.canvas = canvas;
@@ -28,6 +32,21 @@ export default class TrimbarsDrawer {
             selected: false,
             dragged: false
         };
+
+        // Loop markers, hidden until setLoopMarkers()
+        this.showLoop = false;
+        this.loopStartBar = {
+            x: leftTrimBarX,
+            color: LOOP_COLOR,
+            selected: false,
+            dragged: false
+        };
+        this.loopEndBar = {
+            x: rightX,
+            color: LOOP_COLOR,
+            selected: false,
+            dragged: false
+        };
     }
 
     /**
@@ -88,9 +107,55 @@ export default class TrimbarsDrawer {
         ctx.closePath();
         ctx.fill();
 
+        if (this.showLoop) {
+            this.drawLoopMarkers();
+        }
+
         ctx.restore();
     }
 
+    /**
+     * Draw the loop markers: dashed lines, a tinted loop range and handles at the bottom
+     */
+    drawLoopMarkers() {
+        const ctx = this.ctx;
+        const height = this.canvas.height;
+        const start = this.loopStartBar;
+        const end = this.loopEndBar;
+
+        ctx.fillStyle = 'rgba(0, 170, 255, 0.1)';
+        ctx.fillRect(start.x, 0, end.x - start.x, height);
+
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        [start, end].forEach(bar => {
+            ctx.strokeStyle = bar.color;
+            ctx.beginPath();
+            ctx.moveTo(bar.x, 0);
+            ctx.lineTo(bar.x, height);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        // Loop start handle (pointing right)
+        ctx.fillStyle = start.color;
+        ctx.beginPath();
+        ctx.moveTo(start.x, height);
+        ctx.lineTo(start.x + 10, height - 8);
+        ctx.lineTo(start.x, height - 16);
+        ctx.closePath();
+        ctx.fill();
+
+        // Loop end handle (pointing left)
+        ctx.fillStyle = end.color;
+        ctx.beginPath();
+        ctx.moveTo(end.x, height);
+        ctx.lineTo(end.x - 10, height - 8);
+        ctx.lineTo(end.x, height - 16);
+        ctx.closePath();
+        ctx.fill();
+    }
+
     /**
      * Highlight trim bars when mouse is close
      * Changes color to red when nearby
@@ -120,6 +185,35 @@ export default class TrimbarsDrawer {
             this.rightTrimBar.color = 'white';
             this.rightTrimBar.selected = false;
         }
+
+        if (this.showLoop) {
+            this.highlightLoopMarkersWhenClose(mousePos);
+        }
+    }
+
+    /**
+     * Highlight loop markers when the mouse is close to their handles
+     * Trim bars win when both are close
+     * @param {Object} mousePos - {x, y} mouse position
+     */
+    highlightLoopMarkersWhenClose(mousePos) {
+        const trimSelected = this.leftTrimBar.selected || this.rightTrimBar.selected;
+        const handleY = this.canvas.height - 8;
+        const markers = [
+            [this.loopStartBar, this.loopEndBar, this.loopStartBar.x + 5],
+            [this.loopEndBar, this.loopStartBar, this.loopEndBar.x - 5]
+        ];
+
+        markers.forEach(([bar, other, handleX]) => {
+            const dist = distance(mousePos.x, mousePos.y, handleX, handleY);
+            if (dist < 15 && !trimSelected && !other.selected) {
+                bar.color = 'red';
+                bar.selected = true;
+            } else if (!bar.dragged) {
+                bar.color = LOOP_COLOR;
+                bar.selected = false;
+            }
+        });
     }
 
     /**
@@ -132,6 +226,12 @@ export default class TrimbarsDrawer {
         if (this.rightTrimBar.selected) {
             this.rightTrimBar.dragged = true;
         }
+        if (this.loopStartBar.selected) {
+            this.loopStartBar.dragged = true;
+        }
+        if (this.loopEndBar.selected) {
+            this.loopEndBar.dragged = true;
+        }
     }
 
     /**
@@ -158,6 +258,11 @@ export default class TrimbarsDrawer {
                 this.rightTrimBar.x = this.leftTrimBar.x;
             }
         }
+
+        [this.loopStartBar, this.loopEndBar].forEach(bar => {
+            bar.dragged = false;
+            bar.selected = false;
+        });
     }
 
     /**
@@ -186,6 +291,14 @@ export default class TrimbarsDrawer {
                 this.rightTrimBar.x = clampedX;
             }
         }
+
+        // Loop markers keep their order too
+        if (this.loopStartBar.dragged && clampedX <= this.loopEndBar.x) {
+            this.loopStartBar.x = clampedX;
+        }
+        if (this.loopEndBar.dragged && clampedX >= this.loopStartBar.x) {
+            this.loopEndBar.x = clampedX;
+        }
     }
 
     /**
@@ -214,6 +327,35 @@ export default class TrimbarsDrawer {
         }
     }
 
+    /**
+     * Show loop markers at some positions
+     * @param {number} startX - Loop start position
+     * @param {number} endX - Loop end position
+     */
+    setLoopMarkers(startX, endX) {
+        this.loopStartBar.x = Math.max(0, Math.min(startX, this.canvas.width));
+        this.loopEndBar.x = Math.max(0, Math.min(endX, this.canvas.width));
+        if (this.loopStartBar.x > this.loopEndBar.x) {
+            [this.loopStartBar.x, this.loopEndBar.x] = [this.loopEndBar.x, this.loopStartBar.x];
+        }
+        this.showLoop = true;
+    }
+
+    /**
+     * Hide the loop markers
+     */
+    hideLoopMarkers() {
+        this.showLoop = false;
+    }
+
+    /**
+     * Get current loop marker positions
+     * @returns {Object|null} {start, end} positions in pixels, null when hidden
+     */
+    getLoopPositions() {
+        return this.showLoop ? { start: this.loopStartBar.x, end: this.loopEndBar.x } : null;
+    }
+
     /**
      * Reset trim bars to full range
      */
@@ -231,6 +373,7 @@ export default class TrimbarsDrawer {
      * @returns {boolean}
      */
     isDragging() {
-        return this.leftTrimBar.dragged || this.rightTrimBar.dragged;
+        return this.leftTrimBar.dragged || this.rightTrimBar.dragged
+            || this.loopStartBar.dragged || this.loopEndBar.dragged;
     }
 }
@@ -2,6 +2,7 @@
  * WaveformDrawer Class
  * Draws audio waveform visualization in a canvas
  * Optimized for performance with sample stepping
+ * Can also draw from peaks precomputed by the server (no decoding needed)
  */
 export default class WaveformDrawer {
     constructor() {
@@ -35,6 +36,49 @@ export default class WaveformDrawer {
         this.getPeaks();
     }
 
+    /**
+     * Initialize the waveform drawer from server peaks
+     * (see GET /api/presets/:id/sounds/:index/peaks)
+     * @param {Object} peaksData - {levels: [{buckets, data}]}, data is base64 of min/max Int8 pairs
+     * @param {HTMLCanvasElement} canvas - Canvas element
+     * @param {string} color - Waveform color (optional)
+     */
+    initFromPeaks(peaksData, canvas, color = '#00ff88') {
+        this.decodedAudioBuffer = null;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.displayWidth = canvas.width;
+        this.displayHeight = canvas.height;
+        this.color = color;
+
+        // Coarsest level with at least one bucket per pixel (or the finest one)
+        const levels = [...peaksData.levels].sort((a, b) => a.buckets - b.buckets);
+        const level = levels.find(l => l.buckets >= this.displayWidth) || levels[levels.length - 1];
+
+        // Decode base64 min/max pairs
+        const bytes = Uint8Array.from(atob(level.data), c => c.charCodeAt(0));
+        const minMax = new Int8Array(bytes.buffer);
+        const buckets = level.buckets;
+
+        this.peaks = [];
+
+        // For each pixel, the largest absolute value of its buckets
+        for (let i = 0; i < this.displayWidth; i++) {
+            const start = Math.floor((i * buckets) / this.displayWidth);
+            const end = Math.max(start + 1, Math.floor(((i + 1) * buckets) / this.displayWidth));
+
+            let peak = 0;
+            for (let b = start; b < end && b < buckets; b++) {
+                const val = Math.max(-minMax[b * 2], minMax[b * 2 + 1]) / 127;
+                if (val > peak) {
+                    peak = val;
+                }
+            }
+
+            this.peaks.push(peak);
+        }
+    }
+
     /**
      * Find maximum value in an array
      * @param {Array} values - Array of values
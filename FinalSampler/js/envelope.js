@@ -0,0 +1,95 @@
+/**
+ * Amplitude envelope (AHDSR) of a voice
+ * Scheduled on the gain AudioParam of the voice's own gain node:
+ *
+ *   1 |   /‾‾‾\
+ *     |  /     \______ sustain
+ *     | /             \
+ *   0 |/               \
+ *      attack hold decay  release (after note off or before the end of the sample)
+ *
+ * Times are in seconds, sustain is a level from 0 to 1. Every level is
+ * scaled by the level of the voice (velocity, see velocity.js).
+ */
+
+// Short fades keep trimmed starts / ends and stopped voices from clicking
+const DEFAULT_ENVELOPE = {
+    attack: 0.005,
+    hold: 0,
+    decay: 0,
+    sustain: 1,
+    release: 0.02
+};
+
+// Fade of voices cut by voice stealing or a choke group
+const CUT_FADE = 0.005;
+
+/**
+ * Schedule the attack, hold and decay of a voice
+ * @param {AudioParam} param - Gain of the voice
+ * @param {Object} envelope - {attack, hold, decay, sustain}
+ * @param {number} time - Start of the voice (AudioContext time)
+ * @param {number} level - Peak level of the voice (0 to 1)
+ */
+function startEnvelope(param, envelope, time, level = 1) {
+    const { attack, hold, decay, sustain } = envelope;
+
+    param.cancelScheduledValues(time);
+    param.setValueAtTime(attack > 0 ? 0 : level, time);
+    if (attack > 0) {
+        param.linearRampToValueAtTime(level, time + attack);
+    }
+    if (decay > 0) {
+        param.setValueAtTime(level, time + attack + hold);
+        param.linearRampToValueAtTime(sustain * level, time + attack + hold + decay);
+    } else {
+        param.setValueAtTime(sustain * level, time + attack + hold);
+    }
+}
+
+/**
+ * Schedule the fade out of a voice ending by itself (end of the sample or trim)
+ * The fade lasts the release time, at most half of the voice
+ * @param {AudioParam} param - Gain of the voice
+ * @param {Object} envelope - {attack, hold, decay, sustain, release}
+ * @param {number} time - Start of the voice (AudioContext time)
+ * @param {number} end - End of the voice (AudioContext time)
+ * @param {number} level - Peak level of the voice (0 to 1)
+ */
+function endEnvelope(param, envelope, time, end, level = 1) {
+    const fade = Math.min(envelope.release, (end - time) / 2);
+    const settled = time + envelope.attack + envelope.hold + envelope.decay;
+
+    // Ending during the attack or decay fades from the level reached
+    if (end - fade > settled) {
+        param.setValueAtTime(envelope.sustain * level, end - fade);
+    }
+    param.linearRampToValueAtTime(0, end);
+}
+
+/**
+ * Fade a voice out from its current level (note off, stop)
+ * @param {AudioParam} param - Gain of the voice
+ * @param {number} release - Seconds
+ * @param {number} time - Start of the release (AudioContext time)
+ * @returns {number} Time the voice is silent, to stop its source
+ */
+function releaseEnvelope(param, release, time) {
+    // Hold the level reached at time (fallback: current value) and drop what was scheduled after
+    if (param.cancelAndHoldAtTime) {
+        param.cancelAndHoldAtTime(time);
+    } else {
+        param.cancelScheduledValues(time);
+        param.setValueAtTime(param.value, time);
+    }
+    param.linearRampToValueAtTime(0, time + release);
+    return time + release;
+}
+
+export {
+    DEFAULT_ENVELOPE,
+    CUT_FADE,
+    startEnvelope,
+    endEnvelope,
+    releaseEnvelope
+};
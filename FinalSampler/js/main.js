@@ -9,71 +9,197 @@ import SamplerGUI from './SamplerGUI.js';
 // Global instances for console access
 let engine, gui;
 
-// REST API configuration
-const API_BASE_URL = 'http://localhost:3000/api';
+// Preset server (it also serves the API client, imported in init())
+const SERVER_URL = 'http://localhost:3000';
+
+// Maximum number of presets shown in the dropdown (refine with the search box)
+const PRESET_PAGE_SIZE = 50;
+
+// Load remote sounds through the server's caching proxy (avoids CORS and flaky hosts)
+const USE_SAMPLE_PROXY = true;
+
+// Id of the preset loaded in the engine (to spot server-side changes to it)
+let currentPresetId = null;
+
+// Owner of the loaded preset and id of the preset it was forked from, if any
+let currentPresetOwner = null;
+let currentUpstreamId = null;
+
+// API token of the user (kept in localStorage) and the matching account
+const TOKEN_STORAGE_KEY = 'presetServerToken';
+let currentUser = null;
+
+// Client of the preset server API, signed in with the saved token (created in init())
+// Listings and presets are kept in localStorage and revalidated with their ETag
+let api = null;
+
+// Open Server-Sent Events stream (reopened when the user signs in or out)
+let presetEvents = null;
+
+// ==================== Preset Server API ====================
 
 /**
- * Fetch available presets from server
- * @returns {Promise<Array>} Array of presets
+ * Fetch the account matching the saved token
+ * @returns {Promise<Object|null>} User, or null when not signed in
  */
-async function fetchPresets() {
+async function fetchCurrentUser() {
+    if (!api.token) return null;
+    
     try {
-        const response = await fetch(`${API_BASE_URL}/presets`);
-        
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const presets = await response.json();
-        console.log('📋 Fetched presets:', presets);
-        return presets;
-        
+        return await api.getCurrentUser();
     } catch (error) {
-        console.error('Failed to fetch presets:', error);
-        throw error;
+        throw error.status === 401 ? new Error('Invalid API token') : error;
     }
 }
 
 /**
- * Fetch a specific preset by ID
- * @param {number} id - Preset ID
- * @returns {Promise<Object>} Preset object
+ * Fetch the categories and tags in use, with their counts
+ * @returns {Promise<Object>} {categories: [{category, count}], tags: [{tag, count}]}
  */
-async function fetchPreset(id) {
-    try {
-        const response = await fetch(`${API_BASE_URL}/presets/${id}`);
-        
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const preset = await response.json();
-        console.log(`📋 Fetched preset ${id}:`, preset);
-        return preset;
-        
-    } catch (error) {
-        console.error(`Failed to fetch preset ${id}:`, error);
-        throw error;
-    }
+async function fetchFilters() {
+    const [categories, tags] = await Promise.all([api.listCategories(), api.listTags()]);
+    return { categories, tags };
 }
 
 /**
  * Populate preset dropdown menu
+ * When signed in, the user's own presets are listed under "My kits"
+ * and the others under "Shared kits"
  * @param {Array} presets - Array of presets
+ * @param {number} total - Number of presets matching the search
  */
-function populatePresetDropdown(presets) {
+function populatePresetDropdown(presets, total = presets.length) {
     const dropdown = document.querySelector('#preset-select');
     
     // Clear existing options
     dropdown.innerHTML = '<option value="">-- Select Preset --</option>';
     
-    // Add preset options
-    presets.forEach(preset => {
+    const createOption = (preset) => {
         const option = document.createElement('option');
         option.value = preset.id;
         option.textContent = preset.name;
-        dropdown.appendChild(option);
-    });
+        if (preset.ownerName && (!currentUser || preset.owner !== currentUser.id)) {
+            option.textContent += ` (${preset.ownerName})`;
+        }
+        return option;
+    };
+    
+    if (currentUser) {
+        const groups = [
+            ['My kits', presets.filter(p => p.owner === currentUser.id)],
+            ['Shared kits', presets.filter(p => p.owner !== currentUser.id)]
+        ];
+        groups.forEach(([label, items]) => {
+            if (items.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            items.forEach(preset => group.appendChild(createOption(preset)));
+            dropdown.appendChild(group);
+        });
+    } else {
+        presets.forEach(preset => dropdown.appendChild(createOption(preset)));
+    }
+    
+    // Hint when the list is truncated
+    if (total > presets.length) {
+        const more = document.createElement('option');
+        more.disabled = true;
+        more.textContent = `… ${total - presets.length} more, refine the search`;
+        dropdown.appendChild(more);
+    }
+    
+    // Keep the loaded preset selected across refreshes
+    if (currentPresetId !== null) {
+        dropdown.value = String(currentPresetId);
+    }
+    
+    const countEl = document.querySelector('#preset-count');
+    if (countEl) {
+        countEl.textContent = `${total} preset${total === 1 ? '' : 's'}`;
+    }
+}
+
+/**
+ * Fill the category / tag filter of the preset picker
+ * Values are "category:<name>" or "tag:<name>"; the current choice is kept
+ */
+async function refreshPresetFilter() {
+    const select = document.querySelector('#preset-filter');
+    if (!select) return;
+    
+    const { categories, tags } = await fetchFilters();
+    const selected = select.value;
+    
+    select.innerHTML = '<option value="">All kits</option>';
+    
+    const addGroup = (label, items, type, key) => {
+        if (items.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        items.forEach(item => {
+            const option = document.createElement('option');
+            option.value = `${type}:${item[key]}`;
+            option.textContent = `${item[key]} (${item.count})`;
+            group.appendChild(option);
+        });
+        select.appendChild(group);
+    };
+    
+    addGroup('Categories', categories.filter(c => c.count > 0), 'category', 'category');
+    addGroup('Tags', tags, 'tag', 'tag');
+    
+    // Keep the current filter if it still exists
+    select.value = selected;
+    if (select.value !== selected) {
+        select.value = '';
+    }
+}
+
+/**
+ * Fetch presets matching the search box and the filter, and refresh the dropdown
+ * The last listing of the same query is shown at once, then revalidated
+ */
+async function refreshPresetList() {
+    const query = presetQuery();
+    const cached = showCachedPresets(query);
+    
+    const { presets, total, notModified } = await api.listPresets(query);
+    if (!cached || !notModified) {
+        populatePresetDropdown(presets, total);
+    }
+}
+
+/**
+ * Listing query matching the search box and filter
+ * @returns {Object}
+ */
+function presetQuery() {
+    const searchInput = document.querySelector('#preset-search');
+    const filterSelect = document.querySelector('#preset-filter');
+    const [filterType, filterValue] = filterSelect && filterSelect.value
+        ? filterSelect.value.split(/:(.*)/)
+        : [];
+    
+    return {
+        q: searchInput ? searchInput.value.trim() : '',
+        category: filterType === 'category' ? filterValue : undefined,
+        tag: filterType === 'tag' ? filterValue : undefined,
+        sort: 'name',
+        limit: PRESET_PAGE_SIZE
+    };
+}
+
+/**
+ * Fill the dropdown with the listing kept in localStorage, without waiting for the server
+ * @param {Object} query - From presetQuery()
+ * @returns {Object|null} Cached page {presets, total}, null when none
+ */
+function showCachedPresets(query = presetQuery()) {
+    const cached = api.peekPresets(query);
+    if (cached) {
+        populatePresetDropdown(cached.presets, cached.total);
+    }
+    return cached;
 }
 
 /**
@@ -86,15 +212,24 @@ async function loadPresetById(presetId) {
         updateStatus('Loading preset...', 'loading');
         
         // Fetch preset details
-        const preset = await fetchPreset(presetId);
+        const preset = await api.getPreset(presetId, { proxy: USE_SAMPLE_PROXY });
+        console.log(`📋 Fetched preset ${presetId}:`, preset);
         
         // Load into engine
         const summary = await engine.loadPreset(preset);
+        currentPresetId = preset.id;
+        currentPresetOwner = preset.owner ?? null;
+        currentUpstreamId = preset.forkedFrom ? preset.forkedFrom.id : null;
+        hidePresetUpdateBanner();
+        updateForkButton();
+        refreshLineage();
         
         // Update status
+        const { layers } = summary;
         updateStatus(
-            `Loaded ${summary.loaded}/${summary.total} sounds`,
-            summary.failed > 0 ? 'warning' : 'success'
+            `Loaded ${summary.loaded}/${summary.total} sounds`
+                + (layers.total > 0 ? `, ${layers.loaded}/${layers.total} velocity layers` : ''),
+            summary.failed > 0 || layers.failed > 0 ? 'warning' : 'success'
         );
         
         // Auto-select first loaded pad for waveform display
@@ -110,6 +245,251 @@ async function loadPresetById(presetId) {
     }
 }
 
+// ==================== Forks ====================
+
+/**
+ * Number of differences in a diff from the server
+ * @param {Object} changes - {fields, sounds: {added, removed, changed}}
+ * @returns {number}
+ */
+function countChanges({ fields, sounds }) {
+    return fields.length + sounds.added.length + sounds.removed.length + sounds.changed.length;
+}
+
+/**
+ * Enable the fork button when a preset is loaded and the user is signed in
+ */
+function updateForkButton() {
+    const forkBtn = document.querySelector('#fork-btn');
+    if (forkBtn) {
+        forkBtn.disabled = !currentUser || currentPresetId === null;
+    }
+}
+
+/**
+ * Show where the loaded preset comes from: the presets it was forked from,
+ * and the changes made to its original since, with a button to pull them
+ */
+async function refreshLineage() {
+    const bar = document.querySelector('#preset-lineage');
+    if (!bar) return;
+    
+    if (currentPresetId === null) {
+        bar.hidden = true;
+        return;
+    }
+    
+    let lineage;
+    try {
+        lineage = await api.getLineage(currentPresetId);
+    } catch (error) {
+        console.warn('Preset lineage unavailable:', error);
+        bar.hidden = true;
+        return;
+    }
+    if (lineage.id !== currentPresetId) return;
+    
+    const parts = [];
+    if (lineage.ancestors.length > 0) {
+        const chain = lineage.ancestors
+            .map(a => (a.available ? `"${a.name}" (rev ${a.revision})` : `#${a.id} (unavailable)`))
+            .join(' ← ');
+        parts.push(`🍴 Forked from ${chain}`);
+    }
+    
+    const upstream = lineage.upstream;
+    const behind = upstream && upstream.behind && countChanges(upstream.changes) > 0;
+    if (behind) {
+        const count = countChanges(upstream.changes);
+        parts.push(`the original has ${count} new change${count === 1 ? '' : 's'}`
+            + (upstream.conflicts.length > 0 ? `, ${upstream.conflicts.length} conflicting with yours` : ''));
+    }
+    if (lineage.forks.length > 0) {
+        parts.push(`${lineage.forks.length} fork${lineage.forks.length === 1 ? '' : 's'}: ${lineage.forks.map(f => f.name).join(', ')}`);
+    }
+    
+    const canPull = Boolean(currentUser) && (currentPresetOwner === null || currentPresetOwner === currentUser.id);
+    document.querySelector('#preset-lineage-text').textContent = parts.join(' · ');
+    document.querySelector('#preset-pull-btn').hidden = !(behind && canPull);
+    bar.hidden = parts.length === 0;
+}
+
+/**
+ * Fork the loaded preset and load the copy
+ */
+async function forkCurrentPreset() {
+    if (currentPresetId === null) return;
+    
+    const fork = await api.forkPreset(currentPresetId);
+    console.log(`🍴 Forked preset ${currentPresetId} into ${fork.id}: ${fork.name}`);
+    await refreshPresetList();
+    await loadPresetById(fork.id);
+    updateStatus(`Forked into "${fork.name}"`, 'success');
+}
+
+/**
+ * Pull the changes of the original into the loaded fork, then reload it
+ * On conflicts the user chooses which side wins
+ */
+async function pullCurrentPreset() {
+    if (currentPresetId === null) return;
+    
+    let result;
+    try {
+        result = await api.pullUpstream(currentPresetId);
+    } catch (error) {
+        const conflicts = error.status === 409 && error.details.conflicts;
+        if (!conflicts) throw error;
+        
+        const fields = conflicts.map(c => c.field).join(', ');
+        const keepOurs = confirm(`The original and your kit both changed: ${fields}.\n\n`
+            + 'OK keeps your versions of these, Cancel takes the original\'s.');
+        result = await api.pullUpstream(currentPresetId, keepOurs ? 'ours' : 'theirs');
+    }
+    
+    console.log(`🍴 Pulled ${result.applied.length} change(s) into preset ${currentPresetId}`);
+    await loadPresetById(currentPresetId);
+    updateStatus(`Pulled ${result.applied.length} change${result.applied.length === 1 ? '' : 's'} from the original`, 'success');
+}
+
+// ==================== Live Preset Updates ====================
+
+/**
+ * Show the banner offering to reload the current preset
+ * @param {string} message - What changed
+ * @param {boolean} canReload - false when the preset no longer exists
+ */
+function showPresetUpdateBanner(message, canReload = true) {
+    const banner = document.querySelector('#preset-update-banner');
+    if (!banner) return;
+    
+    document.querySelector('#preset-update-text').textContent = message;
+    document.querySelector('#preset-reload-btn').hidden = !canReload;
+    banner.hidden = false;
+}
+
+/**
+ * Hide the preset update banner
+ */
+function hidePresetUpdateBanner() {
+    const banner = document.querySelector('#preset-update-banner');
+    if (banner) {
+        banner.hidden = true;
+    }
+}
+
+/**
+ * Listen to preset changes pushed by the server (Server-Sent Events)
+ * The dropdown is refreshed on every change; if the loaded preset is
+ * modified or deleted, a banner offers to reload it
+ * EventSource reconnects by itself and the server replays missed events
+ */
+function subscribeToPresetChanges() {
+    if (!window.EventSource) {
+        console.warn('EventSource not supported, preset changes will not be shown live');
+        return;
+    }
+    
+    // EventSource cannot send headers: the token goes in the query string
+    if (presetEvents) {
+        presetEvents.close();
+    }
+    const source = new EventSource(api.eventsUrl());
+    presetEvents = source;
+    
+    // Several changes in a row trigger a single refresh
+    let refreshTimer = null;
+    const scheduleRefresh = () => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(() => {
+            refreshPresetFilter()
+                .then(refreshPresetList)
+                .catch(error => {
+                    console.error('Failed to refresh presets:', error);
+                });
+        }, 200);
+    };
+    
+    source.addEventListener('preset-created', (e) => {
+        const { name } = JSON.parse(e.data);
+        console.log(`🔔 Preset created on server: ${name}`);
+        scheduleRefresh();
+    });
+    
+    source.addEventListener('preset-updated', (e) => {
+        const { id, name } = JSON.parse(e.data);
+        console.log(`🔔 Preset updated on server: ${name}`);
+        scheduleRefresh();
+        
+        if (id === currentPresetId) {
+            showPresetUpdateBanner(`"${name}" was changed on the server.`);
+        }
+        if (id === currentUpstreamId) {
+            refreshLineage();
+        }
+    });
+    
+    source.addEventListener('preset-deleted', (e) => {
+        const { id, name } = JSON.parse(e.data);
+        console.log(`🔔 Preset deleted on server: ${name}`);
+        scheduleRefresh();
+        
+        if (id === currentPresetId) {
+            currentPresetId = null;
+            showPresetUpdateBanner(`"${name}" was deleted on the server. The loaded sounds are kept.`, false);
+        }
+        if (id === currentUpstreamId) {
+            refreshLineage();
+        }
+    });
+    
+    source.addEventListener('presets-reloaded', () => {
+        console.log('🔔 Presets reloaded on server');
+        scheduleRefresh();
+        
+        if (currentPresetId !== null) {
+            showPresetUpdateBanner('Presets were reloaded on the server, the current one may have changed.');
+        }
+    });
+    
+    source.addEventListener('open', () => {
+        console.log('🔔 Listening to preset changes');
+    });
+}
+
+// ==================== Account ====================
+
+/**
+ * Sign in with the saved token (or sign out if there is none), then reload
+ * everything that depends on the user: preset list, filters, live updates
+ */
+async function applyApiToken() {
+    const userEl = document.querySelector('#user-name');
+    
+    try {
+        currentUser = await fetchCurrentUser();
+    } catch (error) {
+        // Continue anonymously rather than failing every request
+        currentUser = null;
+        localStorage.removeItem(TOKEN_STORAGE_KEY);
+        api.setToken(null);
+        updateStatus(`Sign-in failed: ${error.message}`, 'error');
+    }
+    
+    if (userEl) {
+        userEl.textContent = currentUser ? `Signed in as ${currentUser.displayName}` : 'Not signed in';
+    }
+    engine.setRequestHeaders(api.headers());
+    updateForkButton();
+    refreshLineage();
+    
+    await refreshPresetFilter().catch(error => {
+        console.warn('Preset filters unavailable:', error);
+    });
+    await refreshPresetList();
+    subscribeToPresetChanges();
+}
+
 /**
  * Update status message
  * @param {string} message - Status message
@@ -136,10 +516,72 @@ function setupUI() {
         }
     });
     
+    // Preset search (debounced, queries the server)
+    const presetSearch = document.querySelector('#preset-search');
+    let searchTimer = null;
+    presetSearch.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            refreshPresetList().catch(error => {
+                updateStatus(`Error: ${error.message}`, 'error');
+            });
+        }, 300);
+    });
+    
+    // API token (empty to sign out)
+    const tokenInput = document.querySelector('#api-token');
+    tokenInput.value = api.token || '';
+    tokenInput.addEventListener('change', () => {
+        const token = tokenInput.value.trim();
+        if (token) {
+            localStorage.setItem(TOKEN_STORAGE_KEY, token);
+        } else {
+            localStorage.removeItem(TOKEN_STORAGE_KEY);
+        }
+        api.setToken(token);
+        applyApiToken().catch(error => {
+            updateStatus(`Error: ${error.message}`, 'error');
+        });
+    });
+    
+    // Category / tag filter
+    const presetFilter = document.querySelector('#preset-filter');
+    presetFilter.addEventListener('change', () => {
+        refreshPresetList().catch(error => {
+            updateStatus(`Error: ${error.message}`, 'error');
+        });
+    });
+    
+    // Preset update banner
+    document.querySelector('#preset-reload-btn').addEventListener('click', () => {
+        if (currentPresetId !== null) {
+            loadPresetById(currentPresetId);
+        }
+    });
+    document.querySelector('#preset-dismiss-btn').addEventListener('click', hidePresetUpdateBanner);
+    
+    // Fork the loaded preset, pull changes of its original
+    document.querySelector('#fork-btn').addEventListener('click', () => {
+        forkCurrentPreset().catch(error => {
+            updateStatus(`Fork failed: ${error.message}`, 'error');
+        });
+    });
+    document.querySelector('#preset-pull-btn').addEventListener('click', () => {
+        pullCurrentPreset().catch(error => {
+            updateStatus(`Pull failed: ${error.message}`, 'error');
+        });
+    });
+    
     // Clear button
     const clearBtn = document.querySelector('#clear-btn');
     clearBtn.addEventListener('click', () => {
         engine.clearAll();
+        currentPresetId = null;
+        currentPresetOwner = null;
+        currentUpstreamId = null;
+        hidePresetUpdateBanner();
+        updateForkButton();
+        refreshLineage();
         updateStatus('Cleared all samples', 'info');
     });
     
@@ -176,11 +618,28 @@ function setupKeyboard() {
     };
     
     document.addEventListener('keydown', (e) => {
+        // Letters typed in a form field (preset search, API token) are not pad hits
+        if (isEditable(e.target)) return;
+        
+        const key = e.key.toLowerCase();
+        
+        if (key in keyMap) {
+            // Auto-repeat of a held key is not a new hit (it would flip toggle pads)
+            if (!e.repeat) {
+                engine.playSound(keyMap[key]);
+            }
+            e.preventDefault();
+        }
+    });
+    
+    // Releasing the key stops pads in gate mode
+    document.addEventListener('keyup', (e) => {
+        if (isEditable(e.target)) return;
+        
         const key = e.key.toLowerCase();
         
         if (key in keyMap) {
-            const padIndex = keyMap[key];
-            engine.playSound(padIndex);
+            engine.releaseSound(keyMap[key]);
             e.preventDefault();
         }
     });
@@ -188,6 +647,16 @@ function setupKeyboard() {
     console.log('⌨️ Keyboard shortcuts enabled (Q-R, A-F, Z-V, 1-4)');
 }
 
+/**
+ * Check if a key event goes to a field the user types in
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+function isEditable(target) {
+    return target instanceof HTMLElement
+        && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+}
+
 /**
  * Display engine status
  */
@@ -241,13 +710,23 @@ async function init() {
         gui = new SamplerGUI(engine);
         await gui.init();
         
+        // Client module served by the preset server (imported here rather than at the
+        // top so a stopped server shows the error message below)
+        const { default: PresetClient } = await import(`${SERVER_URL}/client/presetClient.js`);
+        api = new PresetClient(SERVER_URL, {
+            token: localStorage.getItem(TOKEN_STORAGE_KEY),
+            cache: localStorage
+        });
+        
+        // Presets seen last time are listed at once, the server revalidates them below
+        showCachedPresets();
+        
         // Setup UI handlers
         setupUI();
         setupKeyboard();
         
-        // Fetch and populate presets
-        const presets = await fetchPresets();
-        populatePresetDropdown(presets);
+        // Sign in, fetch filters and presets, then follow changes made on the server
+        await applyApiToken();
         
         // Display status
         displayEngineStatus();
@@ -88,6 +88,25 @@ function formatBytes(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+/**
+ * Playback rate shifting the pitch by some cents (1200 cents = one octave)
+ * @param {number} cents - Pitch shift, e.g. 700 for a fifth up
+ * @returns {number} Rate (1 = original pitch)
+ */
+function centsToRate(cents) {
+    return Math.pow(2, cents / 1200);
+}
+
+/**
+ * Name of a MIDI note
+ * @param {number} midi - MIDI note number (69 = A4)
+ * @returns {string} e.g. "A4", "C#3"
+ */
+function noteName(midi) {
+    const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    return `${names[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
 export { 
     distance, 
     pixelToSeconds, 
@@ -95,5 +114,7 @@ export {
     getMousePos, 
     clamp, 
     formatTime,
-    formatBytes
+    formatBytes,
+    centsToRate,
+    noteName
 };
@@ -0,0 +1,52 @@
+/**
+ * Velocity response of a pad
+ * MIDI velocities (1-127) become the level of the voice through a curve,
+ * and optionally close a low-pass filter on soft hits (darker, like acoustic drums).
+ */
+
+// Highest MIDI velocity (keyboard and mouse hits play at it)
+const MAX_VELOCITY = 127;
+
+// Curves from the normalized velocity (0-1) to the level (0-1):
+// soft gets loud quickly, hard needs firm hits
+const VELOCITY_CURVES = {
+    linear: x => x,
+    soft: x => Math.sqrt(x),
+    hard: x => x * x
+};
+
+// Octaves the cutoff drops at the softest hit when velocityToCutoff is 1
+const CUTOFF_RANGE = 6;
+const MAX_CUTOFF = 20000;
+
+/**
+ * Level of a voice
+ * @param {number} velocity - 0 to 127
+ * @param {Object} settings - Pad settings {velocityCurve, velocitySensitivity}
+ *   sensitivity 0 plays every hit at full level, 1 follows the curve entirely
+ * @returns {number} 0 to 1
+ */
+function velocityLevel(velocity, { velocityCurve = 'linear', velocitySensitivity = 1 } = {}) {
+    const curve = VELOCITY_CURVES[velocityCurve] || VELOCITY_CURVES.linear;
+    const x = Math.max(0, Math.min(velocity, MAX_VELOCITY)) / MAX_VELOCITY;
+    return 1 - velocitySensitivity + velocitySensitivity * curve(x);
+}
+
+/**
+ * Low-pass cutoff of a voice
+ * @param {number} velocity - 0 to 127
+ * @param {number} amount - velocityToCutoff pad setting (0 = no filter, 1 = full range)
+ * @returns {number|null} Frequency in Hz, null when the voice needs no filter
+ */
+function velocityCutoff(velocity, amount = 0) {
+    if (!(amount > 0)) return null;
+    const x = Math.max(0, Math.min(velocity, MAX_VELOCITY)) / MAX_VELOCITY;
+    return MAX_CUTOFF * Math.pow(2, -amount * (1 - x) * CUTOFF_RANGE);
+}
+
+export {
+    MAX_VELOCITY,
+    VELOCITY_CURVES,
+    velocityLevel,
+    velocityCutoff
+};
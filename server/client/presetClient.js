@@ -0,0 +1,675 @@
+/**
+ * Preset API Client
+ * Small typed client for the Audio Presets server, served by the server at
+ * /client/presetClient.js so the Examples and FinalSampler share it:
+ *
+ *   import PresetClient from 'http://localhost:3000/client/presetClient.js';
+ *   const client = new PresetClient('http://localhost:3000', { token });
+ *   const { presets, total } = await client.listPresets({ q: 'drums', limit: 20 });
+ *
+ * One method per operationId of the OpenAPI document (GET /openapi.json).
+ * Failed requests reject with a PresetApiError carrying the server's message,
+ * status, code and details.
+ *
+ * With a cache (e.g. { cache: localStorage }) preset listings and presets are
+ * kept with their ETag and revalidated: the server answers 304 Not Modified
+ * when nothing changed, and peekPresets() shows the last listing at once.
+ */
+
+/**
+ * @typedef {Object} SoundSettings
+ * @property {number} [volume] - 0 to 1
+ * @property {number} [startOffset] - Seconds
+ * @property {number} [duration] - Seconds
+ * @property {number} [maxVoices] - Voices of the pad sounding at once
+ * @property {number} [chokeGroup] - Pads of the same group stop each other
+ * @property {string} [playMode] - one-shot, gate (stops on release) or toggle
+ * @property {number} [attack] - Envelope stages in seconds
+ * @property {number} [hold]
+ * @property {number} [decay]
+ * @property {number} [sustain] - Level, 0 to 1
+ * @property {number} [release]
+ * @property {number} [coarseTune] - Semitones, -24 to 24
+ * @property {number} [fineTune] - Cents, -100 to 100
+ * @property {boolean} [reverse] - Play backwards
+ * @property {boolean} [loop] - Repeat the loop points until stopped (one-shot pads then stop on the next press)
+ * @property {number} [loopStart] - Seconds (default: the trim start)
+ * @property {number} [loopEnd] - Seconds, after loopStart (default: the trim end)
+ * @property {string} [velocityCurve] - linear, soft or hard
+ * @property {number} [velocitySensitivity] - 0 (fixed level) to 1
+ * @property {number} [velocityToCutoff] - 0 (no filter) to 1
+ * @property {string} [alternation] - round-robin, random or random-no-repeat
+ */
+
+/**
+ * @typedef {Object} SoundAnalysis
+ * @property {number|null} peak - dBFS
+ * @property {number|null} loudness - LUFS
+ * @property {number[]} onsets - Seconds
+ * @property {number|null} tempo - BPM of loops
+ * @property {{note: string, midi: number, frequency: number, cents: number}|null} rootPitch
+ */
+
+/**
+ * @typedef {Object} Layer
+ * @property {string} [name]
+ * @property {string} url - Absolute URL of the audio file
+ * @property {string} [path] - Library path of hosted samples
+ * @property {number} [velocityMin] - 0 to 127 (default 0)
+ * @property {number} [velocityMax] - 0 to 127 (default 127), the narrowest range matching a hit plays;
+ *   samples with the same range are variations picked following settings.alternation
+ */
+
+/**
+ * @typedef {Object} Sound
+ * @property {string} name
+ * @property {string} url - Absolute URL of the audio file
+ * @property {string} [path] - Library path of hosted samples
+ * @property {string} [category]
+ * @property {string[]} [tags]
+ * @property {SoundSettings} [settings]
+ * @property {Layer[]} [layers] - Samples played instead in a velocity range, or variations of the sound
+ * @property {Object} [metadata] - {format, codec, duration, sampleRate, channels, bitDepth, bitrate, size}
+ * @property {SoundAnalysis} [analysis] - Absent until the server has analysed the sample
+ * @property {string} [peaksUrl] - Server-computed waveform peaks
+ */
+
+/**
+ * @typedef {Object} Preset
+ * @property {number} id
+ * @property {string} name
+ * @property {string} [description]
+ * @property {number} [owner]
+ * @property {string} [ownerName]
+ * @property {string} [visibility] - private, shared or public
+ * @property {string} [category]
+ * @property {string[]} [tags]
+ * @property {Sound[]} sounds - One sound per pad
+ * @property {{id: number, revision: number}} [forkedFrom]
+ */
+
+/**
+ * @typedef {Object} PresetPage
+ * @property {Preset[]} presets
+ * @property {number} total - Presets matching the query
+ * @property {string|null} nextCursor - Cursor of the next page
+ * @property {boolean} [notModified] - The cached listing was still current
+ */
+
+/**
+ * @typedef {Object} PresetQuery
+ * @property {string} [q] - Words searched in names, descriptions, categories, tags and sounds
+ * @property {string|string[]} [tag]
+ * @property {string|string[]} [category]
+ * @property {number} [collection]
+ * @property {number|string} [owner] - User id or 'me'
+ * @property {string} [sort] - name, id or sounds, '-' prefix for descending
+ * @property {number} [limit]
+ * @property {number} [offset]
+ * @property {string} [cursor]
+ * @property {boolean} [validate]
+ * @property {boolean} [proxy] - Route remote sounds through the server cache
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {number} id
+ * @property {string} username
+ * @property {string} displayName
+ * @property {string} createdAt
+ * @property {string} [token] - Only when created or rotated
+ */
+
+/**
+ * Error of a failed API request
+ */
+export class PresetApiError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} status - HTTP status (0 when the server could not be reached)
+     * @param {string|null} code - e.g. 'not_found', 'validation_failed'
+     * @param {Object} details - Rest of the error body, e.g. {errors} or {conflicts}
+     */
+    constructor(message, status, code = null, details = {}) {
+        super(message);
+        this.name = 'PresetApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Query string of defined, non-empty parameters (arrays are comma separated)
+ * @param {Object} params
+ * @returns {string} '' or '?a=1&b=2'
+ */
+function queryString(params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') return;
+        query.set(key, Array.isArray(value) ? value.join(',') : String(value));
+    });
+    const text = query.toString();
+    return text ? `?${text}` : '';
+}
+
+// Prefix of the cache entries in the Storage
+const CACHE_PREFIX = 'presetClient:';
+
+/**
+ * Page of presets from a listing and its pagination headers
+ * @param {Preset[]} presets
+ * @param {Headers} headers
+ * @returns {PresetPage}
+ */
+function presetPage(presets, headers) {
+    const total = parseInt(headers.get('X-Total-Count'), 10);
+    return {
+        presets,
+        total: Number.isNaN(total) ? presets.length : total,
+        nextCursor: headers.get('X-Next-Cursor')
+    };
+}
+
+export default class PresetClient {
+    /**
+     * @param {string} baseUrl - Server URL, without /api
+     * @param {Object} options
+     * @param {string|null} options.token - API token of the user
+     * @param {Storage|null} options.cache - Where to keep presets for conditional requests
+     */
+    constructor(baseUrl = 'http://localhost:3000', { token = null, cache = null } = {}) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.token = token;
+        this.cache = cache;
+    }
+
+    /**
+     * Sign in (token) or out (null)
+     * Cached responses belong to the previous user and are dropped
+     * @param {string|null} token
+     */
+    setToken(token) {
+        if ((token || null) !== this.token) {
+            this.clearCache();
+        }
+        this.token = token || null;
+    }
+
+    /**
+     * Headers authenticating requests, e.g. for peaks fetched by the engine
+     * @returns {Object}
+     */
+    headers() {
+        return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    }
+
+    // ==================== Cache ====================
+
+    /**
+     * Cached response of a URL
+     * @param {string} url
+     * @returns {{etag: string, data: *, headers: Object}|null}
+     */
+    readCache(url) {
+        if (!this.cache) return null;
+        try {
+            return JSON.parse(this.cache.getItem(CACHE_PREFIX + url));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Keep a response (ignored when the Storage is full)
+     * @param {string} url
+     * @param {Response} response
+     * @param {*} data
+     */
+    writeCache(url, response, data) {
+        const etag = response.headers.get('ETag');
+        if (!this.cache || !etag) return;
+        try {
+            const headers = Object.fromEntries(response.headers.entries());
+            this.cache.setItem(CACHE_PREFIX + url, JSON.stringify({ etag, data, headers }));
+        } catch (error) {
+            // Quota exceeded: the next request is simply not conditional
+        }
+    }
+
+    /**
+     * Drop every cached response
+     */
+    clearCache() {
+        if (!this.cache) return;
+        const keys = [];
+        for (let i = 0; i < this.cache.length; i++) {
+            const key = this.cache.key(i);
+            if (key && key.startsWith(CACHE_PREFIX)) keys.push(key);
+        }
+        keys.forEach(key => this.cache.removeItem(key));
+    }
+
+    // ==================== Requests ====================
+
+    /**
+     * Send a request to the API and parse the JSON answer
+     * @param {string} method
+     * @param {string} path - Path below the server URL, e.g. '/api/presets'
+     * @param {Object} options
+     * @param {Object} options.query - Query parameters
+     * @param {*} options.body - JSON body, or a FormData / Blob sent as is
+     * @param {boolean} options.cached - Revalidate a cached copy (GET with a cache only)
+     * @returns {Promise<{data: *, response: Response, notModified: boolean}>}
+     *   notModified when the cached copy was still current
+     */
+    async send(method, path, { query, body, cached = false } = {}) {
+        const url = `${this.baseUrl}${path}${queryString(query)}`;
+        const headers = this.headers();
+        const init = { method, headers };
+        if (body !== undefined) {
+            const raw = body instanceof FormData || body instanceof Blob;
+            if (!raw) headers['Content-Type'] = 'application/json';
+            init.body = raw ? body : JSON.stringify(body);
+        }
+
+        const entry = cached && method === 'GET' ? this.readCache(url) : null;
+        if (entry) {
+            headers['If-None-Match'] = entry.etag;
+        }
+
+        let response;
+        try {
+            response = await fetch(url, init);
+        } catch (error) {
+            throw new PresetApiError(`Cannot reach the preset server at ${this.baseUrl}`, 0);
+        }
+
+        if (response.status === 304 && entry) {
+            return { data: entry.data, response, notModified: true };
+        }
+        if (response.status === 204) {
+            return { data: null, response, notModified: false };
+        }
+        const data = await response.json().catch(() => null);
+        if (!response.ok) {
+            const { error, status, code, ...details } = data || {};
+            throw new PresetApiError(error || `HTTP ${response.status}: ${response.statusText}`, response.status, code || null, details);
+        }
+        if (cached && method === 'GET') {
+            this.writeCache(url, response, data);
+        }
+        return { data, response, notModified: false };
+    }
+
+    /**
+     * Send a request and return its JSON answer
+     * @returns {Promise<*>}
+     */
+    async request(method, path, options) {
+        const { data } = await this.send(method, path, options);
+        return data;
+    }
+
+    // ==================== Users ====================
+
+    /**
+     * Create an account; the returned token is shown only once
+     * @param {{username: string, displayName?: string}} account
+     * @returns {Promise<User>}
+     */
+    createUser(account) {
+        return this.request('POST', '/api/users', { body: account });
+    }
+
+    /**
+     * Account matching the token
+     * @returns {Promise<User>}
+     */
+    getCurrentUser() {
+        return this.request('GET', '/api/users/me');
+    }
+
+    /**
+     * Replace the token of the signed-in user (the client switches to the new one)
+     * @returns {Promise<User>}
+     */
+    async rotateToken() {
+        const user = await this.request('POST', '/api/users/me/token');
+        this.setToken(user.token);
+        return user;
+    }
+
+    // ==================== Presets ====================
+
+    /**
+     * List presets visible to the user
+     * @param {PresetQuery} query
+     * @returns {Promise<PresetPage>}
+     */
+    async listPresets(query = {}) {
+        // A 304 repeats the pagination headers, which are part of the ETag
+        const { data, response, notModified } = await this.send('GET', '/api/presets', { query, cached: true });
+        return { ...presetPage(data, response.headers), notModified };
+    }
+
+    /**
+     * Last listing of the same query kept in the cache, without a request
+     * @param {PresetQuery} query
+     * @returns {PresetPage|null}
+     */
+    peekPresets(query = {}) {
+        const entry = this.readCache(`${this.baseUrl}/api/presets${queryString(query)}`);
+        return entry ? presetPage(entry.data, new Headers(entry.headers)) : null;
+    }
+
+    /**
+     * @param {number} id
+     * @param {{proxy?: boolean}} query
+     * @returns {Promise<Preset>}
+     */
+    getPreset(id, query = {}) {
+        return this.request('GET', `/api/presets/${id}`, { query, cached: true });
+    }
+
+    /**
+     * @param {Object} preset - {name, description, visibility, category, tags, sounds}
+     * @returns {Promise<Preset>}
+     */
+    createPreset(preset) {
+        return this.request('POST', '/api/presets', { body: preset });
+    }
+
+    /**
+     * @param {number} id
+     * @param {Object} preset - Every field
+     * @returns {Promise<Preset>}
+     */
+    replacePreset(id, preset) {
+        return this.request('PUT', `/api/presets/${id}`, { body: preset });
+    }
+
+    /**
+     * @param {number} id
+     * @param {Object} fields - Fields to change
+     * @returns {Promise<Preset>}
+     */
+    updatePreset(id, fields) {
+        return this.request('PATCH', `/api/presets/${id}`, { body: fields });
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<null>}
+     */
+    deletePreset(id) {
+        return this.request('DELETE', `/api/presets/${id}`);
+    }
+
+    /**
+     * Multi-resolution waveform peaks of a sound
+     * @param {number} id - Preset ID
+     * @param {number} index - Pad index
+     * @returns {Promise<Object>}
+     */
+    getPeaks(id, index) {
+        return this.request('GET', `/api/presets/${id}/sounds/${index}/peaks`);
+    }
+
+    /**
+     * Peak level, loudness, onsets, tempo and root pitch of a sound
+     * (computed by the server if not known yet)
+     * @param {number} id - Preset ID
+     * @param {number} index - Pad index
+     * @returns {Promise<SoundAnalysis>}
+     */
+    getAnalysis(id, index) {
+        return this.request('GET', `/api/presets/${id}/sounds/${index}/analysis`);
+    }
+
+    // ==================== Bundles ====================
+
+    /**
+     * URL downloading a preset and its sounds as a ZIP archive
+     * @param {number} id
+     * @returns {string}
+     */
+    exportUrl(id) {
+        return `${this.baseUrl}/api/presets/${id}/export`;
+    }
+
+    /**
+     * Create a preset from a ZIP archive (private unless visibility is given)
+     * @param {Blob} archive
+     * @param {{visibility?: string}} query
+     * @returns {Promise<Preset>}
+     */
+    importPreset(archive, query = {}) {
+        const form = new FormData();
+        form.append('file', archive);
+        return this.request('POST', '/api/presets/import', { query, body: form });
+    }
+
+    /**
+     * Create one preset per folder of audio files on the server
+     * @param {Object} options - {path, dryRun, visibility, category, tags}
+     * @returns {Promise<Object>} {created, planned, failed, skipped, unreadable}
+     */
+    scanFolder(options = {}) {
+        return this.request('POST', '/api/presets/scan', { body: options });
+    }
+
+    // ==================== Revisions ====================
+
+    /**
+     * Saved versions of a preset, newest first
+     * @param {number} id
+     * @returns {Promise<Object[]>}
+     */
+    listRevisions(id) {
+        return this.request('GET', `/api/presets/${id}/revisions`);
+    }
+
+    /**
+     * @param {number} id
+     * @param {number} revision
+     * @returns {Promise<Object>} Summary and {preset}
+     */
+    getRevision(id, revision) {
+        return this.request('GET', `/api/presets/${id}/revisions/${revision}`);
+    }
+
+    /**
+     * Diff two revisions (without to, a revision against the previous one)
+     * @param {number} id
+     * @param {number} from
+     * @param {number} [to]
+     * @returns {Promise<Object>} {from, to, changed, fields, sounds}
+     */
+    diffRevisions(id, from, to) {
+        return this.request('GET', `/api/presets/${id}/revisions/${from}/diff${to === undefined ? '' : `/${to}`}`);
+    }
+
+    /**
+     * Restore a revision
+     * @param {number} id
+     * @param {number} revision
+     * @returns {Promise<Preset>}
+     */
+    rollbackPreset(id, revision) {
+        return this.request('POST', `/api/presets/${id}/revisions/${revision}/rollback`);
+    }
+
+    // ==================== Forks ====================
+
+    /**
+     * Copy a preset into a new one owned by the signed-in user
+     * @param {number} id
+     * @param {{name?: string, visibility?: string}} options
+     * @returns {Promise<Preset>}
+     */
+    forkPreset(id, options = {}) {
+        return this.request('POST', `/api/presets/${id}/fork`, { body: options });
+    }
+
+    /**
+     * The presets a preset was forked from, its forks and the upstream changes
+     * @param {number} id
+     * @returns {Promise<Object>} {id, forkedFrom, upstream, ancestors, forks}
+     */
+    getLineage(id) {
+        return this.request('GET', `/api/presets/${id}/lineage`);
+    }
+
+    /**
+     * Merge the changes made to the original of a fork
+     * Rejected with a 409 error (details.conflicts) when both sides changed
+     * the same pads or fields, unless resolve says which side wins
+     * @param {number} id
+     * @param {string} [resolve] - 'ours' or 'theirs'
+     * @returns {Promise<Object>} {preset, applied, conflicts}
+     */
+    pullUpstream(id, resolve) {
+        return this.request('POST', `/api/presets/${id}/pull`, { body: resolve ? { resolve } : {} });
+    }
+
+    // ==================== Tags and collections ====================
+
+    /**
+     * @returns {Promise<Object[]>} [{tag, presets, sounds, count}], most used first
+     */
+    listTags() {
+        return this.request('GET', '/api/tags');
+    }
+
+    /**
+     * @returns {Promise<Object[]>} [{category, presets, sounds, count}]
+     */
+    listCategories() {
+        return this.request('GET', '/api/categories');
+    }
+
+    /**
+     * @returns {Promise<Object[]>}
+     */
+    listCollections() {
+        return this.request('GET', '/api/collections');
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<Object>} Collection with its visible presets
+     */
+    getCollection(id) {
+        return this.request('GET', `/api/collections/${id}`);
+    }
+
+    /**
+     * @param {Object} collection - {name, description, presetIds}
+     * @returns {Promise<Object>}
+     */
+    createCollection(collection) {
+        return this.request('POST', '/api/collections', { body: collection });
+    }
+
+    /**
+     * @param {number} id
+     * @param {Object} fields
+     * @returns {Promise<Object>}
+     */
+    updateCollection(id, fields) {
+        return this.request('PATCH', `/api/collections/${id}`, { body: fields });
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<null>}
+     */
+    deleteCollection(id) {
+        return this.request('DELETE', `/api/collections/${id}`);
+    }
+
+    /**
+     * @param {number} id - Collection ID
+     * @param {number} presetId
+     * @returns {Promise<Object>}
+     */
+    addToCollection(id, presetId) {
+        return this.request('POST', `/api/collections/${id}/presets`, { body: { presetId } });
+    }
+
+    /**
+     * @param {number} id - Collection ID
+     * @param {number} presetId
+     * @returns {Promise<Object>}
+     */
+    removeFromCollection(id, presetId) {
+        return this.request('DELETE', `/api/collections/${id}/presets/${presetId}`);
+    }
+
+    // ==================== Samples ====================
+
+    /**
+     * Hosted audio files
+     * @param {{sort?: string}} query - name, size, duration, peak, loudness, tempo or pitch ('-' prefix for descending)
+     * @returns {Promise<Object[]>}
+     */
+    listSamples(query = {}) {
+        return this.request('GET', '/api/samples', { query });
+    }
+
+    /**
+     * Upload audio files
+     * @param {File[]} files
+     * @param {string} [folder] - Library folder
+     * @returns {Promise<Object[]>} Stored files
+     */
+    uploadSamples(files, folder) {
+        const form = new FormData();
+        files.forEach(file => form.append('files', file));
+        return this.request('POST', '/api/samples', { query: { folder }, body: form });
+    }
+
+    /**
+     * URL fetching a remote sample through the server cache
+     * @param {string} url
+     * @returns {string}
+     */
+    proxyUrl(url) {
+        return `${this.baseUrl}/api/proxy${queryString({ url })}`;
+    }
+
+    // ==================== Events and status ====================
+
+    /**
+     * URL of the Server-Sent Events stream (EventSource cannot send headers:
+     * the token goes in the query string)
+     * @returns {string}
+     */
+    eventsUrl() {
+        return `${this.baseUrl}/api/events${queryString({ token: this.token })}`;
+    }
+
+    /**
+     * @returns {Promise<Object>} {status, uptime, startedAt, checks}
+     */
+    getHealth() {
+        return this.request('GET', '/api/health');
+    }
+
+    /**
+     * @returns {Promise<Object>}
+     */
+    getStats() {
+        return this.request('GET', '/api/stats');
+    }
+
+    /**
+     * The OpenAPI document of the server
+     * @returns {Promise<Object>}
+     */
+    getOpenApi() {
+        return this.request('GET', '/openapi.json');
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * CollectionStore Class
+ * JSON file backed storage for named collections of presets
+ *
+ * Same write model as PresetStore (atomic writes serialized through a queue,
+ * ids never reused), with every collection checked by collectionSchema.js.
+ * Deleted presets are removed from the collections holding them (see attach).
+ */
+const fs = require('fs/promises');
+const path = require('path');
+const { notFound, badRequest, validationFailed } = require('./errors');
+
+class CollectionStore {
+    /**
+     * @param {string} filePath - Path of the JSON store file
+     * @param {Object} options
+     * @param {Function} options.validate - (collection) => [{field, message}], empty if valid
+     */
+    constructor(filePath, { validate = null } = {}) {
+        this.filePath = filePath;
+        this.validate = validate || (() => []);
+
+        this.collections = [];
+        this.nextId = 1;
+
+        // Promise chain serializing mutations and writes
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Load the store from disk (empty if missing)
+     * @returns {Promise<CollectionStore>}
+     */
+    async init() {
+        try {
+            const state = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            this.collections = state.collections || [];
+            this.nextId = state.nextId || 1;
+            console.log(`💾 Loaded ${this.collections.length} collection(s) from ${this.filePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Drop deleted presets from collections
+     * @param {PresetStore} store
+     */
+    attach(store) {
+        store.on('change', ({ type, preset }) => {
+            if (type === 'deleted') {
+                this.removePreset(preset.id).catch(error => {
+                    console.error(`Could not remove preset ${preset.id} from collections:`, error);
+                });
+            }
+        });
+    }
+
+    // ==================== Reading ====================
+
+    /**
+     * Get all collections
+     * @returns {Array} Copies
+     */
+    list() {
+        return clone(this.collections);
+    }
+
+    /**
+     * Get a collection by id
+     * @param {number} id
+     * @returns {Object|null} Copy of the collection
+     */
+    get(id) {
+        const collection = this.collections.find(c => c.id === id);
+        return collection ? clone(collection) : null;
+    }
+
+    // ==================== Writing ====================
+
+    /**
+     * Create a collection
+     * @param {Object} data - Collection fields (presetIds defaults to [])
+     * @returns {Promise<Object>} The created collection
+     */
+    create(data) {
+        return this.mutate(() => {
+            const { id: ignored, ...fields } = clone(data);
+            const collection = { id: this.nextId, ...fields };
+            if (collection.presetIds === undefined) {
+                collection.presetIds = [];
+            }
+            this.checkValid(collection);
+            this.collections.push(collection);
+            this.nextId++;
+            return collection;
+        });
+    }
+
+    /**
+     * Update some fields of a collection (shallow merge)
+     * @param {number} id
+     * @param {Object} changes
+     * @returns {Promise<Object>} The stored collection
+     */
+    update(id, changes) {
+        return this.mutate(() => {
+            const index = this.indexOf(id);
+            if (changes.id !== undefined && changes.id !== id) {
+                throw badRequest('Collection id cannot be changed');
+            }
+
+            const collection = { ...this.collections[index], ...clone(changes), id };
+            this.checkValid(collection);
+            this.collections[index] = collection;
+            return collection;
+        });
+    }
+
+    /**
+     * Delete a collection (its presets are kept)
+     * @param {number} id
+     * @returns {Promise<Object>} The deleted collection
+     */
+    remove(id) {
+        return this.mutate(() => {
+            const [collection] = this.collections.splice(this.indexOf(id), 1);
+            return collection;
+        });
+    }
+
+    /**
+     * Remove a preset from every collection
+     * @param {number} presetId
+     * @returns {Promise<number>} Number of collections changed
+     */
+    removePreset(presetId) {
+        return this.mutate(() => {
+            const holding = this.collections.filter(c => c.presetIds.includes(presetId));
+            holding.forEach(c => {
+                c.presetIds = c.presetIds.filter(id => id !== presetId);
+            });
+            return holding.length;
+        });
+    }
+
+    // ==================== Internals ====================
+
+    indexOf(id) {
+        const index = this.collections.findIndex(c => c.id === id);
+        if (index < 0) {
+            throw notFound('Collection not found');
+        }
+        return index;
+    }
+
+    checkValid(collection) {
+        const errors = this.validate(collection);
+        if (errors.length > 0) {
+            throw validationFailed('Invalid collection', errors);
+        }
+    }
+
+    /**
+     * Run a change, then persist it; rolls back the in-memory state on failure
+     * @param {Function} change - () => result
+     * @returns {Promise<*>} Copy of the change result
+     */
+    mutate(change) {
+        const run = async () => {
+            const snapshot = { collections: clone(this.collections), nextId: this.nextId };
+            try {
+                const result = change();
+                await this.persist();
+                return clone(result);
+            } catch (error) {
+                this.collections = snapshot.collections;
+                this.nextId = snapshot.nextId;
+                throw error;
+            }
+        };
+
+        const result = this.queue.then(run);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Write the store file atomically
+     */
+    async persist() {
+        const data = JSON.stringify({ nextId: this.nextId, collections: this.collections }, null, 2);
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tmpPath, data + '\n', 'utf8');
+        await fs.rename(tmpPath, this.filePath);
+    }
+}
+
+/**
+ * Deep copy of JSON data
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = CollectionStore;
@@ -0,0 +1,117 @@
+/**
+ * EventHub Class
+ * Broadcasts server events to browsers over Server-Sent Events
+ *
+ * - Every event gets an increasing id; the last ones are kept so a client
+ *   reconnecting with Last-Event-ID receives what it missed
+ * - A comment line is sent periodically to keep idle connections open
+ *   through proxies
+ * - Events can be restricted to some users (req.user of the stream request)
+ */
+
+class EventHub {
+    /**
+     * @param {Object} options
+     * @param {number} options.historySize - Events kept for replay (default 100)
+     * @param {number} options.heartbeat - Milliseconds between keep-alive comments (default 25 s)
+     */
+    constructor({ historySize = 100, heartbeat = 25000 } = {}) {
+        this.historySize = historySize;
+        this.heartbeat = heartbeat;
+
+        // Open streams: {res, user}
+        this.clients = new Set();
+
+        // Last events sent: [{id, type, data, canSee}]
+        this.history = [];
+        this.lastId = 0;
+
+        this.timer = null;
+    }
+
+    /**
+     * Turn a request into an event stream until the client disconnects
+     * @param {express.Request} req
+     * @param {express.Response} res
+     */
+    subscribe(req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // Reconnection delay used by EventSource
+        res.write('retry: 3000\n\n');
+
+        const client = { res, user: req.user || null };
+
+        // Replay events missed since the last one the client received
+        const lastEventId = Number(req.get('Last-Event-ID'));
+        if (Number.isInteger(lastEventId)) {
+            this.history
+                .filter(event => event.id > lastEventId)
+                .forEach(event => sendTo(client, event));
+        }
+
+        this.clients.add(client);
+        this.startHeartbeat();
+
+        req.on('close', () => {
+            this.clients.delete(client);
+            if (this.clients.size === 0) {
+                this.stopHeartbeat();
+            }
+        });
+    }
+
+    /**
+     * Send an event to every connected client
+     * @param {string} type - Event name (EventSource listens with addEventListener(type))
+     * @param {Object} data - JSON payload
+     * @param {Function} canSee - Optional (user) => boolean, clients it refuses skip the event
+     */
+    broadcast(type, data, canSee = null) {
+        const event = { id: ++this.lastId, type, data, canSee };
+
+        this.history.push(event);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        this.clients.forEach(client => sendTo(client, event));
+    }
+
+    /**
+     * Number of connected clients
+     * @returns {number}
+     */
+    get size() {
+        return this.clients.size;
+    }
+
+    startHeartbeat() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.clients.forEach(({ res }) => res.write(': keep-alive\n\n'));
+        }, this.heartbeat);
+        this.timer.unref();
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+/**
+ * Write one event in the text/event-stream format, if the client may see it
+ */
+function sendTo({ res, user }, { id, type, data, canSee }) {
+    if (canSee && !canSee(user)) return;
+    res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = EventHub;
@@ -0,0 +1,328 @@
+/**
+ * PresetStore Class
+ * JSON file backed storage for presets
+ *
+ * - Presets are kept in memory and written to disk after every change
+ * - Writes are atomic (temp file + rename) and serialized through a queue
+ * - Ids are allocated from a persisted counter, so deleted ids are never reused
+ * - Every written preset must pass the validate option (see presetSchema.js)
+ * - The file is reloaded when edited by hand while the server runs
+ * - Emits 'change' events ({type: 'created' | 'updated' | 'deleted' | 'reloaded', preset, previous, context})
+ *   once a change is on disk
+ */
+const EventEmitter = require('events');
+const fs = require('fs/promises');
+const path = require('path');
+const { badRequest, notFound, conflict, validationFailed } = require('./errors');
+
+class PresetStore extends EventEmitter {
+    /**
+     * @param {string} filePath - Path of the JSON store file
+     * @param {Array} seed - Presets written to a fresh store
+     * @param {Object} options
+     * @param {Function} options.validate - (preset) => [{field, message}], empty if valid
+     */
+    constructor(filePath, seed = [], { validate = null } = {}) {
+        super();
+        this.filePath = filePath;
+        this.seed = seed;
+        this.validate = validate || (() => []);
+
+        // In-memory state, mirrors the file content
+        this.presets = [];
+        this.nextId = 1;
+
+        // Modification time of the file as last read or written
+        this.mtimeMs = 0;
+
+        // Promise chain serializing mutations and writes
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Load the store from disk, creating it from the seed if missing
+     * @returns {Promise<PresetStore>}
+     */
+    async init() {
+        try {
+            await this.load();
+            console.log(`💾 Loaded ${this.presets.length} preset(s) from ${this.filePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+
+            this.presets = clone(this.seed);
+            this.nextId = maxId(this.presets) + 1;
+            await this.persist();
+            console.log(`💾 Created preset store at ${this.filePath}`);
+        }
+        return this;
+    }
+
+    /**
+     * Read the store file into memory
+     */
+    async load() {
+        const stats = await fs.stat(this.filePath);
+        const raw = await fs.readFile(this.filePath, 'utf8');
+        this.applyState(JSON.parse(raw));
+        this.mtimeMs = stats.mtimeMs;
+    }
+
+    /**
+     * Reload the store file if it was modified outside of the server
+     * Waits for pending writes; keeps the current state if the file is unreadable
+     * @returns {Promise<boolean>} true if the file was reloaded
+     */
+    refresh() {
+        const result = this.queue.then(() => this.reloadIfChanged());
+        this.queue = result;
+        return result;
+    }
+
+    /**
+     * Reload the store file if its modification time changed
+     * @returns {Promise<boolean>}
+     */
+    async reloadIfChanged() {
+        try {
+            const stats = await fs.stat(this.filePath);
+            if (stats.mtimeMs === this.mtimeMs) {
+                return false;
+            }
+            await this.load();
+            console.log(`💾 Reloaded ${this.presets.length} preset(s) from ${this.filePath}`);
+            this.emit('change', { type: 'reloaded', preset: null, previous: null, context: {} });
+            return true;
+        } catch (error) {
+            console.warn(`Could not reload ${this.filePath}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Replace in-memory state with the content of a store file
+     * Accepts both { nextId, presets } and a bare array of presets
+     * @param {Object|Array} state
+     */
+    applyState(state) {
+        const presets = Array.isArray(state) ? state : state.presets;
+        if (!Array.isArray(presets)) {
+            throw new Error(`Invalid preset store file: ${this.filePath}`);
+        }
+
+        this.presets = presets;
+        this.nextId = Math.max(state.nextId || 1, maxId(presets) + 1);
+    }
+
+    // ==================== Reading ====================
+
+    /**
+     * Get all presets
+     * @returns {Array} Copies of the stored presets
+     */
+    list() {
+        return clone(this.presets);
+    }
+
+    /**
+     * Get a preset by id
+     * @param {number} id
+     * @returns {Object|null} Copy of the preset
+     */
+    get(id) {
+        const preset = this.presets.find(p => p.id === id);
+        return preset ? clone(preset) : null;
+    }
+
+    // ==================== Writing ====================
+
+    /**
+     * Create a preset
+     * An explicit id is honoured if free, otherwise one is allocated
+     * @param {Object} data - Preset fields
+     * @param {Object} context - Sent along with the 'change' event (e.g. {restoredFrom})
+     * @returns {Promise<Object>} The created preset
+     */
+    create(data, context = {}) {
+        return this.mutate(() => {
+            let id = data.id;
+
+            if (id === undefined || id === null) {
+                id = this.nextId;
+            } else if (!Number.isInteger(id) || id < 1) {
+                throw badRequest('Preset id must be a positive integer');
+            } else if (this.presets.some(p => p.id === id)) {
+                throw conflict(`Preset ${id} already exists`);
+            }
+
+            const preset = withId(id, data);
+            this.checkValid(preset);
+            this.presets.push(preset);
+            this.nextId = Math.max(this.nextId, id + 1);
+            return preset;
+        }, 'created', context);
+    }
+
+    /**
+     * Replace a preset entirely
+     * @param {number} id
+     * @param {Object} data - New preset fields
+     * @param {Object} context - Sent along with the 'change' event
+     * @returns {Promise<Object>} The stored preset
+     */
+    replace(id, data, context = {}) {
+        return this.mutate(() => {
+            const index = this.indexOf(id);
+            checkIdUnchanged(id, data);
+
+            const preset = withId(id, data);
+            this.checkValid(preset);
+            this.presets[index] = preset;
+            return preset;
+        }, 'updated', context);
+    }
+
+    /**
+     * Update some fields of a preset (shallow merge)
+     * @param {number} id
+     * @param {Object} changes - Fields to overwrite
+     * @param {Object} context - Sent along with the 'change' event
+     * @returns {Promise<Object>} The stored preset
+     */
+    update(id, changes, context = {}) {
+        return this.mutate(() => {
+            const index = this.indexOf(id);
+            checkIdUnchanged(id, changes);
+
+            const preset = { ...this.presets[index], ...clone(changes), id };
+            this.checkValid(preset);
+            this.presets[index] = preset;
+            return preset;
+        }, 'updated', context);
+    }
+
+    /**
+     * Delete a preset
+     * @param {number} id
+     * @param {Object} context - Sent along with the 'change' event
+     * @returns {Promise<Object>} The deleted preset
+     */
+    remove(id, context = {}) {
+        return this.mutate(() => {
+            const index = this.indexOf(id);
+            const [preset] = this.presets.splice(index, 1);
+            return preset;
+        }, 'deleted', context);
+    }
+
+    // ==================== Internals ====================
+
+    /**
+     * Find the array index of a preset, throwing 404 if missing
+     * @param {number} id
+     * @returns {number}
+     */
+    indexOf(id) {
+        const index = this.presets.findIndex(p => p.id === id);
+        if (index < 0) {
+            throw notFound('Preset not found');
+        }
+        return index;
+    }
+
+    /**
+     * Throw a 400 listing every failing field if a preset is invalid
+     * @param {Object} preset
+     */
+    checkValid(preset) {
+        const errors = this.validate(preset);
+        if (errors.length > 0) {
+            throw validationFailed('Invalid preset', errors);
+        }
+    }
+
+    /**
+     * Run a change against the in-memory state, then persist it
+     * Changes run one at a time on top of the latest file content; if the change or the write fails
+     * the in-memory state is rolled back
+     * @param {Function} change - () => result, may throw HttpError
+     * @param {string} event - Type of the 'change' event emitted once persisted
+     *   (the change result is the preset, its version before the change is sent as previous)
+     * @param {Object} context - Extra information for event listeners
+     * @returns {Promise<*>} Copy of the change result
+     */
+    mutate(change, event = null, context = {}) {
+        const run = async () => {
+            await this.reloadIfChanged();
+            const snapshot = { presets: clone(this.presets), nextId: this.nextId };
+
+            try {
+                const result = change();
+                await this.persist();
+                if (event) {
+                    const previous = snapshot.presets.find(p => p.id === result.id) || null;
+                    this.emit('change', { type: event, preset: clone(result), previous, context });
+                }
+                return clone(result);
+            } catch (error) {
+                this.presets = snapshot.presets;
+                this.nextId = snapshot.nextId;
+                throw error;
+            }
+        };
+
+        const result = this.queue.then(run);
+        // Keep the queue alive after a failed change
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Write the store file atomically
+     */
+    async persist() {
+        const data = JSON.stringify({ nextId: this.nextId, presets: this.presets }, null, 2);
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tmpPath, data + '\n', 'utf8');
+        await fs.rename(tmpPath, this.filePath);
+
+        this.mtimeMs = (await fs.stat(this.filePath)).mtimeMs;
+    }
+}
+
+/**
+ * Deep copy of JSON data
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Highest numeric id in a preset list (0 if empty)
+ */
+function maxId(presets) {
+    return presets.reduce((max, p) => (Number.isInteger(p.id) && p.id > max ? p.id : max), 0);
+}
+
+/**
+ * Copy of preset fields with the id as first key
+ */
+function withId(id, data) {
+    const { id: ignored, ...fields } = clone(data);
+    return { id, ...fields };
+}
+
+/**
+ * Reject bodies that try to change the id of an existing preset
+ */
+function checkIdUnchanged(id, data) {
+    if (data.id !== undefined && data.id !== id) {
+        throw badRequest('Preset id cannot be changed');
+    }
+}
+
+module.exports = PresetStore;
@@ -0,0 +1,210 @@
+/**
+ * RevisionStore Class
+ * Keeps every saved version of each preset, one JSON file per preset id:
+ *
+ *   revisions/<id>.json   { presetId, nextRevision, revisions: [{revision, type, savedAt, restoredFrom, preset}] }
+ *
+ * Fed by the 'change' events of a PresetStore (see attach). Revisions are
+ * numbered from 1 and numbers are never reused, even once old revisions are
+ * dropped past maxRevisions. History survives preset deletion, so a deleted
+ * preset can be restored.
+ */
+const fs = require('fs/promises');
+const path = require('path');
+
+class RevisionStore {
+    /**
+     * @param {string} dir - Directory of the revision files
+     * @param {Object} options
+     * @param {number} options.maxRevisions - Revisions kept per preset (default 100)
+     */
+    constructor(dir, { maxRevisions = 100 } = {}) {
+        this.dir = path.resolve(dir);
+        this.maxRevisions = maxRevisions;
+
+        // Promise chain serializing writes
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Create the revisions directory if needed
+     * @returns {Promise<RevisionStore>}
+     */
+    async init() {
+        await fs.mkdir(this.dir, { recursive: true });
+        return this;
+    }
+
+    /**
+     * Record the changes of a preset store
+     * Presets edited by hand in the store file are recorded when it is reloaded
+     * @param {PresetStore} store
+     */
+    attach(store) {
+        store.on('change', ({ type, preset, previous, context }) => {
+            if (type === 'reloaded') {
+                this.enqueue(() => Promise.all(store.list().map(p => this.recordIfChanged(p))));
+            } else {
+                this.enqueue(() => this.record(type, preset, previous, context));
+            }
+        });
+    }
+
+    /**
+     * Run a write after the pending ones; failures are logged, not thrown
+     * @param {Function} task - async () => void
+     * @returns {Promise}
+     */
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch(error => {
+            console.error('Could not record preset revision:', error);
+        });
+        return this.queue;
+    }
+
+    /**
+     * Wait for pending writes (so reads see the latest revisions)
+     * @returns {Promise}
+     */
+    flush() {
+        return this.queue;
+    }
+
+    // ==================== Reading ====================
+
+    /**
+     * All revisions of a preset, oldest first
+     * @param {number} presetId
+     * @returns {Promise<Array>} [{revision, type, savedAt, restoredFrom, preset}]
+     */
+    async list(presetId) {
+        await this.flush();
+        return (await this.readFile(presetId)).revisions;
+    }
+
+    /**
+     * One revision of a preset
+     * @param {number} presetId
+     * @param {number} revision
+     * @returns {Promise<Object|null>}
+     */
+    async get(presetId, revision) {
+        const revisions = await this.list(presetId);
+        return revisions.find(r => r.revision === revision) || null;
+    }
+
+    /**
+     * Latest recorded revision of a preset, without recording anything (for reads)
+     * Hand edits are recorded when the store reloads, so it matches the preset
+     * once pending writes are done
+     * @param {number} presetId
+     * @returns {Promise<Object|null>} {revision, type, savedAt, preset}, null without history
+     */
+    async latest(presetId) {
+        const revisions = await this.list(presetId);
+        return revisions.length > 0 ? revisions[revisions.length - 1] : null;
+    }
+
+    /**
+     * Latest revision of a preset, recording the preset first if it has
+     * no revision yet or differs from the latest one
+     * @param {Object} preset - Current version of the preset
+     * @returns {Promise<Object>} {revision, type, savedAt, preset}
+     */
+    async current(preset) {
+        await this.enqueue(() => this.recordIfChanged(preset));
+        const revisions = await this.list(preset.id);
+        return revisions[revisions.length - 1];
+    }
+
+    // ==================== Writing ====================
+
+    /**
+     * Append a revision
+     * The first recorded update of a preset created before history was kept
+     * also stores its previous version, so it can be rolled back to
+     * @param {string} type - 'created' | 'updated' | 'deleted' | 'edited'
+     * @param {Object} preset - Preset after the change (before it, for deletions)
+     * @param {Object|null} previous - Preset before the change
+     * @param {Object} context - {restoredFrom}
+     */
+    async record(type, preset, previous = null, context = {}) {
+        const history = await this.readFile(preset.id);
+
+        if (history.revisions.length === 0 && previous && type !== 'created') {
+            appendRevision(history, 'baseline', previous, {});
+        }
+        appendRevision(history, type, preset, context);
+
+        if (history.revisions.length > this.maxRevisions) {
+            history.revisions = history.revisions.slice(-this.maxRevisions);
+        }
+        await this.writeFile(history);
+    }
+
+    /**
+     * Record a preset if it differs from its latest revision
+     * (used after the store file was edited outside of the API)
+     * @param {Object} preset
+     */
+    async recordIfChanged(preset) {
+        const history = await this.readFile(preset.id);
+        const latest = history.revisions[history.revisions.length - 1];
+
+        if (!latest || JSON.stringify(latest.preset) !== JSON.stringify(preset)) {
+            await this.record(latest ? 'edited' : 'baseline', preset);
+        }
+    }
+
+    // ==================== Internals ====================
+
+    filePath(presetId) {
+        return path.join(this.dir, `${presetId}.json`);
+    }
+
+    /**
+     * Read the history of a preset (empty if none)
+     * @param {number} presetId
+     * @returns {Promise<Object>} {presetId, nextRevision, revisions}
+     */
+    async readFile(presetId) {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath(presetId), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            return { presetId, nextRevision: 1, revisions: [] };
+        }
+    }
+
+    /**
+     * Write the history of a preset atomically
+     * @param {Object} history
+     */
+    async writeFile(history) {
+        const filePath = this.filePath(history.presetId);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+        await fs.writeFile(tmpPath, JSON.stringify(history, null, 2) + '\n', 'utf8');
+        await fs.rename(tmpPath, filePath);
+    }
+}
+
+/**
+ * Add a revision to a history object
+ */
+function appendRevision(history, type, preset, { restoredFrom = null } = {}) {
+    const revision = {
+        revision: history.nextRevision++,
+        type,
+        savedAt: new Date().toISOString(),
+        preset
+    };
+    if (restoredFrom !== null) {
+        revision.restoredFrom = restoredFrom;
+    }
+    history.revisions.push(revision);
+}
+
+module.exports = RevisionStore;
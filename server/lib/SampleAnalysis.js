@@ -0,0 +1,230 @@
+/**
+ * SampleAnalysis Class
+ * Peak level, loudness, onsets, tempo and root pitch of stored samples
+ * (see audioAnalysis.js), cached on disk like the waveform peaks
+ *
+ * Analysing means decoding the whole file, so it runs in a worker thread
+ * (see audioWorker.js) and presets are never held up by it: annotate() adds the analyses already known and queues the missing ones,
+ * which run one at a time in the background. Saving a preset queues the
+ * analysis of its sounds. forFile() waits for the result.
+ *
+ * Results are keyed by file path, size and modification time.
+ */
+const crypto = require('crypto');
+const fsp = require('fs/promises');
+const path = require('path');
+const { ANALYSIS_VERSION } = require('./audioAnalysis');
+const { runAudioTask } = require('./audioWorker');
+
+class SampleAnalysis {
+    /**
+     * @param {string} dir - Directory of the analysis cache
+     * @param {Object} deps
+     * @param {SampleInfo} deps.sampleInfo - Finds the local file behind a sound URL
+     */
+    constructor(dir, { sampleInfo }) {
+        this.dir = path.resolve(dir);
+        this.sampleInfo = sampleInfo;
+
+        // filePath -> {key, analysis} (analysis null when the file could not be analysed)
+        this.memo = new Map();
+
+        // cache key -> Promise<analysis> for computations in progress
+        this.pending = new Map();
+
+        // Files waiting for a background analysis, and the chain running them
+        this.queued = new Set();
+        this.queue = Promise.resolve();
+
+        // Counters (misses are computations)
+        this.stats = { hits: 0, misses: 0, errors: 0 };
+    }
+
+    /**
+     * Create the cache directory if needed
+     * @returns {Promise<SampleAnalysis>}
+     */
+    async init() {
+        await fsp.mkdir(this.dir, { recursive: true });
+        return this;
+    }
+
+    /**
+     * Analyse the sounds of presets when they are saved
+     * @param {PresetStore} store
+     */
+    attach(store) {
+        store.on('change', ({ type, preset }) => {
+            if (type === 'created' || type === 'updated') {
+                (preset.sounds || []).forEach(sound => {
+                    if (sound && typeof sound.url === 'string') {
+                        this.sampleInfo.localFile(sound.url)
+                            .then(filePath => filePath && this.schedule(filePath))
+                            .catch(() => {});
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Cache key of a file (null if it does not exist)
+     * @param {string} filePath
+     * @returns {Promise<string|null>}
+     */
+    async cacheKey(filePath) {
+        let stats;
+        try {
+            stats = await fsp.stat(filePath);
+        } catch (error) {
+            return null;
+        }
+        return crypto.createHash('sha1')
+            .update(`${ANALYSIS_VERSION}:${filePath}:${stats.size}:${stats.mtimeMs}`)
+            .digest('hex');
+    }
+
+    /**
+     * Analysis of a file if already computed, without computing it
+     * @param {string} filePath - Absolute path
+     * @returns {Promise<Object|undefined>} Analysis, null if the file could not
+     *   be analysed, undefined if not computed yet
+     */
+    async cached(filePath) {
+        const key = await this.cacheKey(filePath);
+        if (!key) return null;
+
+        const memoized = this.memo.get(filePath);
+        if (memoized && memoized.key === key) {
+            return memoized.analysis;
+        }
+
+        try {
+            const analysis = JSON.parse(await fsp.readFile(path.join(this.dir, `${key}.json`), 'utf8'));
+            this.memo.set(filePath, { key, analysis });
+            return analysis;
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Get the analysis of a file, computing it if needed
+     * @param {string} filePath - Absolute path
+     * @returns {Promise<Object>} {peak, loudness, onsets, tempo, rootPitch}
+     */
+    async forFile(filePath) {
+        const known = await this.cached(filePath);
+        if (known) {
+            this.stats.hits++;
+            return known;
+        }
+
+        const key = await this.cacheKey(filePath);
+        if (!key) {
+            throw new Error(`File not found: ${filePath}`);
+        }
+
+        this.stats.misses++;
+        if (!this.pending.has(key)) {
+            const promise = this.compute(filePath, key)
+                .catch(error => {
+                    this.stats.errors++;
+                    this.memo.set(filePath, { key, analysis: null });
+                    throw error;
+                })
+                .finally(() => this.pending.delete(key));
+            this.pending.set(key, promise);
+        }
+        return this.pending.get(key);
+    }
+
+    /**
+     * Queue the analysis of a file, unless known or already queued
+     * @param {string} filePath - Absolute path
+     */
+    schedule(filePath) {
+        if (this.queued.has(filePath)) return;
+        this.queued.add(filePath);
+
+        this.queue = this.queue
+            .then(async () => {
+                if ((await this.cached(filePath)) === undefined) {
+                    await this.forFile(filePath);
+                }
+            })
+            .catch(error => {
+                console.warn(`Could not analyse ${path.basename(filePath)}: ${error.message}`);
+            })
+            .finally(() => this.queued.delete(filePath));
+    }
+
+    /**
+     * Decode a file, analyse it (in a worker thread) and store the result
+     */
+    async compute(filePath, key) {
+        const started = Date.now();
+        const analysis = await runAudioTask('analysis', filePath);
+
+        const cachePath = path.join(this.dir, `${key}.json`);
+        const tmpPath = `${cachePath}.${process.pid}.tmp`;
+        await fsp.writeFile(tmpPath, JSON.stringify(analysis), 'utf8');
+        await fsp.rename(tmpPath, cachePath);
+        this.memo.set(filePath, { key, analysis });
+
+        console.log(`🔬 Analysed ${path.basename(filePath)} in ${Date.now() - started} ms`);
+        return analysis;
+    }
+
+    /**
+     * Hit rate of the cache
+     * @returns {Object}
+     */
+    getStats() {
+        const requests = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            requests,
+            hitRate: requests > 0 ? this.stats.hits / requests : null,
+            queued: this.queued.size
+        };
+    }
+
+    /**
+     * Known analysis of a file, queuing it when missing
+     * @param {string|null} filePath
+     * @returns {Promise<Object|null>}
+     */
+    async lookup(filePath) {
+        if (!filePath) return null;
+
+        const analysis = await this.cached(filePath);
+        if (analysis === undefined) {
+            this.schedule(filePath);
+            return null;
+        }
+        return analysis;
+    }
+
+    /**
+     * Copy of a stored preset with sound.analysis added where known
+     * Remote samples are only analysed once they are in the proxy cache
+     * @param {Object} preset
+     * @returns {Promise<Object>}
+     */
+    async annotate(preset) {
+        if (!Array.isArray(preset.sounds)) {
+            return preset;
+        }
+
+        const sounds = await Promise.all(preset.sounds.map(async sound => {
+            if (!sound || typeof sound.url !== 'string') return sound;
+            const analysis = await this.lookup(await this.sampleInfo.localFile(sound.url));
+            return analysis ? { ...sound, analysis } : sound;
+        }));
+
+        return { ...preset, sounds };
+    }
+}
+
+module.exports = SampleAnalysis;
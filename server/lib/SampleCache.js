@@ -0,0 +1,229 @@
+/**
+ * SampleCache Class
+ * Disk cache for remote audio files, used by the /api/proxy route
+ *
+ * - Each URL is downloaded once and stored as <hash>.bin + <hash>.json (metadata)
+ * - Entries older than maxAge are revalidated with If-None-Match / If-Modified-Since
+ * - If the remote host fails, a stale entry is served rather than nothing
+ * - Concurrent requests for the same URL share one download
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { HttpError } = require('./errors');
+
+class SampleCache {
+    /**
+     * @param {string} dir - Cache directory
+     * @param {Object} options
+     * @param {number} options.maxAge - Seconds before an entry is revalidated (default 1 day)
+     * @param {number} options.maxSize - Largest accepted file in bytes (default 50 MB)
+     * @param {number} options.timeout - Remote request timeout in ms (default 30 s)
+     */
+    constructor(dir, { maxAge = 24 * 60 * 60, maxSize = 50 * 1024 * 1024, timeout = 30000 } = {}) {
+        this.dir = path.resolve(dir);
+        this.maxAge = maxAge;
+        this.maxSize = maxSize;
+        this.timeout = timeout;
+
+        // url -> Promise<entry> for downloads in progress
+        this.pending = new Map();
+
+        // Counters
+        this.stats = { hits: 0, misses: 0, revalidated: 0, stale: 0, errors: 0 };
+    }
+
+    /**
+     * Create the cache directory if needed
+     * @returns {Promise<SampleCache>}
+     */
+    async init() {
+        await fsp.mkdir(this.dir, { recursive: true });
+        return this;
+    }
+
+    /**
+     * File paths of a cache entry
+     * @param {string} url
+     * @returns {Object} {key, dataPath, metaPath}
+     */
+    paths(url) {
+        const key = crypto.createHash('sha1').update(url).digest('hex');
+        return {
+            key,
+            dataPath: path.join(this.dir, `${key}.bin`),
+            metaPath: path.join(this.dir, `${key}.json`)
+        };
+    }
+
+    /**
+     * Read the metadata of a cached URL
+     * @param {string} url
+     * @returns {Promise<Object|null>} {url, contentType, size, etag, lastModified, fetchedAt, dataPath}
+     */
+    async lookup(url) {
+        const { dataPath, metaPath } = this.paths(url);
+        try {
+            const meta = JSON.parse(await fsp.readFile(metaPath, 'utf8'));
+            await fsp.access(dataPath);
+            return { ...meta, dataPath };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get a cache entry for a URL, downloading or revalidating it if needed
+     * @param {string} url - Remote http(s) URL
+     * @returns {Promise<Object>} Entry (see lookup), plus status: 'hit' | 'miss' | 'revalidated' | 'stale'
+     */
+    async get(url) {
+        if (this.pending.has(url)) {
+            return this.pending.get(url);
+        }
+
+        const promise = this.resolve(url).finally(() => this.pending.delete(url));
+        this.pending.set(url, promise);
+        return promise;
+    }
+
+    /**
+     * Cache lookup + download logic behind get()
+     */
+    async resolve(url) {
+        const cached = await this.lookup(url);
+
+        if (cached && Date.now() - cached.fetchedAt < this.maxAge * 1000) {
+            this.stats.hits++;
+            return { ...cached, status: 'hit' };
+        }
+
+        try {
+            const entry = await this.download(url, cached);
+            this.stats[entry.status === 'revalidated' ? 'revalidated' : 'misses']++;
+            return entry;
+        } catch (error) {
+            if (cached) {
+                this.stats.stale++;
+                console.warn(`🌐 Serving stale copy of ${url}: ${error.message}`);
+                return { ...cached, status: 'stale' };
+            }
+            this.stats.errors++;
+            throw error;
+        }
+    }
+
+    /**
+     * Download a URL into the cache (conditional request if an entry exists)
+     * @param {string} url
+     * @param {Object|null} cached - Current entry
+     * @returns {Promise<Object>} New entry
+     */
+    async download(url, cached) {
+        const { dataPath, metaPath } = this.paths(url);
+        const headers = {};
+
+        if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+        if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        let response;
+        try {
+            response = await fetch(url, { headers, redirect: 'follow', signal: AbortSignal.timeout(this.timeout) });
+        } catch (error) {
+            throw remoteError(url, 'Could not reach remote host', error);
+        }
+
+        // Not modified: refresh the entry date only
+        if (response.status === 304 && cached) {
+            const { dataPath: ignored, ...meta } = cached;
+            const updated = { ...meta, fetchedAt: Date.now() };
+            await writeJson(metaPath, updated);
+            console.log(`🌐 Revalidated ${url}`);
+            return { ...updated, dataPath, status: 'revalidated' };
+        }
+
+        if (!response.ok) {
+            throw new HttpError(502, `Remote host answered ${response.status} ${response.statusText}`);
+        }
+
+        const declaredSize = parseInt(response.headers.get('Content-Length'), 10);
+        if (declaredSize > this.maxSize) {
+            throw new HttpError(413, `Remote file is too large (${declaredSize} bytes)`);
+        }
+
+        // Stream to a temp file, enforcing the size limit, then swap it in
+        const tmpPath = `${dataPath}.${process.pid}.${Date.now()}.tmp`;
+        let size = 0;
+        const maxSize = this.maxSize;
+        const limiter = new Transform({
+            transform(chunk, encoding, callback) {
+                size += chunk.length;
+                callback(size > maxSize ? new HttpError(413, 'Remote file is too large') : null, chunk);
+            }
+        });
+
+        try {
+            await pipeline(Readable.fromWeb(response.body), limiter, fs.createWriteStream(tmpPath));
+            await fsp.rename(tmpPath, dataPath);
+        } catch (error) {
+            await fsp.rm(tmpPath, { force: true });
+            throw error instanceof HttpError ? error : remoteError(url, 'Download of the remote file failed', error);
+        }
+
+        const meta = {
+            url,
+            contentType: response.headers.get('Content-Type') || 'application/octet-stream',
+            size,
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified'),
+            fetchedAt: Date.now()
+        };
+        await writeJson(metaPath, meta);
+
+        console.log(`🌐 Cached ${url} (${size} bytes)`);
+        return { ...meta, dataPath, status: 'miss' };
+    }
+
+    /**
+     * Hit rate and entry counters
+     * @returns {Object}
+     */
+    getStats() {
+        const requests = this.stats.hits + this.stats.misses + this.stats.revalidated + this.stats.stale;
+        return {
+            ...this.stats,
+            requests,
+            hitRate: requests > 0 ? (this.stats.hits + this.stats.revalidated) / requests : null
+        };
+    }
+}
+
+/**
+ * Gateway error of a failed remote call: 504 on timeout, 502 otherwise
+ * The message sent to the client is fixed; the cause (which may name local
+ * paths or hosts) only goes to the server log
+ * @param {string} url
+ * @param {string} message
+ * @param {Error} cause
+ * @returns {HttpError}
+ */
+function remoteError(url, message, cause) {
+    console.warn(`🌐 ${message} (${url}): ${cause.message}`);
+    return cause.name === 'TimeoutError'
+        ? new HttpError(504, 'Remote host did not answer in time')
+        : new HttpError(502, message);
+}
+
+/**
+ * Write a JSON file atomically
+ */
+async function writeJson(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fsp.writeFile(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+    await fsp.rename(tmpPath, filePath);
+}
+
+module.exports = SampleCache;
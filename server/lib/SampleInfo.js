@@ -0,0 +1,135 @@
+/**
+ * SampleInfo Class
+ * Reads audio file headers (WAV, MP3, OGG, FLAC...) to describe samples
+ * without decoding them: duration, sample rate, channels, bit depth, size
+ *
+ * Works on hosted samples and on remote samples already in the proxy cache.
+ * Results are memoized per file path, size and modification time.
+ */
+const fsp = require('fs/promises');
+const mm = require('music-metadata');
+const { isLibraryPath } = require('./soundUrls');
+
+class SampleInfo {
+    /**
+     * @param {Object} deps
+     * @param {SampleLibrary} deps.library - Hosted samples
+     * @param {SampleCache} deps.cache - Proxied remote samples
+     */
+    constructor({ library, cache }) {
+        this.library = library;
+        this.cache = cache;
+
+        // filePath -> {key, info}
+        this.memo = new Map();
+
+        // Counters
+        this.stats = { hits: 0, misses: 0 };
+    }
+
+    /**
+     * Describe an audio file
+     * @param {string} filePath - Absolute path
+     * @returns {Promise<Object|null>} {format, codec, duration, sampleRate, channels, bitDepth, bitrate, size}
+     */
+    async forFile(filePath) {
+        let stats;
+        try {
+            stats = await fsp.stat(filePath);
+        } catch (error) {
+            return null;
+        }
+
+        const key = `${stats.size}:${stats.mtimeMs}`;
+        const memoized = this.memo.get(filePath);
+        if (memoized && memoized.key === key) {
+            this.stats.hits++;
+            return memoized.info;
+        }
+        this.stats.misses++;
+
+        let info = null;
+        try {
+            const { format } = await mm.parseFile(filePath, { duration: true, skipCovers: true });
+            info = {
+                format: format.container || null,
+                codec: format.codec || null,
+                duration: format.duration ?? null,
+                sampleRate: format.sampleRate ?? null,
+                channels: format.numberOfChannels ?? null,
+                bitDepth: format.bitsPerSample ?? null,
+                bitrate: format.bitrate ? Math.round(format.bitrate) : null,
+                size: stats.size
+            };
+        } catch (error) {
+            console.warn(`Could not read audio header of ${filePath}: ${error.message}`);
+        }
+
+        this.memo.set(filePath, { key, info });
+        return info;
+    }
+
+    /**
+     * Hit rate and memo size
+     * @returns {Object}
+     */
+    getStats() {
+        const requests = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            requests,
+            hitRate: requests > 0 ? this.stats.hits / requests : null,
+            entries: this.memo.size
+        };
+    }
+
+    /**
+     * Local file backing a stored sound URL, if any
+     * @param {string} url - Library path or remote URL
+     * @returns {Promise<string|null>} Absolute path
+     */
+    async localFile(url) {
+        if (isLibraryPath(url)) {
+            try {
+                return this.library.resolve(url);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        const cached = await this.cache.lookup(url);
+        return cached ? cached.dataPath : null;
+    }
+
+    /**
+     * Describe the sample behind a stored sound URL
+     * Remote samples are only described once they are in the proxy cache
+     * @param {string} url
+     * @returns {Promise<Object|null>}
+     */
+    async forUrl(url) {
+        const filePath = await this.localFile(url);
+        return filePath ? this.forFile(filePath) : null;
+    }
+
+    /**
+     * Copy of a stored preset with sound.metadata added where known
+     * @param {Object} preset
+     * @returns {Promise<Object>}
+     */
+    async annotate(preset) {
+        if (!Array.isArray(preset.sounds)) {
+            return preset;
+        }
+
+        const sounds = await Promise.all(preset.sounds.map(async sound => {
+            if (!sound || typeof sound.url !== 'string') return sound;
+            const metadata = await this.forUrl(sound.url);
+            return metadata ? { ...sound, metadata } : sound;
+        }));
+
+        return { ...preset, sounds };
+    }
+}
+
+module.exports = SampleInfo;
@@ -0,0 +1,157 @@
+/**
+ * SampleLibrary Class
+ * Manages the directory of audio files hosted by the server
+ *
+ * Files are addressed by a path relative to the library root
+ * (e.g. "drums/kick.wav"), which is also how presets reference them
+ */
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { badRequest } = require('./errors');
+
+// Audio file extensions accepted for upload and hosting
+const AUDIO_EXTENSIONS = ['.wav', '.mp3', '.ogg', '.oga', '.flac', '.m4a', '.aac', '.webm'];
+
+class SampleLibrary {
+    /**
+     * @param {string} dir - Root directory of the hosted samples
+     */
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+    }
+
+    /**
+     * Create the library directory if needed
+     * @returns {Promise<SampleLibrary>}
+     */
+    async init() {
+        await fsp.mkdir(this.dir, { recursive: true });
+        return this;
+    }
+
+    /**
+     * Check if a file name has a supported audio extension
+     * @param {string} fileName
+     * @returns {boolean}
+     */
+    static isAudioFile(fileName) {
+        return AUDIO_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+    }
+
+    /**
+     * Turn free text into a safe file or folder name
+     * "My Kick (2)" -> "my-kick-2"
+     * @param {string} text
+     * @returns {string}
+     */
+    static slugify(text) {
+        return String(text)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9._-]+/g, '-')
+            .replace(/^[-.]+|[-.]+$/g, '');
+    }
+
+    /**
+     * Turn a user supplied file name into a safe one
+     * "My Kick (2).WAV" -> "my-kick-2.wav"
+     * @param {string} fileName
+     * @returns {string}
+     */
+    static sanitizeName(fileName) {
+        const ext = path.extname(fileName).toLowerCase();
+        const base = SampleLibrary.slugify(path.basename(fileName, path.extname(fileName)));
+        return (base || 'sample') + ext;
+    }
+
+    /**
+     * Resolve a library relative path to an absolute path
+     * Rejects paths escaping the library directory
+     * @param {string} relativePath - e.g. "drums/kick.wav"
+     * @returns {string} Absolute path
+     */
+    resolve(relativePath) {
+        const absolute = path.resolve(this.dir, relativePath);
+        if (absolute !== this.dir && !absolute.startsWith(this.dir + path.sep)) {
+            throw badRequest(`Invalid sample path: ${relativePath}`);
+        }
+        return absolute;
+    }
+
+    /**
+     * Library relative path (always with forward slashes) of an absolute path
+     * @param {string} absolutePath
+     * @returns {string}
+     */
+    relative(absolutePath) {
+        return path.relative(this.dir, absolutePath).split(path.sep).join('/');
+    }
+
+    /**
+     * Pick a free file name in a library folder
+     * "kick.wav" -> "kick-1.wav" if "kick.wav" exists or is reserved
+     * @param {string} folder - Library relative folder ('' for root)
+     * @param {string} fileName - Sanitized file name
+     * @param {Set<string>} reserved - Relative paths already handed out
+     * @returns {string} Library relative path
+     */
+    uniquePath(folder, fileName, reserved = new Set()) {
+        const ext = path.extname(fileName);
+        const base = path.basename(fileName, ext);
+
+        for (let i = 0; ; i++) {
+            const candidate = path.posix.join(folder, i === 0 ? fileName : `${base}-${i}${ext}`);
+            if (!reserved.has(candidate) && !fs.existsSync(this.resolve(candidate))) {
+                reserved.add(candidate);
+                return candidate;
+            }
+        }
+    }
+
+    /**
+     * Check if a sample exists (synchronous, used by schema validation)
+     * @param {string} relativePath
+     * @returns {boolean}
+     */
+    existsSync(relativePath) {
+        try {
+            return fs.statSync(this.resolve(relativePath)).isFile();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * List all hosted samples
+     * @returns {Promise<Array>} [{path, size, modified}]
+     */
+    async list() {
+        const samples = [];
+
+        const walk = async (dir) => {
+            const entries = await fsp.readdir(dir, { withFileTypes: true });
+            for (const entry of entries) {
+                const absolute = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(absolute);
+                } else if (entry.isFile() && SampleLibrary.isAudioFile(entry.name)) {
+                    const stats = await fsp.stat(absolute);
+                    samples.push({
+                        path: this.relative(absolute),
+                        size: stats.size,
+                        modified: stats.mtime.toISOString()
+                    });
+                }
+            }
+        };
+
+        await walk(this.dir);
+        return samples.sort((a, b) => a.path.localeCompare(b.path));
+    }
+}
+
+SampleLibrary.AUDIO_EXTENSIONS = AUDIO_EXTENSIONS;
+
+module.exports = SampleLibrary;
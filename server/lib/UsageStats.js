@@ -0,0 +1,159 @@
+/**
+ * UsageStats Class
+ * Counts how the server is used: preset loads (kept across restarts) and
+ * HTTP requests by method and status (since start)
+ *
+ *   usage.json   { presetLoads: { "<presetId>": count } }
+ *
+ * Load counts are written a few seconds after they change rather than on
+ * every request, so the last counts may be lost if the process is killed.
+ */
+const fs = require('fs/promises');
+const path = require('path');
+
+class UsageStats {
+    /**
+     * @param {string} filePath - Path of the JSON counts file
+     * @param {Object} options
+     * @param {number} options.saveDelay - Milliseconds between a change and its write (default 5 s)
+     */
+    constructor(filePath, { saveDelay = 5000 } = {}) {
+        this.filePath = filePath;
+        this.saveDelay = saveDelay;
+        this.startedAt = new Date();
+
+        // presetId -> number of loads
+        this.presetLoads = new Map();
+
+        // "METHOD STATUS" -> {method, status, count, seconds}
+        this.requests = new Map();
+
+        this.saveTimer = null;
+    }
+
+    /**
+     * Load the saved counts (none if missing)
+     * @returns {Promise<UsageStats>}
+     */
+    async init() {
+        try {
+            const state = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            Object.entries(state.presetLoads || {}).forEach(([id, count]) => {
+                this.presetLoads.set(Number(id), count);
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Drop the load counts of deleted presets
+     * @param {PresetStore} store
+     */
+    attach(store) {
+        store.on('change', ({ type, preset }) => {
+            if (type === 'deleted') {
+                this.forget(preset.id);
+            }
+        });
+    }
+
+    /**
+     * Seconds since the server started
+     * @returns {number}
+     */
+    get uptime() {
+        return (Date.now() - this.startedAt.getTime()) / 1000;
+    }
+
+    // ==================== Counting ====================
+
+    /**
+     * Count a load of a preset
+     * @param {number} presetId
+     */
+    recordLoad(presetId) {
+        this.presetLoads.set(presetId, (this.presetLoads.get(presetId) || 0) + 1);
+        this.scheduleSave();
+    }
+
+    /**
+     * Forget the loads of a deleted preset
+     * @param {number} presetId
+     */
+    forget(presetId) {
+        if (this.presetLoads.delete(presetId)) {
+            this.scheduleSave();
+        }
+    }
+
+    /**
+     * Express middleware counting requests and their duration once answered
+     * @returns {Function}
+     */
+    middleware() {
+        return (req, res, next) => {
+            const started = process.hrtime.bigint();
+            res.on('finish', () => {
+                const key = `${req.method} ${res.statusCode}`;
+                const entry = this.requests.get(key) || { method: req.method, status: res.statusCode, count: 0, seconds: 0 };
+                entry.count++;
+                entry.seconds += Number(process.hrtime.bigint() - started) / 1e9;
+                this.requests.set(key, entry);
+            });
+            next();
+        };
+    }
+
+    // ==================== Reading ====================
+
+    /**
+     * Load counts, most loaded first
+     * @returns {Array} [{id, loads}]
+     */
+    loads() {
+        return [...this.presetLoads.entries()]
+            .map(([id, loads]) => ({ id, loads }))
+            .sort((a, b) => b.loads - a.loads || a.id - b.id);
+    }
+
+    /**
+     * Request counters, sorted by method then status
+     * @returns {Array} [{method, status, count, seconds}]
+     */
+    requestCounts() {
+        return [...this.requests.values()]
+            .map(entry => ({ ...entry }))
+            .sort((a, b) => a.method.localeCompare(b.method) || a.status - b.status);
+    }
+
+    // ==================== Saving ====================
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => {
+                console.error('Could not save usage stats:', error);
+            });
+        }, this.saveDelay);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Write the load counts atomically
+     */
+    async save() {
+        const data = JSON.stringify({ presetLoads: Object.fromEntries(this.presetLoads) }, null, 2);
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tmpPath, data + '\n', 'utf8');
+        await fs.rename(tmpPath, this.filePath);
+    }
+}
+
+module.exports = UsageStats;
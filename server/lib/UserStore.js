@@ -0,0 +1,189 @@
+/**
+ * UserStore Class
+ * Local user accounts authenticated by API tokens
+ *
+ *   users.json   { nextId, users: [{id, username, displayName, tokenHash, createdAt}] }
+ *
+ * Tokens are random and only returned when created; the store keeps their
+ * SHA-256 hash. A user can rotate their token, which revokes the old one.
+ */
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { conflict, notFound, validationFailed } = require('./errors');
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9_.-]{1,31}$/;
+const MAX_DISPLAY_NAME_LENGTH = 100;
+
+/**
+ * SHA-256 of a token
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Public fields of a user (no token hash)
+ */
+function publicUser({ id, username, displayName, createdAt }) {
+    return { id, username, displayName, createdAt };
+}
+
+class UserStore {
+    /**
+     * @param {string} filePath - Path of the JSON store file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.users = [];
+        this.nextId = 1;
+
+        // Promise chain serializing writes
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Load the store from disk (empty if missing)
+     * @returns {Promise<UserStore>}
+     */
+    async init() {
+        try {
+            const state = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            this.users = state.users || [];
+            this.nextId = state.nextId || 1;
+            console.log(`👤 Loaded ${this.users.length} user(s) from ${this.filePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Find the user owning a token
+     * @param {string} token
+     * @returns {Object|null} Public user fields
+     */
+    authenticate(token) {
+        const hash = hashToken(token);
+        const user = this.users.find(u => u.tokenHash === hash);
+        return user ? publicUser(user) : null;
+    }
+
+    /**
+     * Number of accounts
+     * @returns {number}
+     */
+    count() {
+        return this.users.length;
+    }
+
+    /**
+     * Get a user by id
+     * @param {number} id
+     * @returns {Object|null} Public user fields
+     */
+    get(id) {
+        const user = this.users.find(u => u.id === id);
+        return user ? publicUser(user) : null;
+    }
+
+    /**
+     * Get a user by username
+     * @param {string} username
+     * @returns {Object|null} Public user fields
+     */
+    findByUsername(username) {
+        const user = this.users.find(u => u.username === username);
+        return user ? publicUser(user) : null;
+    }
+
+    /**
+     * Create an account
+     * @param {Object} data - {username, displayName}
+     * @returns {Promise<Object>} {user, token} - the token is not stored in clear, keep it
+     */
+    create({ username, displayName } = {}) {
+        return this.mutate(() => {
+            const errors = [];
+            if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+                errors.push({ field: 'username', message: 'must be 2-32 lowercase letters, digits, "_", "." or "-"' });
+            }
+            if (displayName !== undefined
+                && (typeof displayName !== 'string' || displayName.length > MAX_DISPLAY_NAME_LENGTH)) {
+                errors.push({ field: 'displayName', message: `must be a string of at most ${MAX_DISPLAY_NAME_LENGTH} characters` });
+            }
+            if (errors.length > 0) {
+                throw validationFailed('Invalid user', errors);
+            }
+            if (this.users.some(u => u.username === username)) {
+                throw conflict(`Username ${username} is taken`);
+            }
+
+            const token = crypto.randomBytes(24).toString('base64url');
+            const user = {
+                id: this.nextId++,
+                username,
+                displayName: displayName || username,
+                tokenHash: hashToken(token),
+                createdAt: new Date().toISOString()
+            };
+            this.users.push(user);
+            return { user: publicUser(user), token };
+        });
+    }
+
+    /**
+     * Replace the token of a user (the old one stops working)
+     * @param {number} id
+     * @returns {Promise<string>} New token
+     */
+    rotateToken(id) {
+        return this.mutate(() => {
+            const user = this.users.find(u => u.id === id);
+            if (!user) {
+                throw notFound('User not found');
+            }
+            const token = crypto.randomBytes(24).toString('base64url');
+            user.tokenHash = hashToken(token);
+            return token;
+        });
+    }
+
+    /**
+     * Run a change, then persist it; rolls back the in-memory state on failure
+     */
+    mutate(change) {
+        const run = async () => {
+            const snapshot = { users: JSON.parse(JSON.stringify(this.users)), nextId: this.nextId };
+            try {
+                const result = change();
+                await this.persist();
+                return result;
+            } catch (error) {
+                this.users = snapshot.users;
+                this.nextId = snapshot.nextId;
+                throw error;
+            }
+        };
+
+        const result = this.queue.then(run);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Write the store file atomically
+     */
+    async persist() {
+        const data = JSON.stringify({ nextId: this.nextId, users: this.users }, null, 2);
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tmpPath, data + '\n', 'utf8');
+        await fs.rename(tmpPath, this.filePath);
+    }
+}
+
+module.exports = UserStore;
@@ -0,0 +1,157 @@
+/**
+ * WaveformPeaks Class
+ * Precomputes multi-resolution waveform peaks of audio files
+ *
+ * Peaks file format (JSON):
+ *   {
+ *     version: 1, sampleRate, channels, length, duration,
+ *     bits: 8,
+ *     levels: [{ buckets, samplesPerBucket, data }]   // coarse to fine
+ *   }
+ *
+ * Each level splits the sound into `buckets` equal slices; `data` is base64
+ * of an Int8Array holding min, max pairs (all channels mixed, scaled to ±127).
+ * Clients pick the coarsest level with at least one bucket per pixel.
+ *
+ * Results are cached on disk, keyed by file path, size and modification time.
+ */
+const crypto = require('crypto');
+const fsp = require('fs/promises');
+const path = require('path');
+const { runAudioTask } = require('./audioWorker');
+
+const PEAKS_VERSION = 1;
+const LEVEL_BUCKETS = [256, 1024, 4096, 16384];
+
+class WaveformPeaks {
+    /**
+     * @param {string} dir - Directory of the peaks cache
+     */
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+
+        // cache key -> Promise<peaks> for computations in progress
+        this.pending = new Map();
+
+        // Counters (misses are computations, joining one in progress included)
+        this.stats = { hits: 0, misses: 0, errors: 0 };
+    }
+
+    /**
+     * Create the cache directory if needed
+     * @returns {Promise<WaveformPeaks>}
+     */
+    async init() {
+        await fsp.mkdir(this.dir, { recursive: true });
+        return this;
+    }
+
+    /**
+     * Get the peaks of an audio file, computing them if not cached
+     * @param {string} filePath - Absolute path
+     * @returns {Promise<Object>} Peaks (see format above)
+     */
+    async forFile(filePath) {
+        const stats = await fsp.stat(filePath);
+        const key = crypto.createHash('sha1')
+            .update(`${PEAKS_VERSION}:${filePath}:${stats.size}:${stats.mtimeMs}`)
+            .digest('hex');
+        const cachePath = path.join(this.dir, `${key}.json`);
+
+        try {
+            const peaks = JSON.parse(await fsp.readFile(cachePath, 'utf8'));
+            this.stats.hits++;
+            return peaks;
+        } catch (error) {
+            // Not cached yet
+        }
+
+        this.stats.misses++;
+        if (!this.pending.has(key)) {
+            const promise = this.compute(filePath, cachePath)
+                .catch(error => {
+                    this.stats.errors++;
+                    throw error;
+                })
+                .finally(() => this.pending.delete(key));
+            this.pending.set(key, promise);
+        }
+        return this.pending.get(key);
+    }
+
+    /**
+     * Hit rate of the disk cache
+     * @returns {Object}
+     */
+    getStats() {
+        const requests = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            requests,
+            hitRate: requests > 0 ? this.stats.hits / requests : null
+        };
+    }
+
+    /**
+     * Decode a file, compute its peaks (in a worker thread) and store them
+     */
+    async compute(filePath, cachePath) {
+        const started = Date.now();
+        const peaks = await runAudioTask('peaks', filePath);
+
+        const tmpPath = `${cachePath}.${process.pid}.tmp`;
+        await fsp.writeFile(tmpPath, JSON.stringify(peaks), 'utf8');
+        await fsp.rename(tmpPath, cachePath);
+
+        console.log(`📈 Computed peaks of ${path.basename(filePath)} in ${Date.now() - started} ms`);
+        return peaks;
+    }
+
+    /**
+     * Compute peaks from decoded PCM data
+     * @param {Object} decoded - {sampleRate, channels, length, duration, channelData}
+     * @returns {Object} Peaks
+     */
+    static fromChannels({ sampleRate, channels, length, duration, channelData }) {
+        const bucketCounts = [...new Set(LEVEL_BUCKETS.map(n => Math.max(1, Math.min(n, length))))];
+
+        const levels = bucketCounts.map(buckets => {
+            const data = new Int8Array(buckets * 2);
+
+            for (let b = 0; b < buckets; b++) {
+                const start = Math.floor((b * length) / buckets);
+                const end = Math.max(start + 1, Math.floor(((b + 1) * length) / buckets));
+                let min = 0;
+                let max = 0;
+
+                for (const samples of channelData) {
+                    for (let i = start; i < end && i < length; i++) {
+                        const value = samples[i];
+                        if (value < min) min = value;
+                        if (value > max) max = value;
+                    }
+                }
+
+                data[b * 2] = quantize(min);
+                data[b * 2 + 1] = quantize(max);
+            }
+
+            return {
+                buckets,
+                samplesPerBucket: length / buckets,
+                data: Buffer.from(data.buffer).toString('base64')
+            };
+        });
+
+        return { version: PEAKS_VERSION, sampleRate, channels, length, duration, bits: 8, levels };
+    }
+}
+
+/**
+ * Scale a sample in [-1, 1] to a signed byte
+ */
+function quantize(value) {
+    return Math.max(-127, Math.min(127, Math.round(value * 127)));
+}
+
+module.exports = WaveformPeaks;
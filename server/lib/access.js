@@ -0,0 +1,116 @@
+/**
+ * Authentication and preset access rules
+ *
+ * Requests carry an API token as "Authorization: Bearer <token>"
+ * (or ?token= for EventSource, which cannot set headers).
+ *
+ * Preset visibility:
+ *   private  only the owner sees it (default for new presets)
+ *   shared   every signed-in user sees it
+ *   public   everyone sees it, signed in or not
+ *
+ * Only the owner may change or delete a preset. Presets without an owner
+ * (created before accounts existed) are public and any signed-in user may edit them.
+ */
+const { unauthorized, forbidden, notFound } = require('./errors');
+
+const VISIBILITIES = ['private', 'shared', 'public'];
+const DEFAULT_VISIBILITY = 'private';
+
+/**
+ * Express middleware setting req.user from the request token (null if none)
+ * An unknown token is rejected rather than treated as anonymous
+ * @param {UserStore} users
+ * @returns {Function}
+ */
+function authenticate(users) {
+    return (req, res, next) => {
+        const header = req.get('Authorization') || '';
+        const match = header.match(/^Bearer\s+(\S+)$/i);
+        const token = match ? match[1] : (typeof req.query.token === 'string' ? req.query.token : null);
+
+        req.user = null;
+        if (token) {
+            req.user = users.authenticate(token);
+            if (!req.user) {
+                return next(unauthorized('Invalid API token'));
+            }
+        }
+        next();
+    };
+}
+
+/**
+ * Express middleware rejecting anonymous requests
+ */
+function requireUser(req, res, next) {
+    next(req.user ? null : unauthorized());
+}
+
+/**
+ * Check if a user may see a preset
+ * @param {Object} preset
+ * @param {Object|null} user
+ * @returns {boolean}
+ */
+function canRead(preset, user) {
+    if (!preset.owner || (user && user.id === preset.owner)) return true;
+
+    const visibility = preset.visibility || DEFAULT_VISIBILITY;
+    return visibility === 'public' || (visibility === 'shared' && Boolean(user));
+}
+
+/**
+ * Check if a user may change a preset
+ * @param {Object} preset
+ * @param {Object|null} user
+ * @returns {boolean}
+ */
+function canWrite(preset, user) {
+    return Boolean(user) && (!preset.owner || preset.owner === user.id);
+}
+
+/**
+ * Get a preset the user may see
+ * Presets the user may not see are reported as missing, not forbidden
+ * @param {PresetStore} store
+ * @param {number} id
+ * @param {Object|null} user
+ * @returns {Object} Preset
+ */
+function readablePreset(store, id, user) {
+    const preset = store.get(id);
+    if (!preset || !canRead(preset, user)) {
+        throw notFound('Preset not found');
+    }
+    return preset;
+}
+
+/**
+ * Get a preset the user may change
+ * @param {PresetStore} store
+ * @param {number} id
+ * @param {Object|null} user
+ * @returns {Object} Preset
+ */
+function writablePreset(store, id, user) {
+    if (!user) {
+        throw unauthorized();
+    }
+    const preset = readablePreset(store, id, user);
+    if (!canWrite(preset, user)) {
+        throw forbidden('Only the owner can change this preset');
+    }
+    return preset;
+}
+
+module.exports = {
+    VISIBILITIES,
+    DEFAULT_VISIBILITY,
+    authenticate,
+    requireUser,
+    canRead,
+    canWrite,
+    readablePreset,
+    writablePreset
+};
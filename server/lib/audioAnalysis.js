@@ -0,0 +1,466 @@
+/**
+ * Audio analysis
+ * Measures decoded PCM data so samples can be sorted and compared without
+ * listening to them:
+ *
+ *   peak       highest sample level, dBFS
+ *   loudness   integrated loudness, LUFS (ITU-R BS.1770: K-weighted, gated 400 ms blocks)
+ *   onsets     start times of the hits, seconds (peaks of the spectral flux)
+ *   tempo      beats per minute of loops (autocorrelation of the onset strength),
+ *              null for one-shots
+ *   rootPitch  {note, midi, frequency, cents} of tonal sounds (YIN), null when
+ *              no stable pitch is found (most drums)
+ *
+ * Values are estimates: tempo may be half or double the felt tempo, and the
+ * pitch of noisy sounds is left out rather than guessed.
+ */
+
+// Bumped when the results change, so cached analyses are recomputed
+const ANALYSIS_VERSION = 1;
+
+// Onsets further apart than this are kept (seconds)
+const MIN_ONSET_GAP = 0.05;
+const MAX_ONSETS = 512;
+
+// Tempo is only estimated for sounds this long with this many onsets (loops)
+const MIN_TEMPO_DURATION = 2;
+const MIN_TEMPO_ONSETS = 4;
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+
+// Pitch search range (Hz) and YIN threshold
+const MIN_PITCH = 40;
+const MAX_PITCH = 2000;
+const YIN_THRESHOLD = 0.15;
+const MAX_PITCH_FRAMES = 12;
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// ==================== Helpers ====================
+
+// (|| 0 turns -0 into 0)
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits || 0;
+
+/**
+ * Smallest power of two >= value
+ */
+function nextPowerOfTwo(value) {
+    let size = 1;
+    while (size < value) size *= 2;
+    return size;
+}
+
+/**
+ * Average of the channels
+ * @param {Float32Array[]} channelData
+ * @returns {Float32Array}
+ */
+function mixDown(channelData) {
+    if (channelData.length === 1) return channelData[0];
+
+    const length = channelData[0].length;
+    const mono = new Float32Array(length);
+    for (const samples of channelData) {
+        for (let i = 0; i < length; i++) {
+            mono[i] += samples[i] / channelData.length;
+        }
+    }
+    return mono;
+}
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ */
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size *= 2) {
+        const angle = (-2 * Math.PI) / size;
+        const half = size / 2;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < half; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + half;
+                const tre = re[b] * cos - im[b] * sin;
+                const tim = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tre;
+                im[b] = im[a] - tim;
+                re[a] += tre;
+                im[a] += tim;
+            }
+        }
+    }
+}
+
+// ==================== Level ====================
+
+/**
+ * Highest absolute sample value
+ * @param {Float32Array[]} channelData
+ * @returns {number|null} dBFS, null for silence
+ */
+function measurePeak(channelData) {
+    let peak = 0;
+    for (const samples of channelData) {
+        for (let i = 0; i < samples.length; i++) {
+            const value = Math.abs(samples[i]);
+            if (value > peak) peak = value;
+        }
+    }
+    return peak > 0 ? round(20 * Math.log10(peak), 1) : null;
+}
+
+/**
+ * Biquad coefficients of the two K-weighting stages for a sample rate
+ * (high shelf modelling the head, then a high-pass), designed as in
+ * libebur128 so that they match the BS.1770 coefficients at 48 kHz
+ * @param {number} sampleRate
+ * @returns {Array} [{b0, b1, b2, a1, a2}, ...]
+ */
+function kWeightingFilters(sampleRate) {
+    // High shelf: +4 dB above ~1.7 kHz
+    let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = 10 ** (3.999843853973347 / 20);
+    const Vb = Vh ** 0.4996667741545416;
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+        b0: (Vh + (Vb * K) / Q + K * K) / a0,
+        b1: (2 * (K * K - Vh)) / a0,
+        b2: (Vh - (Vb * K) / Q + K * K) / a0,
+        a1: (2 * (K * K - 1)) / a0,
+        a2: (1 - K / Q + K * K) / a0
+    };
+
+    // High-pass at ~38 Hz
+    K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highPass = {
+        b0: 1,
+        b1: -2,
+        b2: 1,
+        a1: (2 * (K * K - 1)) / a0,
+        a2: (1 - K / Q + K * K) / a0
+    };
+
+    return [shelf, highPass];
+}
+
+/**
+ * Run samples through a biquad filter
+ * @returns {Float32Array}
+ */
+function biquad(samples, { b0, b1, b2, a1, a2 }) {
+    const out = new Float32Array(samples.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const x = samples[i];
+        const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1; x1 = x;
+        y2 = y1; y1 = y;
+        out[i] = y;
+    }
+    return out;
+}
+
+/**
+ * Integrated loudness (BS.1770)
+ * Mean square of the K-weighted channels over 400 ms blocks overlapping by
+ * 75%, gated at -70 LUFS then 10 LU below the mean; sounds shorter than a
+ * block are measured as a single block
+ * @param {Object} decoded - {sampleRate, length, channelData}
+ * @returns {number|null} LUFS, null for silence
+ */
+function measureLoudness({ sampleRate, length, channelData }) {
+    if (length === 0) return null;
+
+    const filters = kWeightingFilters(sampleRate);
+    const weighted = channelData.map(samples => filters.reduce(biquad, samples));
+
+    // Energy of 100 ms steps, summed over the channels; a block is 4 steps
+    const step = Math.max(1, Math.round(sampleRate * 0.1));
+    const steps = Math.ceil(length / step);
+    const energy = new Float64Array(steps);
+    for (const samples of weighted) {
+        for (let i = 0; i < length; i++) {
+            energy[Math.floor(i / step)] += samples[i] * samples[i];
+        }
+    }
+
+    const blockPowers = [];
+    if (length < step * 4) {
+        blockPowers.push(energy.reduce((sum, e) => sum + e, 0) / length);
+    } else {
+        for (let s = 0; s + 4 <= Math.floor(length / step); s++) {
+            blockPowers.push((energy[s] + energy[s + 1] + energy[s + 2] + energy[s + 3]) / (step * 4));
+        }
+    }
+
+    const lufs = power => -0.691 + 10 * Math.log10(power);
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+    const audible = blockPowers.filter(power => power > 0 && lufs(power) > -70);
+    if (audible.length === 0) return null;
+
+    const relativeGate = lufs(mean(audible)) - 10;
+    const gated = audible.filter(power => lufs(power) > relativeGate);
+    return round(lufs(mean(gated)), 1);
+}
+
+// ==================== Onsets and tempo ====================
+
+/**
+ * Onset strength: positive change of the log magnitude spectrum between
+ * consecutive frames (spectral flux)
+ * @param {Float32Array} mono
+ * @param {number} sampleRate
+ * @returns {Object} {flux: Float64Array, hop, frameRate}
+ */
+function spectralFlux(mono, sampleRate) {
+    const frameSize = nextPowerOfTwo(sampleRate * 0.023);
+    const hop = frameSize / 2;
+    // Whole frames only: zero padding the last one would look like an onset
+    const frames = mono.length > frameSize ? Math.floor((mono.length - frameSize) / hop) + 1 : 1;
+    const bins = frameSize / 2;
+
+    const window = new Float64Array(frameSize);
+    for (let i = 0; i < frameSize; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frameSize);
+    }
+
+    const flux = new Float64Array(frames);
+    let previous = new Float64Array(bins);
+    const re = new Float64Array(frameSize);
+    const im = new Float64Array(frameSize);
+
+    for (let f = 0; f < frames; f++) {
+        const start = f * hop;
+        for (let i = 0; i < frameSize; i++) {
+            re[i] = start + i < mono.length ? mono[start + i] * window[i] : 0;
+            im[i] = 0;
+        }
+        fft(re, im);
+
+        const current = new Float64Array(bins);
+        let sum = 0;
+        for (let k = 0; k < bins; k++) {
+            current[k] = Math.log1p(100 * Math.hypot(re[k], im[k]));
+            const rise = current[k] - previous[k];
+            if (rise > 0) sum += rise;
+        }
+        flux[f] = sum;
+        previous = current;
+    }
+
+    return { flux, hop, frameRate: sampleRate / hop };
+}
+
+/**
+ * Times of the onset strength peaks standing out of their surroundings
+ * @param {Object} strength - {flux, hop, frameRate}
+ * @param {number} sampleRate
+ * @returns {number[]} Seconds
+ */
+function pickOnsets({ flux, hop, frameRate }, sampleRate) {
+    const max = flux.reduce((m, v) => Math.max(m, v), 0);
+    if (max === 0) return [];
+
+    const around = Math.max(1, Math.round(frameRate * 0.1));
+    const minGap = MIN_ONSET_GAP * frameRate;
+    const onsets = [];
+    let last = -Infinity;
+
+    for (let f = 0; f < flux.length && onsets.length < MAX_ONSETS; f++) {
+        const value = flux[f] / max;
+        let isPeak = true;
+        let sum = 0;
+        let count = 0;
+        for (let g = Math.max(0, f - around); g <= Math.min(flux.length - 1, f + around); g++) {
+            if (Math.abs(g - f) <= 3 && flux[g] > flux[f]) isPeak = false;
+            sum += flux[g] / max;
+            count++;
+        }
+
+        if (isPeak && value > sum / count + 0.1 && value > 0.05 && f - last >= minGap) {
+            onsets.push(round((f * hop) / sampleRate, 3));
+            last = f;
+        }
+    }
+    return onsets;
+}
+
+/**
+ * Tempo of the strongest periodicity of the onset strength between MIN_BPM
+ * and MAX_BPM, favouring values near 120 BPM
+ * @param {Object} strength - {flux, frameRate}
+ * @returns {number|null} BPM
+ */
+function estimateTempo({ flux, frameRate }) {
+    const mean = flux.reduce((sum, v) => sum + v, 0) / flux.length;
+    const envelope = flux.map(v => Math.max(0, v - mean));
+
+    const correlation = lag => {
+        let sum = 0;
+        for (let i = 0; i + lag < envelope.length; i++) {
+            sum += envelope[i] * envelope[i + lag];
+        }
+        return sum / (envelope.length - lag);
+    };
+
+    const energy = correlation(0);
+    if (energy === 0) return null;
+
+    const minLag = Math.max(1, Math.floor((60 * frameRate) / MAX_BPM));
+    const maxLag = Math.min(envelope.length - 2, Math.ceil((60 * frameRate) / MIN_BPM));
+    if (maxLag <= minLag) return null;
+
+    const scores = new Map();
+    let best = null;
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+        scores.set(lag, correlation(lag));
+    }
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        const bpm = (60 * frameRate) / lag;
+        const weight = Math.exp(-0.5 * Math.log2(bpm / 120) ** 2);
+        const score = scores.get(lag) * weight;
+        if (!best || score > best.score) best = { lag, score };
+    }
+    if (!best || scores.get(best.lag) / energy < 0.1) return null;
+
+    // Parabolic interpolation between the neighbouring lags
+    const [a, b, c] = [scores.get(best.lag - 1), scores.get(best.lag), scores.get(best.lag + 1)];
+    const shift = a - 2 * b + c === 0 ? 0 : Math.max(-0.5, Math.min(0.5, (a - c) / (2 * (a - 2 * b + c))));
+    return round((60 * frameRate) / (best.lag + shift), 1);
+}
+
+// ==================== Pitch ====================
+
+/**
+ * Fundamental frequency of one frame (YIN)
+ * @returns {Object|null} {frequency, aperiodicity}
+ */
+function yinFrame(mono, start, windowSize, minLag, maxLag, sampleRate) {
+    const difference = new Float64Array(maxLag + 2);
+    for (let lag = 1; lag <= maxLag + 1; lag++) {
+        let sum = 0;
+        for (let i = start; i < start + windowSize; i++) {
+            const delta = mono[i] - mono[i + lag];
+            sum += delta * delta;
+        }
+        difference[lag] = sum;
+    }
+
+    // Cumulative mean normalized difference
+    const normalized = new Float64Array(maxLag + 2);
+    normalized[0] = 1;
+    let running = 0;
+    for (let lag = 1; lag <= maxLag + 1; lag++) {
+        running += difference[lag];
+        normalized[lag] = running > 0 ? (difference[lag] * lag) / running : 1;
+    }
+
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        if (normalized[lag] < YIN_THRESHOLD) {
+            while (lag + 1 <= maxLag && normalized[lag + 1] < normalized[lag]) lag++;
+            const [a, b, c] = [normalized[lag - 1], normalized[lag], normalized[lag + 1]];
+            const shift = a - 2 * b + c === 0 ? 0 : (a - c) / (2 * (a - 2 * b + c));
+            return { frequency: sampleRate / (lag + shift), aperiodicity: b };
+        }
+    }
+    return null;
+}
+
+/**
+ * Root pitch of a tonal sound: median of the frame pitches once the attack
+ * is over, if most loud frames have one
+ * @param {Float32Array} mono
+ * @param {number} sampleRate
+ * @param {number} attackEnd - Index where steady frames may start
+ * @returns {Object|null} {note, midi, frequency, cents}
+ */
+function estimatePitch(mono, sampleRate, attackEnd) {
+    const windowSize = nextPowerOfTwo(sampleRate * 0.04);
+    const minLag = Math.max(2, Math.floor(sampleRate / MAX_PITCH));
+    const maxLag = Math.ceil(sampleRate / MIN_PITCH);
+    const span = windowSize + maxLag + 2;
+    if (mono.length - attackEnd < span) return null;
+
+    // Loud frames after the attack
+    const hop = windowSize / 2;
+    const frames = [];
+    for (let start = attackEnd; start + span <= mono.length; start += hop) {
+        let energy = 0;
+        for (let i = start; i < start + windowSize; i++) energy += mono[i] * mono[i];
+        frames.push({ start, rms: Math.sqrt(energy / windowSize) });
+    }
+    const loudest = frames.reduce((m, f) => Math.max(m, f.rms), 0);
+    if (loudest < 1e-4) return null;
+
+    const loud = frames.filter(f => f.rms > loudest * 0.25).slice(0, MAX_PITCH_FRAMES);
+    const pitches = loud
+        .map(f => yinFrame(mono, f.start, windowSize, minLag, maxLag, sampleRate))
+        .filter(Boolean)
+        .map(p => p.frequency)
+        .sort((a, b) => a - b);
+    if (pitches.length === 0 || pitches.length < loud.length / 2) return null;
+
+    const frequency = pitches[Math.floor(pitches.length / 2)];
+    const exact = 69 + 12 * Math.log2(frequency / 440);
+    const midi = Math.round(exact);
+    return {
+        note: `${NOTE_NAMES[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`,
+        midi,
+        frequency: round(frequency, 2),
+        cents: Math.round((exact - midi) * 100)
+    };
+}
+
+// ==================== Analysis ====================
+
+/**
+ * Analyse decoded audio
+ * @param {Object} decoded - {sampleRate, length, duration, channelData} from audioDecoder
+ * @returns {Object} {peak, loudness, onsets, tempo, rootPitch}
+ */
+function analyzeAudio(decoded) {
+    const { sampleRate, length, duration, channelData } = decoded;
+    if (!sampleRate || length === 0 || channelData.length === 0) {
+        return { peak: null, loudness: null, onsets: [], tempo: null, rootPitch: null };
+    }
+
+    const mono = mixDown(channelData);
+    const strength = spectralFlux(mono, sampleRate);
+    const onsets = pickOnsets(strength, sampleRate);
+
+    const isLoop = duration >= MIN_TEMPO_DURATION && onsets.length >= MIN_TEMPO_ONSETS;
+    const attackEnd = Math.round(((onsets[0] || 0) + 0.03) * sampleRate);
+
+    return {
+        peak: measurePeak(channelData),
+        loudness: measureLoudness(decoded),
+        onsets,
+        tempo: isLoop ? estimateTempo(strength) : null,
+        rootPitch: estimatePitch(mono, sampleRate, attackEnd)
+    };
+}
+
+module.exports = {
+    ANALYSIS_VERSION,
+    analyzeAudio,
+    measurePeak,
+    measureLoudness
+};
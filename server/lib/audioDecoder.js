@@ -0,0 +1,48 @@
+/**
+ * Audio decoding on the server
+ * Wraps the audio-decode package (ES module, loaded on first use)
+ */
+const fsp = require('fs/promises');
+
+let decodePromise = null;
+
+/**
+ * Load the decoder module once
+ * @returns {Promise<Function>} decode(buffer) => {channelData, sampleRate}
+ */
+function loadDecoder() {
+    if (!decodePromise) {
+        decodePromise = import('audio-decode').then(module => module.default);
+    }
+    return decodePromise;
+}
+
+/**
+ * Decode an audio file to PCM
+ * @param {string} filePath - Absolute path of a WAV, MP3, OGG, FLAC... file
+ * @returns {Promise<Object>} {sampleRate, channels, length, duration, channelData: Float32Array[]}
+ */
+async function decodeFile(filePath) {
+    const decode = await loadDecoder();
+    const data = await fsp.readFile(filePath);
+
+    let decoded;
+    try {
+        decoded = await decode(data);
+    } catch (error) {
+        throw new Error(`Could not decode ${filePath}: ${error.message}`);
+    }
+
+    const channelData = decoded.channelData || [];
+    const length = channelData.length > 0 ? channelData[0].length : 0;
+
+    return {
+        sampleRate: decoded.sampleRate,
+        channels: channelData.length,
+        length,
+        duration: decoded.sampleRate ? length / decoded.sampleRate : 0,
+        channelData
+    };
+}
+
+module.exports = { decodeFile };
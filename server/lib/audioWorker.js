@@ -0,0 +1,56 @@
+/**
+ * Audio work off the main thread
+ * Decoding a whole file and computing its peaks or analysis takes long
+ * enough to stall every other request, so each computation runs in its own
+ * worker thread. This file is both the main-thread API and the worker script.
+ */
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+/**
+ * Decode a file and run a computation on it in a worker thread
+ * @param {string} task - 'peaks' (see WaveformPeaks.fromChannels) or 'analysis' (see analyzeAudio)
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<Object>} Result of the computation
+ */
+function runAudioTask(task, filePath) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { task, filePath } });
+        let settled = false;
+
+        worker.once('message', ({ result, error }) => {
+            settled = true;
+            if (error) {
+                reject(new Error(error));
+            } else {
+                resolve(result);
+            }
+        });
+        worker.once('error', error => {
+            settled = true;
+            reject(error);
+        });
+        worker.once('exit', code => {
+            if (!settled) {
+                reject(new Error(`Audio worker for ${filePath} exited with code ${code}`));
+            }
+        });
+    });
+}
+
+// ===== Worker side =====
+
+if (!isMainThread) {
+    const { decodeFile } = require('./audioDecoder');
+    const tasks = {
+        peaks: decoded => require('./WaveformPeaks').fromChannels(decoded),
+        analysis: decoded => require('./audioAnalysis').analyzeAudio(decoded)
+    };
+
+    const { task, filePath } = workerData;
+    decodeFile(filePath)
+        .then(decoded => tasks[task](decoded))
+        .then(result => parentPort.postMessage({ result }))
+        .catch(error => parentPort.postMessage({ error: error.message }));
+}
+
+module.exports = { runAudioTask };
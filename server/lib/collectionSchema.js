@@ -0,0 +1,74 @@
+/**
+ * Collection schema
+ * Validation of preset collections, enforced by CollectionStore on every write
+ *
+ * Collection:
+ *   id           positive integer (allocated by the store if missing)
+ *   owner        id of the user who created it (set by the server)
+ *   name         non-empty string
+ *   description  string (optional)
+ *   presetIds    ids of the grouped presets, in display order, no duplicates
+ */
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+const COLLECTION_FIELDS = ['id', 'owner', 'name', 'description', 'presetIds'];
+
+/**
+ * Validate a collection object
+ * @param {Object} collection
+ * @param {Object} options
+ * @param {Function} options.presetExists - (id) => boolean
+ * @returns {Array} [{field, message}] - empty if valid
+ */
+function validateCollection(collection, { presetExists = null } = {}) {
+    if (collection === null || typeof collection !== 'object' || Array.isArray(collection)) {
+        return [{ field: '', message: 'must be a JSON object' }];
+    }
+
+    const errors = [];
+
+    Object.keys(collection)
+        .filter(key => !COLLECTION_FIELDS.includes(key))
+        .forEach(key => errors.push({ field: key, message: 'is not allowed' }));
+
+    if (collection.id !== undefined && !(Number.isInteger(collection.id) && collection.id > 0)) {
+        errors.push({ field: 'id', message: 'must be a positive integer' });
+    }
+
+    if (collection.owner !== undefined && !(Number.isInteger(collection.owner) && collection.owner > 0)) {
+        errors.push({ field: 'owner', message: 'must be a user id' });
+    }
+
+    if (typeof collection.name !== 'string' || !collection.name.trim()) {
+        errors.push({ field: 'name', message: collection.name === undefined ? 'is required' : 'must be a non-empty string' });
+    } else if (collection.name.length > MAX_NAME_LENGTH) {
+        errors.push({ field: 'name', message: `must be at most ${MAX_NAME_LENGTH} characters` });
+    }
+
+    if (collection.description !== undefined
+        && (typeof collection.description !== 'string' || collection.description.length > MAX_DESCRIPTION_LENGTH)) {
+        errors.push({ field: 'description', message: `must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` });
+    }
+
+    if (!Array.isArray(collection.presetIds)) {
+        errors.push({ field: 'presetIds', message: collection.presetIds === undefined ? 'is required' : 'must be an array' });
+    } else {
+        collection.presetIds.forEach((id, i) => {
+            if (!Number.isInteger(id) || id < 1) {
+                errors.push({ field: `presetIds[${i}]`, message: 'must be a positive integer' });
+            } else if (collection.presetIds.indexOf(id) !== i) {
+                errors.push({ field: `presetIds[${i}]`, message: `duplicate preset ${id}` });
+            } else if (presetExists && !presetExists(id)) {
+                errors.push({ field: `presetIds[${i}]`, message: `preset not found: ${id}` });
+            }
+        });
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validateCollection
+};
@@ -0,0 +1,112 @@
+/**
+ * Default presets
+ * Seed data written to the preset store the first time the server starts
+ * (each preset contains a collection of audio files)
+ */
+const defaultPresets = [
+    {
+        id: 1,
+        name: "Drum Kit 1",
+        description: "Basic drum sounds from Wikimedia",
+        category: "drums",
+        tags: ["acoustic", "kit", "one-shots"],
+        sounds: [
+            {
+                name: "Kick",
+                url: "https://upload.wikimedia.org/wikipedia/commons/a/a3/Hardstyle_kick.wav"
+            },
+            {
+                name: "Snare",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/c/c7/Redoblante_de_marcha.ogg/Redoblante_de_marcha.ogg.mp3"
+            },
+            {
+                name: "Hi-Hat Closed",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/c/c9/Hi-Hat_Cerrado.ogg/Hi-Hat_Cerrado.ogg.mp3"
+            },
+            {
+                name: "Hi-Hat Open",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/0/07/Hi-Hat_Abierto.ogg/Hi-Hat_Abierto.ogg.mp3"
+            },
+            {
+                name: "Tom High",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/3/3c/Tom_Agudo.ogg/Tom_Agudo.ogg.mp3"
+            },
+            {
+                name: "Tom Mid",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/a/a4/Tom_Medio.ogg/Tom_Medio.ogg.mp3"
+            },
+            {
+                name: "Tom Low",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/8/8d/Tom_Grave.ogg/Tom_Grave.ogg.mp3"
+            },
+            {
+                name: "Crash",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/6/68/Crash.ogg/Crash.ogg.mp3"
+            },
+            {
+                name: "Ride",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/2/24/Ride.ogg/Ride.ogg.mp3"
+            }
+        ]
+    },
+    {
+        id: 2,
+        name: "Percussion Kit",
+        description: "Latin percussion sounds",
+        category: "percussion",
+        tags: ["latin", "acoustic", "one-shots"],
+        sounds: [
+            {
+                name: "Bongo High",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/c/c7/Redoblante_de_marcha.ogg/Redoblante_de_marcha.ogg.mp3"
+            },
+            {
+                name: "Bongo Low",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/8/8d/Tom_Grave.ogg/Tom_Grave.ogg.mp3"
+            },
+            {
+                name: "Cowbell",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/c/c9/Hi-Hat_Cerrado.ogg/Hi-Hat_Cerrado.ogg.mp3"
+            },
+            {
+                name: "Shaker",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/0/07/Hi-Hat_Abierto.ogg/Hi-Hat_Abierto.ogg.mp3"
+            }
+        ]
+    },
+    {
+        id: 3,
+        name: "Electronic Kit",
+        description: "Electronic and synth drums",
+        category: "electronic",
+        tags: ["drum machine", "kit", "one-shots"],
+        sounds: [
+            {
+                name: "Bass Drum",
+                url: "https://upload.wikimedia.org/wikipedia/commons/a/a3/Hardstyle_kick.wav"
+            },
+            {
+                name: "Snare Electronic",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/c/c7/Redoblante_de_marcha.ogg/Redoblante_de_marcha.ogg.mp3"
+            },
+            {
+                name: "Hi-Hat",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/c/c9/Hi-Hat_Cerrado.ogg/Hi-Hat_Cerrado.ogg.mp3"
+            },
+            {
+                name: "Clap",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/3/3c/Tom_Agudo.ogg/Tom_Agudo.ogg.mp3"
+            },
+            {
+                name: "Crash Cymbal",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/6/68/Crash.ogg/Crash.ogg.mp3"
+            },
+            {
+                name: "Ride Cymbal",
+                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/2/24/Ride.ogg/Ride.ogg.mp3"
+            }
+        ]
+    }
+];
+
+module.exports = defaultPresets;
@@ -0,0 +1,56 @@
+/**
+ * Disk usage
+ * Size of files and directory trees, for the stats endpoints
+ */
+const fsp = require('fs/promises');
+const path = require('path');
+
+/**
+ * Total size of the files below a directory (symbolic links are not followed)
+ * @param {string} dir - Absolute path
+ * @returns {Promise<Object>} {bytes, files} - zeros if the directory does not exist
+ */
+async function directorySize(dir) {
+    const total = { bytes: 0, files: 0 };
+
+    const walk = async (current) => {
+        let entries;
+        try {
+            entries = await fsp.readdir(current, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        for (const entry of entries) {
+            const absolute = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                await walk(absolute);
+            } else if (entry.isFile()) {
+                const stats = await fsp.stat(absolute).catch(() => null);
+                if (stats) {
+                    total.bytes += stats.size;
+                    total.files++;
+                }
+            }
+        }
+    };
+
+    await walk(dir);
+    return total;
+}
+
+/**
+ * Size of a single file
+ * @param {string} filePath
+ * @returns {Promise<Object>} {bytes, files} - zeros if the file does not exist
+ */
+async function fileSize(filePath) {
+    const stats = await fsp.stat(filePath).catch(() => null);
+    return stats && stats.isFile() ? { bytes: stats.size, files: 1 } : { bytes: 0, files: 0 };
+}
+
+module.exports = {
+    directorySize,
+    fileSize
+};
@@ -0,0 +1,112 @@
+/**
+ * HTTP error helpers
+ * Thrown from stores and routes, turned into JSON responses by errorHandler
+ */
+
+// Machine readable error codes, by HTTP status
+const ERROR_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    422: 'unprocessable_content',
+    500: 'internal_error',
+    502: 'bad_gateway',
+    504: 'gateway_timeout'
+};
+
+// Server errors whose message is sent to the client: they tell which remote
+// call failed (messages are fixed, see SampleCache); others are not detailed
+const EXPOSED_SERVER_ERRORS = [502, 504];
+
+/**
+ * Error carrying an HTTP status code
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Message sent to the client
+     * @param {Object} details - Optional extra fields merged into the response body
+     * @param {string} code - Machine readable code (defaults from status)
+     */
+    constructor(status, message, details = null, code = null) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+        this.code = code || ERROR_CODES[status] || 'error';
+    }
+}
+
+const badRequest = (message, details) => new HttpError(400, message, details);
+const notFound = (message = 'Not found') => new HttpError(404, message);
+const conflict = (message, details) => new HttpError(409, message, details);
+const unauthorized = (message = 'Authentication required') => new HttpError(401, message);
+const forbidden = (message = 'Forbidden') => new HttpError(403, message);
+// Well-formed request the server cannot carry out because of stored data (e.g. an undecodable sample)
+const unprocessable = message => new HttpError(422, message);
+
+/**
+ * 400 error listing every failing field
+ * @param {string} message
+ * @param {Array} errors - [{field, message}]
+ */
+const validationFailed = (message, errors) =>
+    new HttpError(400, message, { errors }, 'validation_failed');
+
+/**
+ * Wrap an async route handler so rejected promises reach errorHandler
+ * (Express 4 does not do this by itself)
+ * @param {Function} handler - async (req, res, next) => void
+ * @returns {Function} Express middleware
+ */
+function asyncHandler(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+/**
+ * Express error middleware
+ * Every error response has the same shape: { error, status, code, ...details }
+ */
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    // Malformed JSON body from express.json()
+    if (err.type === 'entity.parse.failed') {
+        err = badRequest('Malformed JSON body');
+    }
+
+    const status = err.status || 500;
+    if (status >= 500) {
+        console.error(`${req.method} ${req.originalUrl} - Server error:`, err);
+    } else {
+        console.log(`${req.method} ${req.originalUrl} - ${status} ${err.message}`);
+    }
+
+    const exposed = status < 500 || (err instanceof HttpError && EXPOSED_SERVER_ERRORS.includes(status));
+    res.status(status).json({
+        error: exposed ? err.message : 'Internal server error',
+        status,
+        code: err instanceof HttpError ? err.code : (ERROR_CODES[status] || 'error'),
+        ...(err.details || {})
+    });
+}
+
+module.exports = {
+    HttpError,
+    badRequest,
+    notFound,
+    conflict,
+    unauthorized,
+    forbidden,
+    unprocessable,
+    validationFailed,
+    asyncHandler,
+    errorHandler
+};
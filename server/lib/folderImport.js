@@ -0,0 +1,274 @@
+/**
+ * Folder import
+ * Turns a directory tree of audio files into presets, one per folder:
+ *
+ *   Acoustic/Kit 1/01_Kick.wav, Snare-Hard.wav, HH_closed.wav ...
+ *     -> preset "Acoustic / Kit 1" with pads Kick, Snare Hard, HH Closed ...
+ *
+ * Pads are ordered by the drum role guessed from each file name (kick first,
+ * then snare, clap, hats, toms, cymbals, percussion...), unknown sounds last.
+ * Folders with more sounds than pads are split into several presets.
+ *
+ * Files outside the sample library are copied into it (imported/<folder>/),
+ * files already in it are referenced in place.
+ */
+const fsp = require('fs/promises');
+const path = require('path');
+const SampleLibrary = require('./SampleLibrary');
+const { MAX_SOUNDS, validatePreset } = require('./presetSchema');
+const { badRequest, validationFailed } = require('./errors');
+
+const MAX_SCANNED_FILES = 5000;
+
+// Drum roles in pad order, matched against the words of a file name
+// (first match wins, so specific roles come before generic ones)
+const SOUND_ROLES = [
+    { role: 'kick', words: ['kick', 'kik', 'bd', 'bassdrum', 'bass drum'] },
+    { role: 'snare', words: ['snare', 'snr', 'sd'] },
+    { role: 'clap', words: ['clap', 'clp', 'cp', 'handclap'] },
+    { role: 'rim', words: ['rim', 'rimshot', 'rs', 'sidestick', 'side stick'] },
+    { role: 'hat-closed', words: ['chh', 'ch', 'hhc', 'closed hihat', 'hihat closed', 'closed hat', 'hat closed', 'hh closed', 'closed hh', 'closed'] },
+    { role: 'hat-open', words: ['ohh', 'oh', 'hho', 'open hihat', 'hihat open', 'open hat', 'hat open', 'hh open', 'open hh', 'open'] },
+    { role: 'hat', words: ['hihat', 'hh', 'hat', 'hats'] },
+    { role: 'tom-high', words: ['ht', 'high tom', 'hi tom', 'tom high', 'tom hi'] },
+    { role: 'tom-mid', words: ['mt', 'mid tom', 'tom mid'] },
+    { role: 'tom-low', words: ['lt', 'ft', 'low tom', 'floor tom', 'tom low', 'tom floor'] },
+    { role: 'tom', words: ['tom', 'toms'] },
+    { role: 'crash', words: ['crash', 'cr'] },
+    { role: 'ride', words: ['ride', 'rd'] },
+    { role: 'cymbal', words: ['cymbal', 'cym', 'splash', 'china'] },
+    { role: 'perc', words: ['perc', 'percussion', 'conga', 'bongo', 'shaker', 'cowbell', 'tamb', 'tambourine', 'clave', 'guiro', 'triangle', 'block'] },
+    { role: 'fx', words: ['fx', 'sfx', 'riser', 'sweep', 'noise', 'impact'] }
+];
+
+/**
+ * Words of a file name: "01_HiHat-ClosedTight.wav" -> "01 hihat closed tight"
+ * @param {string} fileName
+ * @returns {string}
+ */
+function nameWords(fileName) {
+    return path.basename(fileName, path.extname(fileName))
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/([a-zA-Z])(\d)|(\d)([a-zA-Z])/g, '$1$3 $2$4')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/\bhi hat\b/g, 'hihat')
+        .trim();
+}
+
+/**
+ * Guess the drum role of a sound from its file name
+ * @param {string} fileName
+ * @returns {string|null} Role (see SOUND_ROLES) or null
+ */
+function guessRole(fileName) {
+    const text = ` ${nameWords(fileName)} `;
+    const match = SOUND_ROLES.find(({ words }) => words.some(word => text.includes(` ${word} `)));
+    return match ? match.role : null;
+}
+
+/**
+ * Pad name from a file name: "01_kick_hard.wav" -> "Kick Hard", "OpenHat.wav" -> "Open Hat"
+ * @param {string} fileName
+ * @returns {string}
+ */
+function soundName(fileName) {
+    const words = path.basename(fileName, path.extname(fileName))
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/[_\-.]+/g, ' ')
+        .replace(/^\s*\d+\s+/, '')
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean);
+
+    const name = words
+        .map(word => (word === word.toLowerCase() ? word[0].toUpperCase() + word.slice(1) : word))
+        .join(' ');
+    return name || 'Sample';
+}
+
+/**
+ * Pad order: known roles first in SOUND_ROLES order, then by file name
+ */
+function comparePads(a, b) {
+    const rank = sound => {
+        const index = SOUND_ROLES.findIndex(r => r.role === sound.role);
+        return index < 0 ? SOUND_ROLES.length : index;
+    };
+    return rank(a) - rank(b) || a.file.localeCompare(b.file, undefined, { numeric: true });
+}
+
+/**
+ * Scan a directory tree and plan one preset per folder of audio files
+ * @param {string} rootDir - Absolute path
+ * @param {Object} deps
+ * @param {SampleInfo} deps.sampleInfo - Reads audio headers, to spot unreadable files
+ * @returns {Promise<Object>} {groups: [{folder, name, sounds: [{file, absolutePath, name, role}]}],
+ *   skipped: [{file, reason}], unreadable: [{file, error}]}
+ */
+async function scanFolder(rootDir, { sampleInfo }) {
+    const rootName = path.basename(rootDir);
+    const groups = [];
+    const skipped = [];
+    const unreadable = [];
+    let scanned = 0;
+
+    const walk = async (dir) => {
+        let entries;
+        try {
+            entries = await fsp.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            unreadable.push({ file: relativeTo(rootDir, dir) || '.', error: error.message });
+            return;
+        }
+        entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+        const sounds = [];
+        for (const entry of entries) {
+            const absolutePath = path.join(dir, entry.name);
+            const file = relativeTo(rootDir, absolutePath);
+
+            if (entry.name.startsWith('.')) {
+                continue;
+            }
+            if (entry.isDirectory()) {
+                await walk(absolutePath);
+                continue;
+            }
+            if (!entry.isFile()) {
+                skipped.push({ file, reason: 'not a regular file' });
+                continue;
+            }
+            if (!SampleLibrary.isAudioFile(entry.name)) {
+                skipped.push({ file, reason: 'not an audio file' });
+                continue;
+            }
+            if (++scanned > MAX_SCANNED_FILES) {
+                throw badRequest(`Too many audio files (more than ${MAX_SCANNED_FILES}), scan a smaller folder`);
+            }
+
+            const info = await sampleInfo.forFile(absolutePath);
+            if (!info || !info.duration) {
+                unreadable.push({ file, error: info ? 'no audio data' : 'unrecognized audio format' });
+                continue;
+            }
+
+            sounds.push({ file, absolutePath, name: soundName(entry.name), role: guessRole(entry.name) });
+        }
+
+        if (sounds.length > 0) {
+            const folder = relativeTo(rootDir, dir);
+            groups.push({
+                folder,
+                name: folder ? folder.split('/').join(' / ') : rootName,
+                sounds: sounds.sort(comparePads)
+            });
+        }
+    };
+
+    await walk(rootDir);
+    return { groups: splitGroups(groups), skipped, unreadable };
+}
+
+/**
+ * Split groups with more sounds than pads: "Kit" -> "Kit (1/2)", "Kit (2/2)"
+ */
+function splitGroups(groups) {
+    return groups.flatMap(group => {
+        const parts = Math.ceil(group.sounds.length / MAX_SOUNDS);
+        if (parts === 1) return [group];
+
+        return Array.from({ length: parts }, (unused, i) => ({
+            ...group,
+            name: `${group.name} (${i + 1}/${parts})`,
+            sounds: group.sounds.slice(i * MAX_SOUNDS, (i + 1) * MAX_SOUNDS)
+        }));
+    });
+}
+
+/**
+ * Path relative to a root, with forward slashes ('' for the root itself)
+ */
+function relativeTo(rootDir, absolutePath) {
+    return path.relative(rootDir, absolutePath).split(path.sep).join('/');
+}
+
+/**
+ * Scan a directory tree and create its presets
+ * @param {string} rootDir - Absolute path of the folder to import
+ * @param {Object} deps
+ * @param {PresetStore} deps.store
+ * @param {SampleLibrary} deps.library
+ * @param {SampleInfo} deps.sampleInfo
+ * @param {Object} options
+ * @param {Object} options.fields - Extra preset fields (owner, visibility, category, tags)
+ * @param {boolean} options.dryRun - Only report what would be created
+ * @returns {Promise<Object>} {created, planned, failed, skipped, unreadable}
+ */
+async function importFolder(rootDir, { store, library, sampleInfo }, { fields = {}, dryRun = false } = {}) {
+    // Fields shared by every preset are checked once rather than failing each preset
+    const fieldErrors = validatePreset({ name: 'Import', sounds: [], ...fields });
+    if (fieldErrors.length > 0) {
+        throw validationFailed('Invalid preset fields', fieldErrors);
+    }
+
+    const root = path.resolve(rootDir);
+    const stats = await fsp.stat(root).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+        throw badRequest(`Not a directory: ${rootDir}`);
+    }
+
+    const { groups, skipped, unreadable } = await scanFolder(root, { sampleInfo });
+    const planned = groups.map(group => ({
+        name: group.name,
+        folder: group.folder,
+        sounds: group.sounds.map(({ file, name, role }) => ({ file, name, role }))
+    }));
+
+    const result = { created: [], planned, failed: [], skipped, unreadable };
+    if (dryRun) {
+        return result;
+    }
+
+    // Files inside the library are referenced in place, others are copied
+    const inLibrary = root === library.dir || root.startsWith(library.dir + path.sep);
+    const importFolderName = path.posix.join('imported', SampleLibrary.slugify(path.basename(root)) || 'folder');
+    const reserved = new Set();
+
+    for (const group of groups) {
+        const copied = [];
+        try {
+            const sounds = [];
+            for (const sound of group.sounds) {
+                let url;
+                if (inLibrary) {
+                    url = library.relative(sound.absolutePath);
+                } else {
+                    const folder = path.posix.join(importFolderName, ...group.folder.split('/').filter(Boolean)
+                        .map(segment => SampleLibrary.slugify(segment) || 'folder'));
+                    url = library.uniquePath(folder, SampleLibrary.sanitizeName(path.basename(sound.file)), reserved);
+                    const destination = library.resolve(url);
+                    await fsp.mkdir(path.dirname(destination), { recursive: true });
+                    await fsp.copyFile(sound.absolutePath, destination);
+                    copied.push(destination);
+                }
+                sounds.push({ name: sound.name, url, ...(sound.role && { tags: [sound.role] }) });
+            }
+
+            result.created.push(await store.create({ ...fields, name: group.name, sounds }));
+        } catch (error) {
+            await Promise.all(copied.map(file => fsp.rm(file, { force: true })));
+            result.failed.push({ name: group.name, folder: group.folder, error: error.message, ...(error.details || {}) });
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    SOUND_ROLES,
+    guessRole,
+    soundName,
+    scanFolder,
+    importFolder
+};
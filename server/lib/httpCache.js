@@ -0,0 +1,67 @@
+/**
+ * HTTP caching helpers
+ * Conditional GET for JSON responses: a strong ETag computed from the body
+ * and 304 Not Modified when the client's copy is still current (If-None-Match).
+ *
+ * The ETag is the only validator: a response also depends on collections,
+ * user names, sample metadata and analysis, proxy settings..., which no single
+ * modification date follows, while hashing the body catches every change.
+ *
+ * Responses depend on the signed-in user, so they are private to the client
+ * and must be revalidated before reuse.
+ */
+const crypto = require('crypto');
+
+/**
+ * Strong entity tag of a JSON body
+ * @param {*} body
+ * @returns {string} Quoted tag
+ */
+function jsonEtag(body) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url');
+    return `"${hash}"`;
+}
+
+/**
+ * Whether the client's copy matches the validators set on the response
+ * Unlike req.fresh, a request Cache-Control: no-cache is not a reason to send
+ * the body again: fetch() adds it to every request carrying If-None-Match.
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @returns {boolean}
+ */
+function isFresh(req, res) {
+    const ifNoneMatch = req.get('If-None-Match');
+    if (!ifNoneMatch) return false;
+
+    const etag = res.get('ETag');
+    const tags = ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    return tags.includes('*') || tags.includes(etag);
+}
+
+/**
+ * Send a JSON body with validators, or 304 if the client already has it
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {*} body
+ * @param {Object} options
+ * @param {string[]} options.headers - Response headers already set that are part of the
+ *   representation (e.g. X-Total-Count), hashed into the ETag with the body
+ */
+function sendCachedJson(req, res, body, { headers = [] } = {}) {
+    res.set('Cache-Control', 'private, no-cache');
+    res.vary('Authorization');
+    res.set('ETag', jsonEtag(headers.length > 0 ? [body, headers.map(name => res.get(name) || null)] : body));
+
+    if (isFresh(req, res)) {
+        res.status(304).end();
+        return;
+    }
+    res.json(body);
+}
+
+module.exports = {
+    jsonEtag,
+    isFresh,
+    sendCachedJson
+};
@@ -0,0 +1,212 @@
+/**
+ * Kit bundles
+ * A preset packaged as a single ZIP file:
+ *
+ *   preset.json                  the preset, sound URLs pointing inside the archive
+ *   sounds/01-kick.wav           one file per sound
+ *   sounds/01-kick-layer-1.wav   and per velocity layer of a sound
+ *
+ * Remote sounds are fetched through the SampleCache; a sound that cannot be
+ * fetched keeps its remote URL in preset.json.
+ */
+const fsp = require('fs/promises');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const SampleLibrary = require('./SampleLibrary');
+const { isLibraryPath } = require('./soundUrls');
+const { badRequest } = require('./errors');
+
+const MANIFEST_NAME = 'preset.json';
+const SOUNDS_FOLDER = 'sounds';
+const MAX_UNCOMPRESSED_SIZE = 500 * 1024 * 1024; // Guard against zip bombs
+
+/**
+ * File extension of a sound URL ('.wav', '.mp3'...)
+ * Falls back on the Content-Type, throws if the format is unknown
+ */
+function soundExtension(url, contentType = '') {
+    const ext = path.extname(new URL(url, 'http://localhost/').pathname).toLowerCase();
+    if (SampleLibrary.AUDIO_EXTENSIONS.includes(ext)) return ext;
+    if (contentType.includes('mpeg')) return '.mp3';
+    if (contentType.includes('ogg')) return '.ogg';
+    if (contentType.includes('wav')) return '.wav';
+    throw new Error(`Unknown audio format (${contentType || 'no Content-Type'})`);
+}
+
+/**
+ * Add the file of a sound or layer to an archive
+ * @param {AdmZip} zip
+ * @param {string} url - Library path or remote URL
+ * @param {string} baseName - Entry name without folder and extension
+ * @param {Object} deps - {library, cache}
+ * @returns {Promise<string>} Entry name, the URL of the sample in the archive
+ */
+async function archiveSample(zip, url, baseName, { library, cache }) {
+    let data;
+    let ext;
+    if (isLibraryPath(url)) {
+        data = await fsp.readFile(library.resolve(url));
+        ext = soundExtension(url);
+    } else {
+        const entry = await cache.get(url);
+        data = await fsp.readFile(entry.dataPath);
+        ext = soundExtension(url, entry.contentType);
+    }
+
+    const entryName = `${SOUNDS_FOLDER}/${baseName}${ext}`;
+    zip.addFile(entryName, data);
+    return entryName;
+}
+
+/**
+ * Package a stored preset as a ZIP archive
+ * @param {Object} preset - Stored preset (library paths not resolved)
+ * @param {Object} deps
+ * @param {SampleLibrary} deps.library
+ * @param {SampleCache} deps.cache
+ * @returns {Promise<Object>} {buffer, skipped: [{name, url, error}]}
+ */
+async function exportBundle(preset, { library, cache }) {
+    const zip = new AdmZip();
+    const skipped = [];
+    const { id, ...manifest } = preset;
+
+    // Sample of a sound or layer pointing inside the archive (unchanged when it cannot be fetched)
+    const archived = async (ref, baseName) => {
+        try {
+            return { ...ref, url: await archiveSample(zip, ref.url, baseName, { library, cache }) };
+        } catch (error) {
+            skipped.push({ name: ref.name, url: ref.url, error: error.message });
+            return { ...ref };
+        }
+    };
+
+    manifest.sounds = [];
+    for (const [i, sound] of (preset.sounds || []).entries()) {
+        if (!sound) {
+            manifest.sounds.push(null);
+            continue;
+        }
+        const prefix = String(i + 1).padStart(2, '0');
+        const baseName = `${prefix}-${SampleLibrary.slugify(sound.name || '') || 'sample'}`;
+
+        const packed = await archived(sound, baseName);
+        if (Array.isArray(sound.layers)) {
+            packed.layers = [];
+            for (const [j, layer] of sound.layers.entries()) {
+                packed.layers.push(await archived(layer, `${baseName}-layer-${j + 1}`));
+            }
+        }
+        manifest.sounds.push(packed);
+    }
+
+    zip.addFile(MANIFEST_NAME, Buffer.from(JSON.stringify(manifest, null, 2), 'utf8'));
+    return { buffer: zip.toBuffer(), skipped };
+}
+
+/**
+ * Unpack a ZIP archive: store its audio files in the library and return
+ * preset data pointing at them
+ * @param {Buffer} buffer - ZIP file content
+ * @param {Object} deps
+ * @param {SampleLibrary} deps.library
+ * @returns {Promise<Object>} {preset, storedPaths}
+ */
+async function importBundle(buffer, { library }) {
+    let zip;
+    try {
+        zip = new AdmZip(buffer);
+    } catch (error) {
+        throw badRequest(`Invalid ZIP archive: ${error.message}`);
+    }
+
+    const entries = zip.getEntries();
+    const totalSize = entries.reduce((sum, e) => sum + e.header.size, 0);
+    if (totalSize > MAX_UNCOMPRESSED_SIZE) {
+        throw badRequest('Archive is too large once uncompressed');
+    }
+
+    // Manifest at the root, or inside a single top-level folder
+    const manifestEntry = entries.find(e => !e.isDirectory && path.posix.basename(e.entryName) === MANIFEST_NAME
+        && e.entryName.split('/').length <= 2);
+    if (!manifestEntry) {
+        throw badRequest(`Archive has no ${MANIFEST_NAME}`);
+    }
+    const root = path.posix.dirname(manifestEntry.entryName).replace(/^\.$/, '');
+
+    let manifest;
+    try {
+        manifest = JSON.parse(manifestEntry.getData().toString('utf8'));
+    } catch (error) {
+        throw badRequest(`Invalid ${MANIFEST_NAME}: ${error.message}`);
+    }
+    if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.sounds)) {
+        throw badRequest(`Invalid ${MANIFEST_NAME}: sounds must be an array`);
+    }
+
+    // Store archived sounds in their own library folder
+    const folder = path.posix.join('imported', SampleLibrary.slugify(manifest.name || '') || 'kit');
+    const reserved = new Set();
+    const storedPaths = [];
+    const { id, ...preset } = manifest;
+
+    // Sound or layer pointing at its file stored in the library (remote URLs are kept)
+    const stored = async ref => {
+        if (!ref || !isLibraryPath(ref.url)) {
+            return ref && { ...ref };
+        }
+
+        const entryName = path.posix.normalize(path.posix.join(root, ref.url));
+        const entry = zip.getEntry(entryName);
+        if (!entry || entry.isDirectory) {
+            throw badRequest(`Archive is missing ${ref.url}`);
+        }
+        if (!SampleLibrary.isAudioFile(entryName)) {
+            throw badRequest(`Unsupported file type in archive: ${ref.url}`);
+        }
+
+        const fileName = SampleLibrary.sanitizeName(path.posix.basename(entryName));
+        const relativePath = library.uniquePath(folder, fileName, reserved);
+        const absolutePath = library.resolve(relativePath);
+
+        await fsp.mkdir(path.dirname(absolutePath), { recursive: true });
+        await fsp.writeFile(absolutePath, entry.getData());
+        storedPaths.push(relativePath);
+
+        return { ...ref, url: relativePath };
+    };
+
+    try {
+        preset.sounds = [];
+        for (const sound of manifest.sounds) {
+            const unpacked = await stored(sound);
+            if (sound && Array.isArray(sound.layers)) {
+                unpacked.layers = [];
+                for (const layer of sound.layers) {
+                    unpacked.layers.push(await stored(layer));
+                }
+            }
+            preset.sounds.push(unpacked);
+        }
+    } catch (error) {
+        await removeStored(storedPaths, library);
+        throw error;
+    }
+
+    return { preset, storedPaths };
+}
+
+/**
+ * Delete files stored by an import (when the preset could not be created)
+ * @param {Array<string>} storedPaths
+ * @param {SampleLibrary} library
+ */
+async function removeStored(storedPaths, library) {
+    await Promise.all(storedPaths.map(p => fsp.rm(library.resolve(p), { force: true })));
+}
+
+module.exports = {
+    exportBundle,
+    importBundle,
+    removeStored
+};
@@ -0,0 +1,987 @@
+/**
+ * OpenAPI description of the server
+ * Served as JSON at /openapi.json (and /api/openapi.json); client/presetClient.js
+ * has one method per operationId below.
+ *
+ * Limits and enumerations come from the schema modules, so the document
+ * follows the validation actually enforced by the stores.
+ */
+const {
+    CATEGORIES,
+    MAX_NAME_LENGTH,
+    MAX_DESCRIPTION_LENGTH,
+    MAX_SOUNDS,
+    MAX_VOICES,
+    MAX_ENVELOPE_TIME,
+    MAX_COARSE_TUNE,
+    MAX_FINE_TUNE,
+    MAX_LAYERS,
+    MAX_VELOCITY,
+    PLAY_MODES,
+    VELOCITY_CURVES,
+    ALTERNATION_MODES,
+    MAX_TAGS,
+    MAX_TAG_LENGTH
+} = require('./presetSchema');
+const { MAX_LIMIT } = require('./presetQuery');
+const { VISIBILITIES, DEFAULT_VISIBILITY } = require('./access');
+const { version } = require('../package.json');
+
+// ==================== Helpers ====================
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = items => ({ type: 'array', items });
+const json = (description, schema, extra = {}) => ({ description, content: { 'application/json': { schema } }, ...extra });
+const body = (schema, required = true) => ({ required, content: { 'application/json': { schema } } });
+
+// Error responses, by status
+const ERROR_RESPONSES = {
+    400: 'BadRequest',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'NotFound',
+    409: 'Conflict',
+    413: 'PayloadTooLarge',
+    422: 'UnprocessableContent',
+    502: 'BadGateway',
+    503: 'Unavailable',
+    504: 'GatewayTimeout'
+};
+const errors = (...statuses) => Object.fromEntries(
+    statuses.map(status => [String(status), { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` }])
+);
+
+const pathId = (name, description) => ({
+    name, in: 'path', required: true, description, schema: { type: 'integer', minimum: 1 }
+});
+const query = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', required: false, description, schema });
+
+// Conditional GET (see httpCache.js): validators sent with the response, 304 when the copy is current
+const header = (name, description, schema = { type: 'string' }) => ({ name, in: 'header', required: false, description, schema });
+const conditionalParams = [
+    header('If-None-Match', 'ETag of the copy held by the client')
+];
+const validatorHeaders = {
+    ETag: { schema: { type: 'string' }, description: 'Strong entity tag of the response' }
+};
+const notModified = { 304: { description: 'The copy held by the client is current', headers: validatorHeaders } };
+
+const presetId = pathId('id', 'Preset id');
+const collectionId = pathId('id', 'Collection id');
+const proxyParam = query('proxy', 'true routes remote sound URLs through the caching proxy', { type: 'boolean' });
+
+// Operations needing a signed-in user
+const signedIn = [{ bearerAuth: [] }, { tokenQuery: [] }];
+
+// ==================== Schemas ====================
+
+const name = { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH };
+const description = { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH };
+const category = { type: 'string', enum: CATEGORIES };
+const envelopeTime = description => ({ type: 'number', minimum: 0, maximum: MAX_ENVELOPE_TIME, description: `${description} (seconds)` });
+const tags = { type: 'array', maxItems: MAX_TAGS, items: { type: 'string', minLength: 1, maxLength: MAX_TAG_LENGTH } };
+
+const schemas = {
+    Error: {
+        type: 'object',
+        required: ['error', 'status', 'code'],
+        properties: {
+            error: { type: 'string', description: 'Human readable message' },
+            status: { type: 'integer' },
+            code: { type: 'string', description: 'Machine readable code, e.g. not_found, validation_failed' },
+            errors: arrayOf(ref('FieldError')),
+            conflicts: arrayOf(ref('MergeConflict'))
+        }
+    },
+    FieldError: {
+        type: 'object',
+        properties: { field: { type: 'string', example: 'sounds[2].url' }, message: { type: 'string' } }
+    },
+    SoundSettings: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            volume: { type: 'number', minimum: 0, maximum: 1 },
+            startOffset: { type: 'number', minimum: 0, description: 'Seconds' },
+            duration: { type: 'number', minimum: 0, description: 'Seconds' },
+            maxVoices: { type: 'integer', minimum: 1, maximum: MAX_VOICES, description: 'Voices of the pad sounding at once' },
+            chokeGroup: { type: 'integer', minimum: 1, maximum: MAX_SOUNDS, description: 'Pads of the same group stop each other' },
+            playMode: { type: 'string', enum: PLAY_MODES, default: 'one-shot', description: 'gate stops on release, toggle on the next press' },
+            attack: envelopeTime('Fade in'),
+            hold: envelopeTime('Full level after the attack'),
+            decay: envelopeTime('Fall to the sustain level'),
+            sustain: { type: 'number', minimum: 0, maximum: 1, description: 'Level held until release' },
+            release: envelopeTime('Fade out after release or before the end of the sample'),
+            coarseTune: { type: 'integer', minimum: -MAX_COARSE_TUNE, maximum: MAX_COARSE_TUNE, description: 'Semitones' },
+            fineTune: { type: 'number', minimum: -MAX_FINE_TUNE, maximum: MAX_FINE_TUNE, description: 'Cents' },
+            reverse: { type: 'boolean', default: false, description: 'Play backwards' },
+            loop: { type: 'boolean', default: false, description: 'Repeat the loop points until stopped (one-shot pads then stop on the next press)' },
+            loopStart: { type: 'number', minimum: 0, description: 'Seconds, the trim start if not set' },
+            loopEnd: { type: 'number', minimum: 0, description: 'Seconds, after loopStart; the trim end if not set' },
+            velocityCurve: { type: 'string', enum: VELOCITY_CURVES, default: 'linear' },
+            velocitySensitivity: { type: 'number', minimum: 0, maximum: 1, default: 1, description: '0 plays every hit at full level' },
+            velocityToCutoff: { type: 'number', minimum: 0, maximum: 1, default: 0, description: 'How much soft hits close a low-pass filter' },
+            alternation: { type: 'string', enum: ALTERNATION_MODES, default: 'round-robin', description: 'How the pad picks among samples sharing a velocity range' }
+        }
+    },
+    SoundMetadata: {
+        type: 'object',
+        description: 'Audio header of hosted or cached samples',
+        properties: {
+            format: { type: 'string', nullable: true },
+            codec: { type: 'string', nullable: true },
+            duration: { type: 'number', nullable: true },
+            sampleRate: { type: 'integer', nullable: true },
+            channels: { type: 'integer', nullable: true },
+            bitDepth: { type: 'integer', nullable: true },
+            bitrate: { type: 'integer', nullable: true },
+            size: { type: 'integer' }
+        }
+    },
+    SoundAnalysis: {
+        type: 'object',
+        description: 'Computed in the background: absent until the sample has been analysed',
+        properties: {
+            peak: { type: 'number', nullable: true, description: 'Highest sample level, dBFS' },
+            loudness: { type: 'number', nullable: true, description: 'Integrated loudness, LUFS (ITU-R BS.1770)' },
+            onsets: { ...arrayOf({ type: 'number' }), description: 'Start times of the hits, seconds' },
+            tempo: { type: 'number', nullable: true, description: 'Estimated BPM of loops, null for one-shots' },
+            rootPitch: {
+                type: 'object',
+                nullable: true,
+                description: 'Estimated pitch of tonal sounds',
+                properties: {
+                    note: { type: 'string', example: 'A3' },
+                    midi: { type: 'integer' },
+                    frequency: { type: 'number' },
+                    cents: { type: 'integer', description: 'Deviation from the note' }
+                }
+            }
+        }
+    },
+    SoundInput: {
+        type: 'object',
+        required: ['name', 'url'],
+        additionalProperties: false,
+        properties: {
+            name,
+            url: { type: 'string', description: 'http(s) URL, or path of a hosted sample ("drums/kick.wav")' },
+            category,
+            tags,
+            settings: ref('SoundSettings'),
+            layers: { type: 'array', maxItems: MAX_LAYERS, items: ref('LayerInput'), description: 'Samples played instead in a velocity range, or variations of the sound when they have no range' }
+        }
+    },
+    LayerInput: {
+        type: 'object',
+        required: ['url'],
+        additionalProperties: false,
+        description: 'The sample (sound or layer) with the narrowest range matching the velocity of a hit plays; '
+            + 'samples with the same range are variations picked following settings.alternation',
+        properties: {
+            name,
+            url: { type: 'string', description: 'http(s) URL, or path of a hosted sample ("drums/kick.wav")' },
+            velocityMin: { type: 'integer', minimum: 0, maximum: MAX_VELOCITY, default: 0 },
+            velocityMax: { type: 'integer', minimum: 0, maximum: MAX_VELOCITY, default: MAX_VELOCITY }
+        }
+    },
+    Layer: {
+        allOf: [ref('LayerInput')],
+        properties: {
+            path: { type: 'string', description: 'Library path of hosted samples' },
+            sourceUrl: { type: 'string', description: 'Remote URL of proxied samples' }
+        }
+    },
+    Sound: {
+        allOf: [ref('SoundInput')],
+        properties: {
+            path: { type: 'string', description: 'Library path of hosted samples' },
+            sourceUrl: { type: 'string', description: 'Remote URL of proxied samples' },
+            metadata: ref('SoundMetadata'),
+            analysis: ref('SoundAnalysis'),
+            peaksUrl: { type: 'string', format: 'uri' },
+            layers: arrayOf(ref('Layer'))
+        }
+    },
+    Provenance: {
+        type: 'object',
+        required: ['id', 'revision'],
+        properties: {
+            id: { type: 'integer', description: 'Preset this one was forked from' },
+            revision: { type: 'integer', description: 'Revision of that preset last merged' }
+        }
+    },
+    PresetInput: {
+        type: 'object',
+        required: ['name', 'sounds'],
+        additionalProperties: false,
+        properties: {
+            name,
+            description,
+            visibility: { type: 'string', enum: VISIBILITIES, default: DEFAULT_VISIBILITY },
+            category,
+            tags,
+            sounds: { type: 'array', maxItems: MAX_SOUNDS, items: { ...ref('SoundInput'), nullable: true }, description: 'One sound per pad, null for an empty pad' }
+        }
+    },
+    Preset: {
+        type: 'object',
+        required: ['id', 'name', 'sounds'],
+        properties: {
+            id: { type: 'integer' },
+            owner: { type: 'integer', description: 'Owning user id (absent for public legacy presets)' },
+            ownerName: { type: 'string' },
+            visibility: { type: 'string', enum: VISIBILITIES },
+            name,
+            description,
+            category,
+            tags,
+            sounds: arrayOf({ ...ref('Sound'), nullable: true }),
+            forkedFrom: ref('Provenance'),
+            validationErrors: arrayOf(ref('FieldError'))
+        }
+    },
+    User: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            username: { type: 'string' },
+            displayName: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    UserWithToken: {
+        allOf: [ref('User')],
+        properties: { token: { type: 'string', description: 'API token, shown only once' } }
+    },
+    TagCount: {
+        type: 'object',
+        properties: { tag: { type: 'string' }, presets: { type: 'integer' }, sounds: { type: 'integer' }, count: { type: 'integer' } }
+    },
+    CategoryCount: {
+        type: 'object',
+        properties: { category, presets: { type: 'integer' }, sounds: { type: 'integer' }, count: { type: 'integer' } }
+    },
+    CollectionInput: {
+        type: 'object',
+        additionalProperties: false,
+        properties: { name, description, presetIds: arrayOf({ type: 'integer' }) }
+    },
+    Collection: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            owner: { type: 'integer' },
+            name,
+            description,
+            presetIds: arrayOf({ type: 'integer' }),
+            presetCount: { type: 'integer', description: 'Presets visible to the user (listing only)' },
+            presets: {
+                type: 'array',
+                description: 'Presets visible to the user (single collection only)',
+                items: {
+                    type: 'object',
+                    properties: { id: { type: 'integer' }, name: { type: 'string' }, category, tags, soundCount: { type: 'integer' } }
+                }
+            }
+        }
+    },
+    RevisionSummary: {
+        type: 'object',
+        properties: {
+            revision: { type: 'integer' },
+            type: { type: 'string', enum: ['baseline', 'created', 'updated', 'deleted', 'edited'] },
+            savedAt: { type: 'string', format: 'date-time' },
+            restoredFrom: { type: 'integer' },
+            name: { type: 'string' },
+            soundCount: { type: 'integer' }
+        }
+    },
+    Revision: {
+        allOf: [ref('RevisionSummary')],
+        properties: { preset: ref('Preset') }
+    },
+    FieldChange: {
+        type: 'object',
+        properties: { field: { type: 'string' }, from: {}, to: {} }
+    },
+    PresetDiff: {
+        type: 'object',
+        properties: {
+            changed: { type: 'boolean' },
+            fields: arrayOf(ref('FieldChange')),
+            sounds: {
+                type: 'object',
+                properties: {
+                    added: arrayOf({ type: 'object', properties: { index: { type: 'integer' }, sound: ref('Sound') } }),
+                    removed: arrayOf({ type: 'object', properties: { index: { type: 'integer' }, sound: ref('Sound') } }),
+                    changed: arrayOf({
+                        type: 'object',
+                        properties: { index: { type: 'integer' }, name: { type: 'string' }, changes: arrayOf(ref('FieldChange')) }
+                    })
+                }
+            }
+        }
+    },
+    RevisionDiff: {
+        allOf: [ref('PresetDiff')],
+        properties: { from: ref('RevisionSummary'), to: ref('RevisionSummary') }
+    },
+    MergeConflict: {
+        type: 'object',
+        properties: { field: { type: 'string', example: 'sounds[1]' }, base: {}, ours: {}, theirs: {} }
+    },
+    Lineage: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            forkedFrom: { ...ref('Provenance'), nullable: true },
+            upstream: {
+                type: 'object',
+                nullable: true,
+                description: 'null when the preset is not a fork or its original is gone',
+                properties: {
+                    id: { type: 'integer' },
+                    name: { type: 'string' },
+                    forkedAtRevision: { type: 'integer' },
+                    latestRevision: { type: 'integer' },
+                    behind: { type: 'boolean' },
+                    changes: ref('PresetDiff'),
+                    conflicts: arrayOf(ref('MergeConflict'))
+                }
+            },
+            ancestors: arrayOf({
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    revision: { type: 'integer' },
+                    name: { type: 'string', nullable: true },
+                    available: { type: 'boolean' }
+                }
+            }),
+            forks: arrayOf({
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    name: { type: 'string' },
+                    ownerName: { type: 'string', nullable: true },
+                    revision: { type: 'integer' }
+                }
+            })
+        }
+    },
+    PullResult: {
+        type: 'object',
+        properties: {
+            preset: ref('Preset'),
+            applied: arrayOf(ref('FieldChange')),
+            conflicts: arrayOf(ref('MergeConflict'))
+        }
+    },
+    ScanRequest: {
+        type: 'object',
+        properties: {
+            path: { type: 'string', description: 'Folder relative to the server import root (IMPORT_ROOT)' },
+            dryRun: { type: 'boolean', default: false },
+            visibility: { type: 'string', enum: VISIBILITIES, default: DEFAULT_VISIBILITY },
+            category,
+            tags
+        }
+    },
+    ScanResult: {
+        type: 'object',
+        properties: {
+            created: arrayOf(ref('Preset')),
+            planned: arrayOf({
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    folder: { type: 'string' },
+                    sounds: arrayOf({
+                        type: 'object',
+                        properties: { file: { type: 'string' }, name: { type: 'string' }, role: { type: 'string', nullable: true } }
+                    })
+                }
+            }),
+            failed: arrayOf({
+                type: 'object',
+                properties: { name: { type: 'string' }, folder: { type: 'string' }, error: { type: 'string' }, errors: arrayOf(ref('FieldError')) }
+            }),
+            skipped: arrayOf({ type: 'object', properties: { file: { type: 'string' }, reason: { type: 'string' } } }),
+            unreadable: arrayOf({ type: 'object', properties: { file: { type: 'string' }, error: { type: 'string' } } })
+        }
+    },
+    Peaks: {
+        type: 'object',
+        description: 'Multi-resolution waveform peaks; data is base64 of Int8 min/max pairs',
+        properties: {
+            version: { type: 'integer' },
+            sampleRate: { type: 'integer' },
+            channels: { type: 'integer' },
+            length: { type: 'integer' },
+            duration: { type: 'number' },
+            bits: { type: 'integer' },
+            levels: arrayOf({
+                type: 'object',
+                properties: {
+                    buckets: { type: 'integer' },
+                    samplesPerBucket: { type: 'number' },
+                    data: { type: 'string', format: 'byte' }
+                }
+            })
+        }
+    },
+    Sample: {
+        type: 'object',
+        properties: {
+            path: { type: 'string', example: 'drums/kick.wav' },
+            url: { type: 'string', format: 'uri' },
+            size: { type: 'integer' },
+            modified: { type: 'string', format: 'date-time', description: 'Listing only' },
+            name: { type: 'string', description: 'Uploads only' },
+            type: { type: 'string', description: 'MIME type, uploads only' },
+            metadata: { ...ref('SoundMetadata'), nullable: true },
+            analysis: { ...ref('SoundAnalysis'), nullable: true }
+        }
+    },
+    CacheStats: {
+        type: 'object',
+        properties: {
+            hits: { type: 'integer' },
+            misses: { type: 'integer' },
+            errors: { type: 'integer' },
+            requests: { type: 'integer' },
+            hitRate: { type: 'number', nullable: true }
+        }
+    },
+    DiskUsage: {
+        type: 'object',
+        properties: { bytes: { type: 'integer' }, files: { type: 'integer' } }
+    },
+    Health: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['ok', 'error'] },
+            uptime: { type: 'number' },
+            startedAt: { type: 'string', format: 'date-time' },
+            checks: { type: 'object', additionalProperties: { type: 'boolean' } }
+        }
+    },
+    Stats: {
+        type: 'object',
+        properties: {
+            uptime: { type: 'number' },
+            startedAt: { type: 'string', format: 'date-time' },
+            presets: { type: 'integer' },
+            presetsByVisibility: { type: 'object', additionalProperties: { type: 'integer' } },
+            sounds: { type: 'integer' },
+            users: { type: 'integer' },
+            collections: { type: 'integer' },
+            eventClients: { type: 'integer' },
+            samples: ref('DiskUsage'),
+            storage: { type: 'object', additionalProperties: {} },
+            caches: { type: 'object', additionalProperties: ref('CacheStats') },
+            presetLoads: arrayOf({
+                type: 'object',
+                properties: { id: { type: 'integer' }, name: { type: 'string' }, loads: { type: 'integer' } }
+            }),
+            requests: arrayOf({
+                type: 'object',
+                properties: {
+                    method: { type: 'string' },
+                    status: { type: 'integer' },
+                    count: { type: 'integer' },
+                    seconds: { type: 'number' }
+                }
+            })
+        }
+    }
+};
+
+// ==================== Paths ====================
+
+const paths = {
+    '/api/users': {
+        post: {
+            operationId: 'createUser',
+            tags: ['Users'],
+            summary: 'Create an account and get its API token',
+            requestBody: body({
+                type: 'object',
+                required: ['username'],
+                properties: {
+                    username: { type: 'string', pattern: '^[a-z0-9][a-z0-9_.-]{1,31}$' },
+                    displayName: { type: 'string' }
+                }
+            }),
+            responses: { 201: json('Account created', ref('UserWithToken')), ...errors(400, 401, 409) }
+        }
+    },
+    '/api/users/me': {
+        get: {
+            operationId: 'getCurrentUser',
+            tags: ['Users'],
+            summary: 'Get the signed-in user',
+            security: signedIn,
+            responses: { 200: json('Signed-in user', ref('User')), ...errors(401) }
+        }
+    },
+    '/api/users/me/token': {
+        post: {
+            operationId: 'rotateToken',
+            tags: ['Users'],
+            summary: 'Replace the API token of the signed-in user',
+            security: signedIn,
+            responses: { 200: json('User with the new token', ref('UserWithToken')), ...errors(401) }
+        }
+    },
+    '/api/presets': {
+        get: {
+            operationId: 'listPresets',
+            tags: ['Presets'],
+            summary: 'List presets visible to the user',
+            parameters: [
+                query('q', 'Words searched in names, descriptions, categories, tags and sounds'),
+                query('tag', 'Only presets having every tag (comma separated)'),
+                query('category', 'Only presets of one of the categories (comma separated)'),
+                query('collection', 'Only presets of a collection', { type: 'integer' }),
+                query('owner', 'Only presets of a user id, or "me"'),
+                query('sort', 'name, id or sounds, "-" prefix for descending', { type: 'string', default: 'id' }),
+                query('limit', 'Page size', { type: 'integer', minimum: 1, maximum: MAX_LIMIT }),
+                query('offset', 'Presets to skip', { type: 'integer', minimum: 0 }),
+                query('cursor', 'X-Next-Cursor of the previous page'),
+                query('validate', 'true adds validationErrors to presets failing the schema', { type: 'boolean' }),
+                proxyParam,
+                ...conditionalParams
+            ],
+            responses: {
+                200: json('Presets of the page', arrayOf(ref('Preset')), {
+                    headers: {
+                        'X-Total-Count': { schema: { type: 'integer' }, description: 'Presets matching the query' },
+                        'X-Next-Cursor': { schema: { type: 'string' }, description: 'Cursor of the next page, if any' },
+                        ...validatorHeaders
+                    }
+                }),
+                ...notModified,
+                ...errors(400, 401, 404)
+            }
+        },
+        post: {
+            operationId: 'createPreset',
+            tags: ['Presets'],
+            summary: 'Create a preset owned by the signed-in user',
+            security: signedIn,
+            requestBody: body(ref('PresetInput')),
+            responses: { 201: json('Created preset', ref('Preset')), ...errors(400, 401) }
+        }
+    },
+    '/api/presets/{id}': {
+        parameters: [presetId],
+        get: {
+            operationId: 'getPreset',
+            tags: ['Presets'],
+            summary: 'Get a preset',
+            parameters: [proxyParam, ...conditionalParams],
+            responses: {
+                200: json('Preset', ref('Preset'), { headers: validatorHeaders }),
+                ...notModified,
+                ...errors(400, 404)
+            }
+        },
+        put: {
+            operationId: 'replacePreset',
+            tags: ['Presets'],
+            summary: 'Replace a preset (owner only)',
+            security: signedIn,
+            requestBody: body(ref('PresetInput')),
+            responses: { 200: json('Stored preset', ref('Preset')), ...errors(400, 401, 403, 404) }
+        },
+        patch: {
+            operationId: 'updatePreset',
+            tags: ['Presets'],
+            summary: 'Update some fields of a preset (owner only)',
+            security: signedIn,
+            requestBody: body({ ...ref('PresetInput'), description: 'Any subset of the fields' }),
+            responses: { 200: json('Stored preset', ref('Preset')), ...errors(400, 401, 403, 404) }
+        },
+        delete: {
+            operationId: 'deletePreset',
+            tags: ['Presets'],
+            summary: 'Delete a preset (owner only)',
+            security: signedIn,
+            responses: { 204: { description: 'Deleted' }, ...errors(400, 401, 403, 404) }
+        }
+    },
+    '/api/presets/{id}/export': {
+        parameters: [presetId],
+        get: {
+            operationId: 'exportPreset',
+            tags: ['Bundles'],
+            summary: 'Download a preset and its sounds as a ZIP archive',
+            responses: {
+                200: {
+                    description: 'ZIP archive (X-Bundle-Skipped: sounds left as remote URLs)',
+                    content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } }
+                },
+                ...errors(404, 502, 504)
+            }
+        }
+    },
+    '/api/presets/import': {
+        post: {
+            operationId: 'importPreset',
+            tags: ['Bundles'],
+            summary: 'Create a preset from a ZIP archive',
+            security: signedIn,
+            parameters: [
+                query('visibility', 'Visibility of the new preset (the one stored in the archive is ignored)', {
+                    type: 'string', enum: VISIBILITIES, default: DEFAULT_VISIBILITY
+                })
+            ],
+            requestBody: {
+                required: true,
+                content: {
+                    'application/zip': { schema: { type: 'string', format: 'binary' } },
+                    'multipart/form-data': {
+                        schema: { type: 'object', properties: { file: { type: 'string', format: 'binary' } } }
+                    }
+                }
+            },
+            responses: { 201: json('Created preset', ref('Preset')), ...errors(400, 401, 413) }
+        }
+    },
+    '/api/presets/scan': {
+        post: {
+            operationId: 'scanFolder',
+            tags: ['Bundles'],
+            summary: 'Create one preset per folder of audio files on the server',
+            security: signedIn,
+            requestBody: body(ref('ScanRequest'), false),
+            responses: {
+                200: json('Dry run, or nothing created', ref('ScanResult')),
+                201: json('Presets created', ref('ScanResult')),
+                ...errors(400, 401)
+            }
+        }
+    },
+    '/api/presets/{id}/sounds/{index}/peaks': {
+        parameters: [presetId, { name: 'index', in: 'path', required: true, description: 'Pad index', schema: { type: 'integer', minimum: 0 } }],
+        get: {
+            operationId: 'getPeaks',
+            tags: ['Presets'],
+            summary: 'Get multi-resolution waveform peaks of a sound',
+            responses: { 200: json('Peaks', ref('Peaks')), ...errors(400, 404, 422, 502, 504) }
+        }
+    },
+    '/api/presets/{id}/sounds/{index}/analysis': {
+        parameters: [presetId, { name: 'index', in: 'path', required: true, description: 'Pad index', schema: { type: 'integer', minimum: 0 } }],
+        get: {
+            operationId: 'getAnalysis',
+            tags: ['Presets'],
+            summary: 'Get the peak level, loudness, onsets, tempo and root pitch of a sound (computed if needed)',
+            responses: { 200: json('Analysis', ref('SoundAnalysis')), ...errors(400, 404, 422, 502, 504) }
+        }
+    },
+    '/api/presets/{id}/revisions': {
+        parameters: [presetId],
+        get: {
+            operationId: 'listRevisions',
+            tags: ['Revisions'],
+            summary: 'List saved versions of a preset, newest first',
+            responses: { 200: json('Revisions', arrayOf(ref('RevisionSummary'))), ...errors(400, 404) }
+        }
+    },
+    '/api/presets/{id}/revisions/{revision}': {
+        parameters: [presetId, pathId('revision', 'Revision number')],
+        get: {
+            operationId: 'getRevision',
+            tags: ['Revisions'],
+            summary: 'Get a preset as saved in a revision',
+            responses: { 200: json('Revision', ref('Revision')), ...errors(400, 404) }
+        }
+    },
+    '/api/presets/{id}/revisions/{from}/diff': {
+        parameters: [presetId, pathId('from', 'Revision number')],
+        get: {
+            operationId: 'diffRevision',
+            tags: ['Revisions'],
+            summary: 'Changes made by a revision (compared with the previous one)',
+            responses: { 200: json('Diff', ref('RevisionDiff')), ...errors(400, 404) }
+        }
+    },
+    '/api/presets/{id}/revisions/{from}/diff/{to}': {
+        parameters: [presetId, pathId('from', 'Older revision'), pathId('to', 'Newer revision')],
+        get: {
+            operationId: 'diffRevisions',
+            tags: ['Revisions'],
+            summary: 'Diff two revisions',
+            responses: { 200: json('Diff', ref('RevisionDiff')), ...errors(400, 404) }
+        }
+    },
+    '/api/presets/{id}/revisions/{revision}/rollback': {
+        parameters: [presetId, pathId('revision', 'Revision to restore')],
+        post: {
+            operationId: 'rollbackPreset',
+            tags: ['Revisions'],
+            summary: 'Restore the content of a revision, keeping the current visibility (recreates a deleted preset)',
+            security: signedIn,
+            responses: { 200: json('Restored preset', ref('Preset')), ...errors(400, 401, 403, 404) }
+        }
+    },
+    '/api/presets/{id}/fork': {
+        parameters: [presetId],
+        post: {
+            operationId: 'forkPreset',
+            tags: ['Forks'],
+            summary: 'Copy a preset into a new one remembering its origin',
+            security: signedIn,
+            requestBody: body({
+                type: 'object',
+                properties: { name, visibility: { type: 'string', enum: VISIBILITIES, default: DEFAULT_VISIBILITY } }
+            }, false),
+            responses: { 201: json('New preset', ref('Preset')), ...errors(400, 401, 404) }
+        }
+    },
+    '/api/presets/{id}/lineage': {
+        parameters: [presetId],
+        get: {
+            operationId: 'getLineage',
+            tags: ['Forks'],
+            summary: 'Get the origins, forks and upstream changes of a preset',
+            responses: { 200: json('Lineage', ref('Lineage')), ...errors(400, 404, 409) }
+        }
+    },
+    '/api/presets/{id}/pull': {
+        parameters: [presetId],
+        post: {
+            operationId: 'pullUpstream',
+            tags: ['Forks'],
+            summary: 'Merge the changes made to the original into a fork (owner only)',
+            security: signedIn,
+            requestBody: body({
+                type: 'object',
+                properties: { resolve: { type: 'string', enum: ['ours', 'theirs'], description: 'Side winning conflicts' } }
+            }, false),
+            responses: { 200: json('Merge result', ref('PullResult')), ...errors(400, 401, 403, 404, 409) }
+        }
+    },
+    '/api/tags': {
+        get: {
+            operationId: 'listTags',
+            tags: ['Tags'],
+            summary: 'List tags of presets and sounds with counts',
+            responses: { 200: json('Tags, most used first', arrayOf(ref('TagCount'))) }
+        }
+    },
+    '/api/categories': {
+        get: {
+            operationId: 'listCategories',
+            tags: ['Tags'],
+            summary: 'List categories with counts',
+            responses: { 200: json('Every category', arrayOf(ref('CategoryCount'))) }
+        }
+    },
+    '/api/collections': {
+        get: {
+            operationId: 'listCollections',
+            tags: ['Collections'],
+            summary: 'List preset collections',
+            responses: { 200: json('Collections', arrayOf(ref('Collection'))) }
+        },
+        post: {
+            operationId: 'createCollection',
+            tags: ['Collections'],
+            summary: 'Create a collection',
+            security: signedIn,
+            requestBody: body(ref('CollectionInput')),
+            responses: { 201: json('Created collection', ref('Collection')), ...errors(400, 401) }
+        }
+    },
+    '/api/collections/{id}': {
+        parameters: [collectionId],
+        get: {
+            operationId: 'getCollection',
+            tags: ['Collections'],
+            summary: 'Get a collection with its presets',
+            responses: { 200: json('Collection', ref('Collection')), ...errors(400, 404) }
+        },
+        patch: {
+            operationId: 'updateCollection',
+            tags: ['Collections'],
+            summary: 'Update a collection (creator only)',
+            security: signedIn,
+            requestBody: body(ref('CollectionInput')),
+            responses: { 200: json('Stored collection', ref('Collection')), ...errors(400, 401, 403, 404) }
+        },
+        delete: {
+            operationId: 'deleteCollection',
+            tags: ['Collections'],
+            summary: 'Delete a collection (presets are kept)',
+            security: signedIn,
+            responses: { 204: { description: 'Deleted' }, ...errors(400, 401, 403, 404) }
+        }
+    },
+    '/api/collections/{id}/presets': {
+        parameters: [collectionId],
+        post: {
+            operationId: 'addToCollection',
+            tags: ['Collections'],
+            summary: 'Add a preset to a collection',
+            security: signedIn,
+            requestBody: body({ type: 'object', required: ['presetId'], properties: { presetId: { type: 'integer' } } }),
+            responses: { 200: json('Collection', ref('Collection')), ...errors(400, 401, 403, 404) }
+        }
+    },
+    '/api/collections/{id}/presets/{presetId}': {
+        parameters: [collectionId, pathId('presetId', 'Preset id')],
+        delete: {
+            operationId: 'removeFromCollection',
+            tags: ['Collections'],
+            summary: 'Remove a preset from a collection',
+            security: signedIn,
+            responses: { 200: json('Collection', ref('Collection')), ...errors(400, 401, 403, 404) }
+        }
+    },
+    '/api/samples': {
+        get: {
+            operationId: 'listSamples',
+            tags: ['Samples'],
+            summary: 'List hosted audio files',
+            parameters: [
+                query('sort', 'name, size, duration, peak, loudness, tempo or pitch, "-" prefix for descending; unknown values last',
+                    { type: 'string', default: 'name' })
+            ],
+            responses: { 200: json('Samples', arrayOf(ref('Sample'))), ...errors(400) }
+        },
+        post: {
+            operationId: 'uploadSamples',
+            tags: ['Samples'],
+            summary: 'Upload audio files',
+            security: signedIn,
+            parameters: [query('folder', 'Library folder, e.g. "my-kits/drums"')],
+            requestBody: {
+                required: true,
+                content: {
+                    'multipart/form-data': {
+                        schema: {
+                            type: 'object',
+                            properties: {
+                                file: { type: 'string', format: 'binary' },
+                                files: arrayOf({ type: 'string', format: 'binary' })
+                            }
+                        }
+                    }
+                }
+            },
+            responses: { 201: json('Stored files', arrayOf(ref('Sample'))), ...errors(400, 401, 413) }
+        }
+    },
+    '/samples/{path}': {
+        parameters: [{ name: 'path', in: 'path', required: true, description: 'Library path, e.g. drums/kick.wav', schema: { type: 'string' } }],
+        get: {
+            operationId: 'getSample',
+            tags: ['Samples'],
+            summary: 'Download a hosted audio file (Range requests supported)',
+            responses: {
+                200: { description: 'Audio file', content: { 'audio/*': { schema: { type: 'string', format: 'binary' } } } },
+                ...errors(404)
+            }
+        }
+    },
+    '/api/proxy': {
+        get: {
+            operationId: 'proxySample',
+            tags: ['Samples'],
+            summary: 'Fetch a remote sample through the server cache',
+            parameters: [{ ...query('url', 'Remote http(s) URL used by a preset'), required: true }],
+            responses: {
+                200: {
+                    description: 'Audio file (X-Cache: HIT, MISS, REVALIDATED or STALE)',
+                    content: { 'audio/*': { schema: { type: 'string', format: 'binary' } } }
+                },
+                ...errors(400, 403, 502, 504)
+            }
+        }
+    },
+    '/api/events': {
+        get: {
+            operationId: 'subscribeEvents',
+            tags: ['Events'],
+            summary: 'Server-Sent Events stream of preset changes',
+            description: 'Events: preset-created, preset-updated, preset-deleted ({id, name}) and presets-reloaded. '
+                + 'EventSource cannot send headers, pass the token as ?token=.',
+            responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } } }
+        }
+    },
+    '/api/health': {
+        get: {
+            operationId: 'getHealth',
+            tags: ['Status'],
+            summary: 'Health check',
+            responses: { 200: json('Healthy', ref('Health')), 503: json('Data directory not writable', ref('Health')) }
+        }
+    },
+    '/api/stats': {
+        get: {
+            operationId: 'getStats',
+            tags: ['Status'],
+            summary: 'Uptime, counts, storage used, cache hit rates and preset load counts',
+            responses: { 200: json('Statistics', ref('Stats')) }
+        }
+    },
+    '/api/metrics': {
+        get: {
+            operationId: 'getMetrics',
+            tags: ['Status'],
+            summary: 'Statistics as Prometheus text metrics',
+            responses: { 200: { description: 'Prometheus exposition format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+        }
+    },
+    '/openapi.json': {
+        get: {
+            operationId: 'getOpenApi',
+            tags: ['Status'],
+            summary: 'This document',
+            responses: { 200: json('OpenAPI document', { type: 'object' }) }
+        }
+    }
+};
+
+// ==================== Document ====================
+
+/**
+ * Build the OpenAPI document
+ * @param {Object} options
+ * @param {string} options.serverUrl - Base URL clients should use, e.g. http://localhost:3000
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildOpenApi({ serverUrl }) {
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Audio Presets API',
+            version,
+            description: 'Presets of sampler pads, their audio files, revisions, forks and collections. '
+                + 'Anonymous requests see public presets; sign in with an API token (POST /api/users) to create and share presets.'
+        },
+        servers: [{ url: serverUrl }],
+        tags: ['Presets', 'Revisions', 'Forks', 'Bundles', 'Collections', 'Tags', 'Samples', 'Users', 'Events', 'Status']
+            .map(tag => ({ name: tag })),
+        paths,
+        components: {
+            schemas,
+            responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([status, responseName]) => [
+                responseName,
+                json(`${status} error`, ref('Error'))
+            ])),
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'API token from POST /api/users' },
+                tokenQuery: { type: 'apiKey', in: 'query', name: 'token', description: 'API token, for EventSource' }
+            }
+        }
+    };
+}
+
+module.exports = {
+    buildOpenApi
+};
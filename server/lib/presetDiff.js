@@ -0,0 +1,164 @@
+/**
+ * Preset diff
+ * Compares two versions of a preset, field by field, and merges upstream
+ * changes into forks (see mergePresets)
+ *
+ * Sounds are compared pad by pad (same index in the sounds array), since the
+ * position of a sound is the pad it plays on; null is an empty pad.
+ *
+ * Result:
+ *   {
+ *     changed: boolean,
+ *     fields: [{field, from, to}],                     // name, description, tags...
+ *     sounds: {
+ *       added:   [{index, sound}],
+ *       removed: [{index, sound}],
+ *       changed: [{index, name, changes: [{field, from, to}]}]   // name, url, settings.volume...
+ *     }
+ *   }
+ */
+
+/**
+ * Deep equality of JSON values
+ */
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Differences between two plain objects, one entry per key
+ * @param {Object} from
+ * @param {Object} to
+ * @param {Array<string>} ignore - Keys not compared
+ * @param {string} prefix - Prepended to field names ("settings.")
+ * @returns {Array} [{field, from, to}], undefined meaning absent
+ */
+function diffFields(from = {}, to = {}, ignore = [], prefix = '') {
+    const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])]
+        .filter(key => !ignore.includes(key));
+
+    return keys
+        .filter(key => !isEqual(from[key], to[key]))
+        .map(key => ({ field: prefix + key, from: from[key], to: to[key] }));
+}
+
+/**
+ * Differences between two sounds on the same pad
+ * Settings are compared one by one
+ * @returns {Array} [{field, from, to}]
+ */
+function diffSound(from, to) {
+    return [
+        ...diffFields(from, to, ['settings']),
+        ...diffFields(from.settings || {}, to.settings || {}, [], 'settings.')
+    ];
+}
+
+/**
+ * Compare two versions of a preset
+ * @param {Object} from - Older version
+ * @param {Object} to - Newer version
+ * @returns {Object} See module comment
+ */
+function diffPresets(from, to) {
+    const fields = diffFields(from, to, ['id', 'sounds']);
+    const sounds = { added: [], removed: [], changed: [] };
+
+    const fromSounds = Array.isArray(from.sounds) ? from.sounds : [];
+    const toSounds = Array.isArray(to.sounds) ? to.sounds : [];
+
+    for (let index = 0; index < Math.max(fromSounds.length, toSounds.length); index++) {
+        const before = fromSounds[index];
+        const after = toSounds[index];
+
+        if (!before && after) {
+            sounds.added.push({ index, sound: after });
+        } else if (before && !after) {
+            sounds.removed.push({ index, sound: before });
+        } else if (before && after) {
+            const changes = diffSound(before, after);
+            if (changes.length > 0) {
+                sounds.changed.push({ index, name: after.name, changes });
+            }
+        }
+    }
+
+    const changed = fields.length > 0 || sounds.added.length > 0
+        || sounds.removed.length > 0 || sounds.changed.length > 0;
+
+    return { changed, fields, sounds };
+}
+
+/**
+ * Fields a fork keeps as its own when pulling from upstream
+ */
+const UNMERGED_FIELDS = ['id', 'owner', 'visibility', 'name', 'forkedFrom', 'sounds'];
+
+/**
+ * Three-way merge of upstream changes into a fork
+ *
+ * Each field and each pad is merged on its own: a change made upstream since
+ * the fork point is applied unless the fork changed the same field or pad
+ * differently, which is a conflict (the fork's value is kept, or upstream's
+ * with force). Name, owner, visibility and provenance always stay the fork's.
+ *
+ * @param {Object} base - Upstream preset at the fork point
+ * @param {Object} ours - Current fork
+ * @param {Object} theirs - Current upstream preset
+ * @param {Object} options
+ * @param {boolean} options.force - Take upstream's value on conflicts
+ * @returns {Object} {preset, applied: [{field, from, to}], conflicts: [{field, base, ours, theirs}]}
+ */
+function mergePresets(base, ours, theirs, { force = false } = {}) {
+    const preset = JSON.parse(JSON.stringify(ours));
+    const applied = [];
+    const conflicts = [];
+
+    const mergeValue = (field, baseValue, ourValue, theirValue, apply) => {
+        if (isEqual(theirValue, baseValue) || isEqual(theirValue, ourValue)) {
+            return;
+        }
+        if (!isEqual(ourValue, baseValue)) {
+            conflicts.push({ field, base: baseValue, ours: ourValue, theirs: theirValue });
+            if (!force) return;
+        }
+        applied.push({ field, from: ourValue, to: theirValue });
+        apply(theirValue);
+    };
+
+    const keys = [...new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)])]
+        .filter(key => !UNMERGED_FIELDS.includes(key));
+    keys.forEach(key => mergeValue(key, base[key], ours[key], theirs[key], value => {
+        if (value === undefined) {
+            delete preset[key];
+        } else {
+            preset[key] = value;
+        }
+    }));
+
+    const baseSounds = base.sounds || [];
+    const ourSounds = ours.sounds || [];
+    const theirSounds = theirs.sounds || [];
+    const padCount = Math.max(baseSounds.length, ourSounds.length, theirSounds.length);
+    const sounds = Array.from({ length: padCount }, (_, index) => ourSounds[index] ?? null);
+
+    for (let index = 0; index < padCount; index++) {
+        const pad = list => list[index] ?? null;
+        mergeValue(`sounds[${index}]`, pad(baseSounds), pad(ourSounds), pad(theirSounds), value => {
+            sounds[index] = value;
+        });
+    }
+    // A removed pad leaves an empty slot (null) so the pads after it keep their
+    // position; empty slots at the end are dropped
+    while (sounds.length > 0 && sounds[sounds.length - 1] === null) {
+        sounds.pop();
+    }
+    preset.sounds = sounds;
+
+    return { preset, applied, conflicts };
+}
+
+module.exports = {
+    diffPresets,
+    mergePresets
+};
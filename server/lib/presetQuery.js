@@ -0,0 +1,210 @@
+/**
+ * Preset query helpers
+ * Search, tag filtering, sorting and pagination for GET /api/presets
+ *
+ * Query parameters:
+ *   q         text searched in name, description, category, tags and sounds (all words must match)
+ *   tag       only presets having every given tag, on the preset or one of its sounds
+ *             (repeat or comma separate)
+ *   category  only presets of one of the given categories, or having a sound in one
+ *   sort    name | id | sounds, prefixed with "-" for descending (default: id)
+ *   limit   page size (1 - MAX_LIMIT)
+ *   offset  number of presets to skip
+ *   cursor  opaque cursor from a previous page (X-Next-Cursor), instead of offset
+ */
+const { badRequest } = require('./errors');
+
+const MAX_LIMIT = 100;
+
+// Sort keys: value extracted from a preset
+const SORT_FIELDS = {
+    id: preset => preset.id,
+    name: preset => String(preset.name || '').toLowerCase(),
+    sounds: preset => (Array.isArray(preset.sounds) ? preset.sounds.filter(Boolean).length : 0)
+};
+
+/**
+ * Read a query parameter that may be repeated or comma separated
+ * @returns {Array<string>}
+ */
+function listParam(value) {
+    if (value === undefined) return [];
+    return [].concat(value)
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Lowercased tags of a preset and its sounds
+ * @param {Object} preset
+ * @returns {Array<string>}
+ */
+function presetTags(preset) {
+    const sounds = Array.isArray(preset.sounds) ? preset.sounds : [];
+    return [preset, ...sounds]
+        .flatMap(item => (item && Array.isArray(item.tags) ? item.tags : []))
+        .map(tag => String(tag).toLowerCase());
+}
+
+/**
+ * Categories of a preset and its sounds
+ * @param {Object} preset
+ * @returns {Array<string>}
+ */
+function presetCategories(preset) {
+    const sounds = Array.isArray(preset.sounds) ? preset.sounds : [];
+    return [preset, ...sounds]
+        .map(item => item && item.category)
+        .filter(category => typeof category === 'string');
+}
+
+/**
+ * Read a non-negative integer query parameter
+ * @returns {number|undefined}
+ */
+function intParam(value, name, min, max) {
+    if (value === undefined) return undefined;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw badRequest(`Invalid ${name}: must be an integer between ${min} and ${max}`);
+    }
+    return number;
+}
+
+/**
+ * Encode a pagination cursor (sort value + id of the last preset of a page)
+ */
+function encodeCursor(sort, preset) {
+    return Buffer.from(JSON.stringify(sortKey(preset, sort.field))).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @returns {Array} [sortValue, id]
+ */
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Array.isArray(decoded) && decoded.length === 2) {
+            return decoded;
+        }
+    } catch (error) {
+        // Fall through to the error below
+    }
+    throw badRequest('Invalid cursor');
+}
+
+/**
+ * Parse and check the query parameters of GET /api/presets
+ * @param {Object} query - req.query
+ * @returns {Object} {terms, tags, categories, sort, limit, offset, cursor}
+ */
+function parsePresetQuery(query) {
+    const sortParam = typeof query.sort === 'string' && query.sort ? query.sort : 'id';
+    const descending = sortParam.startsWith('-');
+    const field = descending ? sortParam.slice(1) : sortParam;
+
+    if (!SORT_FIELDS[field]) {
+        throw badRequest(`Invalid sort: use one of ${Object.keys(SORT_FIELDS).join(', ')} (prefix with - for descending)`);
+    }
+
+    const options = {
+        terms: typeof query.q === 'string' ? query.q.toLowerCase().split(/\s+/).filter(Boolean) : [],
+        tags: listParam(query.tag),
+        categories: listParam(query.category),
+        sort: { field, descending },
+        limit: intParam(query.limit, 'limit', 1, MAX_LIMIT),
+        offset: intParam(query.offset, 'offset', 0, Number.MAX_SAFE_INTEGER) || 0,
+        cursor: null
+    };
+
+    if (query.cursor !== undefined) {
+        if (query.offset !== undefined) {
+            throw badRequest('Use either offset or cursor, not both');
+        }
+        options.cursor = decodeCursor(String(query.cursor));
+    }
+
+    return options;
+}
+
+/**
+ * Text searched by the q parameter
+ */
+function searchableText(preset) {
+    const sounds = Array.isArray(preset.sounds) ? preset.sounds : [];
+    return [
+        preset.name,
+        preset.description,
+        ...presetCategories(preset),
+        ...presetTags(preset),
+        ...sounds.map(sound => sound && sound.name)
+    ].filter(v => typeof v === 'string').join('\n').toLowerCase();
+}
+
+/**
+ * Sort key of a preset: [sort field value, id]
+ */
+function sortKey(preset, field) {
+    return [SORT_FIELDS[field](preset), preset.id];
+}
+
+/**
+ * Compare two sort keys (ties broken by id)
+ */
+function compareKeys([va, ia], [vb, ib], descending) {
+    const order = va < vb ? -1 : va > vb ? 1 : ia - ib;
+    return descending ? -order : order;
+}
+
+/**
+ * Apply a parsed query to a list of presets
+ * @param {Array} presets
+ * @param {Object} options - From parsePresetQuery()
+ * @returns {Object} {items, total, offset, limit, nextCursor}
+ */
+function queryPresets(presets, options) {
+    const { terms, tags, categories = [], sort, limit, cursor } = options;
+
+    const matching = presets
+        .filter(preset => {
+            if (terms.length > 0) {
+                const text = searchableText(preset);
+                if (!terms.every(term => text.includes(term))) return false;
+            }
+            if (tags.length > 0) {
+                const allTags = presetTags(preset);
+                if (!tags.every(tag => allTags.includes(tag))) return false;
+            }
+            if (categories.length > 0) {
+                if (!presetCategories(preset).some(category => categories.includes(category))) return false;
+            }
+            return true;
+        })
+        .sort((a, b) => compareKeys(sortKey(a, sort.field), sortKey(b, sort.field), sort.descending));
+
+    // Start of the page: after the cursor position, or at offset
+    let offset = options.offset;
+    if (cursor) {
+        const index = matching.findIndex(preset => compareKeys(sortKey(preset, sort.field), cursor, sort.descending) > 0);
+        offset = index < 0 ? matching.length : index;
+    }
+
+    const end = limit === undefined ? matching.length : offset + limit;
+    const items = matching.slice(offset, end);
+    const nextCursor = end < matching.length && items.length > 0
+        ? encodeCursor(sort, items[items.length - 1])
+        : null;
+
+    return { items, total: matching.length, offset, limit, nextCursor };
+}
+
+module.exports = {
+    MAX_LIMIT,
+    presetTags,
+    presetCategories,
+    parsePresetQuery,
+    queryPresets
+};
@@ -0,0 +1,388 @@
+/**
+ * Preset schema
+ * Strict validation of preset objects, enforced by PresetStore on every write
+ *
+ * Preset:
+ *   id           positive integer (allocated by the store if missing)
+ *   owner        id of the owning user (set by the server, see access.js)
+ *   visibility   private | shared | public (optional)
+ *   name         non-empty string
+ *   description  string (optional)
+ *   category     one of CATEGORIES (optional)
+ *   tags         array of short strings (optional)
+ *   sounds       array of sounds, at most one per pad (null for an empty pad)
+ *   forkedFrom   {id, revision} of the preset this one was forked from (set by the server)
+ *
+ * Sound:
+ *   name         non-empty string
+ *   url          http(s) URL or path of a hosted sample ("drums/kick.wav")
+ *   category     one of CATEGORIES (optional)
+ *   tags         array of short strings (optional)
+ *   settings     optional per-pad settings, see SOUND_SETTINGS
+ *   layers       optional extra samples of the pad, see Layer
+ *
+ * Layer (played instead of the sound in a velocity range, the narrowest matching range wins):
+ *   name         string (optional)
+ *   url          http(s) URL or path of a hosted sample
+ *   velocityMin  integer from 0 to 127 (optional, default 0)
+ *   velocityMax  integer from velocityMin to 127 (optional, default 127)
+ *
+ * Samples with the same range are variations the pad alternates on each hit
+ * (settings.alternation): layers without a range are variations of the sound.
+ *
+ * Unknown fields are rejected so typos do not get silently stored.
+ */
+const { isLibraryPath } = require('./soundUrls');
+const { VISIBILITIES } = require('./access');
+
+// Limits
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_SOUNDS = 16; // One per pad of the 4x4 grid
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_VOICES = 32; // Per pad, see SamplerEngine
+const MAX_ENVELOPE_TIME = 10; // Seconds of each envelope stage
+const MAX_COARSE_TUNE = 24; // Semitones, up or down
+const MAX_FINE_TUNE = 100; // Cents, up or down
+const MAX_LAYERS = 8; // Velocity layers per sound
+const MAX_VELOCITY = 127; // MIDI
+
+// How a pad responds to press and release (see SamplerEngine)
+const PLAY_MODES = ['one-shot', 'gate', 'toggle'];
+
+// Velocity curves of pads (see velocity.js in the sampler)
+const VELOCITY_CURVES = ['linear', 'soft', 'hard'];
+
+// How pads pick among samples sharing a velocity range (see SamplerEngine)
+const ALTERNATION_MODES = ['round-robin', 'random', 'random-no-repeat'];
+
+// Allowed per-pad settings and their checks
+const SOUND_SETTINGS = {
+    volume: value => isNumberInRange(value, 0, 1) || 'must be a number between 0 and 1',
+    startOffset: value => isNumberInRange(value, 0, Infinity) || 'must be a number of seconds >= 0',
+    duration: value => isNumberInRange(value, 0, Infinity) || 'must be a number of seconds >= 0',
+    maxVoices: value => isIntegerInRange(value, 1, MAX_VOICES) || `must be an integer between 1 and ${MAX_VOICES}`,
+    chokeGroup: value => isIntegerInRange(value, 1, MAX_SOUNDS) || `must be an integer between 1 and ${MAX_SOUNDS}`,
+    playMode: value => PLAY_MODES.includes(value) || `must be one of ${PLAY_MODES.join(', ')}`,
+    attack: value => isNumberInRange(value, 0, MAX_ENVELOPE_TIME) || `must be a number of seconds between 0 and ${MAX_ENVELOPE_TIME}`,
+    hold: value => isNumberInRange(value, 0, MAX_ENVELOPE_TIME) || `must be a number of seconds between 0 and ${MAX_ENVELOPE_TIME}`,
+    decay: value => isNumberInRange(value, 0, MAX_ENVELOPE_TIME) || `must be a number of seconds between 0 and ${MAX_ENVELOPE_TIME}`,
+    sustain: value => isNumberInRange(value, 0, 1) || 'must be a number between 0 and 1',
+    release: value => isNumberInRange(value, 0, MAX_ENVELOPE_TIME) || `must be a number of seconds between 0 and ${MAX_ENVELOPE_TIME}`,
+    coarseTune: value => isIntegerInRange(value, -MAX_COARSE_TUNE, MAX_COARSE_TUNE)
+        || `must be a whole number of semitones between -${MAX_COARSE_TUNE} and ${MAX_COARSE_TUNE}`,
+    fineTune: value => isNumberInRange(value, -MAX_FINE_TUNE, MAX_FINE_TUNE)
+        || `must be a number of cents between -${MAX_FINE_TUNE} and ${MAX_FINE_TUNE}`,
+    reverse: value => typeof value === 'boolean' || 'must be true or false',
+    loop: value => typeof value === 'boolean' || 'must be true or false',
+    loopStart: value => isNumberInRange(value, 0, Infinity) || 'must be a number of seconds >= 0',
+    loopEnd: value => isNumberInRange(value, 0, Infinity) || 'must be a number of seconds >= 0',
+    velocityCurve: value => VELOCITY_CURVES.includes(value) || `must be one of ${VELOCITY_CURVES.join(', ')}`,
+    velocitySensitivity: value => isNumberInRange(value, 0, 1) || 'must be a number between 0 and 1',
+    velocityToCutoff: value => isNumberInRange(value, 0, 1) || 'must be a number between 0 and 1',
+    alternation: value => ALTERNATION_MODES.includes(value) || `must be one of ${ALTERNATION_MODES.join(', ')}`
+};
+
+// Categories of presets and sounds (free-form labels go in tags)
+const CATEGORIES = ['drums', 'percussion', 'electronic', 'acoustic', 'bass', 'synth', 'keys', 'vocals', 'fx', 'one-shots', 'loops'];
+
+const PRESET_FIELDS = ['id', 'owner', 'visibility', 'name', 'description', 'category', 'tags', 'sounds', 'forkedFrom'];
+const SOUND_FIELDS = ['name', 'url', 'category', 'tags', 'settings', 'layers'];
+const LAYER_FIELDS = ['name', 'url', 'velocityMin', 'velocityMax'];
+
+/**
+ * Check if a value is a finite number between min and max (inclusive)
+ */
+function isNumberInRange(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Check if a value is an integer between min and max (inclusive)
+ */
+function isIntegerInRange(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Check if a value is a plain object
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a string field
+ * @returns {string|null} Error message
+ */
+function checkString(value, { required = false, maxLength = Infinity } = {}) {
+    if (value === undefined) {
+        return required ? 'is required' : null;
+    }
+    if (typeof value !== 'string') {
+        return 'must be a string';
+    }
+    if (required && !value.trim()) {
+        return 'must not be empty';
+    }
+    if (value.length > maxLength) {
+        return `must be at most ${maxLength} characters`;
+    }
+    return null;
+}
+
+/**
+ * Check a sound URL (absolute http(s) URL or hosted sample path)
+ * @param {string} url
+ * @param {Function} sampleExists - Optional (path) => boolean for hosted samples
+ * @returns {string|null} Error message
+ */
+function checkSoundUrl(url, sampleExists) {
+    const error = checkString(url, { required: true });
+    if (error) return error;
+
+    if (isLibraryPath(url)) {
+        if (url.split('/').includes('..')) {
+            return 'must not contain ".." segments';
+        }
+        return !sampleExists || sampleExists(url) ? null : `hosted sample not found: ${url}`;
+    }
+
+    try {
+        const { protocol } = new URL(url);
+        return protocol === 'http:' || protocol === 'https:'
+            ? null
+            : 'must be an http(s) URL or a hosted sample path';
+    } catch (e) {
+        return 'must be an http(s) URL or a hosted sample path';
+    }
+}
+
+/**
+ * Validate a list of tags
+ */
+function validateTags(tags, prefix, errors) {
+    if (!Array.isArray(tags)) {
+        errors.push({ field: prefix, message: 'must be an array of strings' });
+        return;
+    }
+    if (tags.length > MAX_TAGS) {
+        errors.push({ field: prefix, message: `must contain at most ${MAX_TAGS} tags` });
+    }
+    tags.forEach((tag, i) => {
+        const error = checkString(tag, { required: true, maxLength: MAX_TAG_LENGTH });
+        if (error) errors.push({ field: `${prefix}[${i}]`, message: error });
+    });
+}
+
+/**
+ * Check a category
+ * @returns {string|null} Error message
+ */
+function checkCategory(category) {
+    return CATEGORIES.includes(category) ? null : `must be one of ${CATEGORIES.join(', ')}`;
+}
+
+/**
+ * Report fields of an object not listed in allowed
+ */
+function checkUnknownFields(object, allowed, prefix, errors) {
+    Object.keys(object)
+        .filter(key => !allowed.includes(key))
+        .forEach(key => errors.push({ field: `${prefix}${key}`, message: 'is not allowed' }));
+}
+
+/**
+ * Validate the per-pad settings of a sound
+ */
+function validateSettings(settings, prefix, errors) {
+    if (!isObject(settings)) {
+        errors.push({ field: prefix, message: 'must be an object' });
+        return;
+    }
+
+    for (const [key, value] of Object.entries(settings)) {
+        const check = SOUND_SETTINGS[key];
+        const result = check ? check(value) : 'is not allowed';
+        if (result !== true) {
+            errors.push({ field: `${prefix}.${key}`, message: result });
+        }
+    }
+
+    // Loop points are seconds of the sample, the start before the end
+    const { loopStart, loopEnd } = settings;
+    if (isNumberInRange(loopStart, 0, Infinity) && isNumberInRange(loopEnd, 0, Infinity) && loopStart >= loopEnd) {
+        errors.push({ field: `${prefix}.loopEnd`, message: 'must be after loopStart' });
+    }
+}
+
+/**
+ * Validate the velocity layers of a sound
+ */
+function validateLayers(layers, prefix, errors, options) {
+    if (!Array.isArray(layers)) {
+        errors.push({ field: prefix, message: 'must be an array' });
+        return;
+    }
+    if (layers.length > MAX_LAYERS) {
+        errors.push({ field: prefix, message: `must contain at most ${MAX_LAYERS} layers` });
+    }
+
+    layers.forEach((layer, i) => {
+        const layerPrefix = `${prefix}[${i}]`;
+        if (!isObject(layer)) {
+            errors.push({ field: layerPrefix, message: 'must be an object' });
+            return;
+        }
+
+        checkUnknownFields(layer, LAYER_FIELDS, `${layerPrefix}.`, errors);
+
+        const nameError = checkString(layer.name, { maxLength: MAX_NAME_LENGTH });
+        if (nameError) errors.push({ field: `${layerPrefix}.name`, message: nameError });
+
+        const urlError = checkSoundUrl(layer.url, options.sampleExists);
+        if (urlError) errors.push({ field: `${layerPrefix}.url`, message: urlError });
+
+        ['velocityMin', 'velocityMax']
+            .filter(key => layer[key] !== undefined && !isIntegerInRange(layer[key], 0, MAX_VELOCITY))
+            .forEach(key => errors.push({ field: `${layerPrefix}.${key}`, message: `must be an integer between 0 and ${MAX_VELOCITY}` }));
+        if ((layer.velocityMin ?? 0) > (layer.velocityMax ?? MAX_VELOCITY)) {
+            errors.push({ field: `${layerPrefix}.velocityMax`, message: 'must not be below velocityMin' });
+        }
+    });
+}
+
+/**
+ * Validate the forkedFrom field of a preset
+ */
+function validateProvenance(forkedFrom, errors) {
+    if (!isObject(forkedFrom)) {
+        errors.push({ field: 'forkedFrom', message: 'must be an object' });
+        return;
+    }
+
+    checkUnknownFields(forkedFrom, ['id', 'revision'], 'forkedFrom.', errors);
+    ['id', 'revision'].forEach(key => {
+        if (!(Number.isInteger(forkedFrom[key]) && forkedFrom[key] > 0)) {
+            errors.push({ field: `forkedFrom.${key}`, message: 'must be a positive integer' });
+        }
+    });
+}
+
+/**
+ * Validate a sound object
+ */
+function validateSound(sound, prefix, errors, options) {
+    if (!isObject(sound)) {
+        errors.push({ field: prefix, message: 'must be an object' });
+        return;
+    }
+
+    checkUnknownFields(sound, SOUND_FIELDS, `${prefix}.`, errors);
+
+    const nameError = checkString(sound.name, { required: true, maxLength: MAX_NAME_LENGTH });
+    if (nameError) errors.push({ field: `${prefix}.name`, message: nameError });
+
+    const urlError = checkSoundUrl(sound.url, options.sampleExists);
+    if (urlError) errors.push({ field: `${prefix}.url`, message: urlError });
+
+    if (sound.category !== undefined) {
+        const categoryError = checkCategory(sound.category);
+        if (categoryError) errors.push({ field: `${prefix}.category`, message: categoryError });
+    }
+
+    if (sound.tags !== undefined) {
+        validateTags(sound.tags, `${prefix}.tags`, errors);
+    }
+
+    if (sound.settings !== undefined) {
+        validateSettings(sound.settings, `${prefix}.settings`, errors);
+    }
+
+    if (sound.layers !== undefined) {
+        validateLayers(sound.layers, `${prefix}.layers`, errors, options);
+    }
+}
+
+/**
+ * Validate a preset object
+ * @param {Object} preset
+ * @param {Object} options
+ * @param {Function} options.sampleExists - (path) => boolean, checks hosted sample paths
+ * @returns {Array} [{field, message}] - empty if valid
+ */
+function validatePreset(preset, options = {}) {
+    const errors = [];
+
+    if (!isObject(preset)) {
+        return [{ field: '', message: 'must be a JSON object' }];
+    }
+
+    checkUnknownFields(preset, PRESET_FIELDS, '', errors);
+
+    if (preset.id !== undefined && !(Number.isInteger(preset.id) && preset.id > 0)) {
+        errors.push({ field: 'id', message: 'must be a positive integer' });
+    }
+
+    if (preset.owner !== undefined && !(Number.isInteger(preset.owner) && preset.owner > 0)) {
+        errors.push({ field: 'owner', message: 'must be a user id' });
+    }
+
+    if (preset.visibility !== undefined && !VISIBILITIES.includes(preset.visibility)) {
+        errors.push({ field: 'visibility', message: `must be one of ${VISIBILITIES.join(', ')}` });
+    }
+
+    const nameError = checkString(preset.name, { required: true, maxLength: MAX_NAME_LENGTH });
+    if (nameError) errors.push({ field: 'name', message: nameError });
+
+    const descriptionError = checkString(preset.description, { maxLength: MAX_DESCRIPTION_LENGTH });
+    if (descriptionError) errors.push({ field: 'description', message: descriptionError });
+
+    if (preset.category !== undefined) {
+        const categoryError = checkCategory(preset.category);
+        if (categoryError) errors.push({ field: 'category', message: categoryError });
+    }
+
+    if (preset.tags !== undefined) {
+        validateTags(preset.tags, 'tags', errors);
+    }
+
+    if (preset.forkedFrom !== undefined) {
+        validateProvenance(preset.forkedFrom, errors);
+    }
+
+    if (!Array.isArray(preset.sounds)) {
+        errors.push({ field: 'sounds', message: preset.sounds === undefined ? 'is required' : 'must be an array' });
+    } else {
+        if (preset.sounds.length > MAX_SOUNDS) {
+            errors.push({ field: 'sounds', message: `must contain at most ${MAX_SOUNDS} sounds` });
+        }
+        preset.sounds.forEach((sound, i) => {
+            // null keeps an empty pad, so the sounds after it stay on their pads
+            if (sound !== null) validateSound(sound, `sounds[${i}]`, errors, options);
+        });
+    }
+
+    return errors;
+}
+
+module.exports = {
+    CATEGORIES,
+    MAX_NAME_LENGTH,
+    MAX_DESCRIPTION_LENGTH,
+    MAX_SOUNDS,
+    MAX_TAGS,
+    MAX_TAG_LENGTH,
+    MAX_VOICES,
+    MAX_ENVELOPE_TIME,
+    MAX_COARSE_TUNE,
+    MAX_FINE_TUNE,
+    MAX_LAYERS,
+    MAX_VELOCITY,
+    PLAY_MODES,
+    VELOCITY_CURVES,
+    ALTERNATION_MODES,
+    SOUND_SETTINGS,
+    validatePreset
+};
@@ -0,0 +1,52 @@
+/**
+ * Prometheus text exposition format
+ * https://prometheus.io/docs/instrumenting/exposition_formats/
+ *
+ * Metrics are plain objects:
+ *   { name, help, type: 'gauge' | 'counter' | 'summary', samples: [{ labels: {key: value}, value, suffix }] }
+ * (suffix is appended to the name, e.g. "_sum" for a summary-like pair)
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escape a label value (backslash, double quote and newline)
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a number the way Prometheus parses it
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (typeof value !== 'number' || Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+/**
+ * Render metrics as text
+ * @param {Array} metrics - See module comment
+ * @returns {string}
+ */
+function formatMetrics(metrics) {
+    const lines = [];
+
+    metrics.forEach(({ name, help, type, samples }) => {
+        lines.push(`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${name} ${type}`);
+        samples.forEach(({ labels = {}, value, suffix = '' }) => {
+            const pairs = Object.entries(labels).map(([key, label]) => `${key}="${escapeLabel(label)}"`);
+            lines.push(`${name}${suffix}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}`);
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    formatMetrics
+};
@@ -0,0 +1,151 @@
+/**
+ * Sound URL helpers
+ *
+ * Presets store hosted samples as paths relative to the sample library
+ * ("drums/kick.wav"). Responses expand them to absolute URLs so the browser
+ * can fetch them from any origin, and incoming bodies turn URLs pointing at
+ * our own /samples/ route back into relative paths.
+ *
+ * Remote URLs can also be rewritten to go through the caching proxy.
+ */
+
+// Route under which the sample library is served
+const SAMPLES_ROUTE = '/samples';
+
+// Route of the caching proxy for remote samples
+const PROXY_ROUTE = '/api/proxy';
+
+/**
+ * Check if a sound URL is a library relative path
+ * (no scheme, not protocol-relative, not root-relative)
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isLibraryPath(url) {
+    return typeof url === 'string'
+        && url.length > 0
+        && !/^[a-z][a-z0-9+.-]*:/i.test(url)
+        && !url.startsWith('/');
+}
+
+/**
+ * Public base URL of the sample library for a request
+ * @param {express.Request} req
+ * @returns {string} e.g. "http://localhost:3000/samples/"
+ */
+function samplesBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}${SAMPLES_ROUTE}/`;
+}
+
+/**
+ * Public URL of the caching proxy for a request
+ * @param {express.Request} req
+ * @returns {string} e.g. "http://localhost:3000/api/proxy"
+ */
+function proxyBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}${PROXY_ROUTE}`;
+}
+
+/**
+ * Absolute URL of a library path
+ * @param {string} libraryPath - e.g. "drums/kick 1.wav"
+ * @param {string} baseUrl - From samplesBaseUrl()
+ * @returns {string}
+ */
+function libraryUrl(libraryPath, baseUrl) {
+    return baseUrl + libraryPath.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Copy of a preset with a change applied to each sound and to each velocity
+ * layer of a sound (layers carry their own url)
+ * @param {Object} preset
+ * @param {Function} change - (soundOrLayer) => copy
+ * @returns {Object}
+ */
+function mapSoundRefs(preset, change) {
+    if (!Array.isArray(preset.sounds)) {
+        return preset;
+    }
+
+    return {
+        ...preset,
+        sounds: preset.sounds.map(sound => {
+            const changed = change(sound);
+            return sound && Array.isArray(sound.layers)
+                ? { ...changed, layers: sound.layers.map(change) }
+                : changed;
+        })
+    };
+}
+
+/**
+ * Copy of a preset with library paths expanded to absolute URLs
+ * The original relative path is kept in sound.path
+ * @param {Object} preset
+ * @param {string} baseUrl - From samplesBaseUrl()
+ * @returns {Object}
+ */
+function resolveSoundUrls(preset, baseUrl) {
+    return mapSoundRefs(preset, sound => (
+        sound && isLibraryPath(sound.url)
+            ? { ...sound, url: libraryUrl(sound.url, baseUrl), path: sound.url }
+            : sound
+    ));
+}
+
+/**
+ * Copy of a preset with remote http(s) sound URLs going through the proxy
+ * The remote URL is kept in sound.sourceUrl
+ * @param {Object} preset - Preset with resolved URLs (see resolveSoundUrls)
+ * @param {string} proxyBase - From proxyBaseUrl()
+ * @param {string} ownBase - URLs starting with this (our samples) are left alone
+ * @returns {Object}
+ */
+function proxySoundUrls(preset, proxyBase, ownBase) {
+    return mapSoundRefs(preset, sound => (
+        sound && /^https?:\/\//i.test(sound.url) && !sound.url.startsWith(ownBase)
+            ? { ...sound, url: `${proxyBase}?url=${encodeURIComponent(sound.url)}`, sourceUrl: sound.url }
+            : sound
+    ));
+}
+
+/**
+ * Copy of a preset body with URLs of our own samples turned into library paths
+ * and proxied URLs turned back into remote ones
+ * (so a preset fetched, edited and sent back keeps portable references)
+ * @param {Object} preset
+ * @param {string} baseUrl - From samplesBaseUrl()
+ * @param {string} proxyBase - From proxyBaseUrl()
+ * @returns {Object}
+ */
+function relativizeSoundUrls(preset, baseUrl, proxyBase = null) {
+    return mapSoundRefs(preset, sound => {
+        if (!sound || typeof sound.url !== 'string') {
+            return sound;
+        }
+
+        // path, sourceUrl, metadata, peaksUrl and analysis only exist in responses
+        const { path, sourceUrl, metadata, peaksUrl, analysis, ...rest } = sound;
+        if (proxyBase && sound.url.startsWith(`${proxyBase}?`)) {
+            // Proxied URL sent back: store the remote one
+            return { ...rest, url: new URL(sound.url).searchParams.get('url') || sound.url };
+        }
+        if (sound.url.startsWith(baseUrl)) {
+            return { ...rest, url: decodeURIComponent(sound.url.slice(baseUrl.length)) };
+        }
+        return rest;
+    });
+}
+
+module.exports = {
+    SAMPLES_ROUTE,
+    PROXY_ROUTE,
+    isLibraryPath,
+    samplesBaseUrl,
+    proxyBaseUrl,
+    libraryUrl,
+    resolveSoundUrls,
+    proxySoundUrls,
+    relativizeSoundUrls
+};
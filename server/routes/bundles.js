@@ -0,0 +1,101 @@
+/**
+ * Kit bundle routes
+ * Export a preset with its audio files as a ZIP, and import such an archive
+ * as a new preset (see kitBundle.js for the archive layout)
+ */
+const express = require('express');
+const multer = require('multer');
+const { exportBundle, importBundle, removeStored } = require('../lib/kitBundle');
+const { badRequest, asyncHandler } = require('../lib/errors');
+const { DEFAULT_VISIBILITY, requireUser, readablePreset } = require('../lib/access');
+const { samplesBaseUrl, resolveSoundUrls } = require('../lib/soundUrls');
+
+const MAX_BUNDLE_SIZE = 200 * 1024 * 1024; // 200 MB
+
+/**
+ * Parse a preset id route parameter
+ * @param {string} value
+ * @returns {number}
+ */
+function parseId(value) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+        throw badRequest(`Invalid preset id: ${value}`);
+    }
+    return id;
+}
+
+/**
+ * Create the kit bundle router (mounted on /api/presets)
+ * @param {PresetStore} store
+ * @param {Object} deps
+ * @param {SampleLibrary} deps.library
+ * @param {SampleCache} deps.cache
+ * @returns {express.Router}
+ */
+function createBundlesRouter(store, { library, cache }) {
+    const router = express.Router();
+
+    // Archive upload: multipart field "file", or a raw application/zip body
+    const uploadMultipart = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_BUNDLE_SIZE, files: 1 }
+    }).single('file');
+    const uploadRaw = express.raw({
+        type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+        limit: MAX_BUNDLE_SIZE
+    });
+
+    // Download a preset and its sounds as a ZIP archive
+    router.get('/:id/export', asyncHandler(async (req, res) => {
+        const presetId = parseId(req.params.id);
+        await store.refresh();
+        const preset = readablePreset(store, presetId, req.user);
+
+        const { buffer, skipped } = await exportBundle(preset, { library, cache });
+        const fileName = `${preset.name.replace(/[^\w.-]+/g, '_')}.zip`;
+
+        if (skipped.length > 0) {
+            console.warn(`GET /api/presets/${presetId}/export - ${skipped.length} sound(s) left as remote URLs:`, skipped);
+        }
+        console.log(`GET /api/presets/${presetId}/export - Sending ${fileName} (${buffer.length} bytes)`);
+
+        res.set('X-Bundle-Skipped', String(skipped.length));
+        res.attachment(fileName);
+        res.type('application/zip');
+        res.send(buffer);
+    }));
+
+    // Create a new preset owned by the signed-in user from a ZIP archive
+    // Private unless ?visibility= asks otherwise: the visibility stored in the archive is ignored
+    router.post('/import', requireUser, uploadMultipart, uploadRaw, asyncHandler(async (req, res) => {
+        const buffer = req.file ? req.file.buffer : (Buffer.isBuffer(req.body) ? req.body : null);
+        if (!buffer || buffer.length === 0) {
+            throw badRequest('Send a ZIP archive as multipart field "file" or as an application/zip body');
+        }
+
+        const { preset: data, storedPaths } = await importBundle(buffer, { library });
+
+        let preset;
+        try {
+            const { owner, forkedFrom, visibility, ...fields } = data;
+            preset = await store.create({
+                ...fields,
+                owner: req.user.id,
+                visibility: req.query.visibility || DEFAULT_VISIBILITY
+            });
+        } catch (error) {
+            await removeStored(storedPaths, library);
+            throw error;
+        }
+
+        console.log(`POST /api/presets/import - Created preset ${preset.id}: ${preset.name} (${storedPaths.length} file(s) stored)`);
+        res.status(201)
+            .location(`${req.baseUrl}/${preset.id}`)
+            .json(resolveSoundUrls(preset, samplesBaseUrl(req)));
+    }));
+
+    return router;
+}
+
+module.exports = createBundlesRouter;
@@ -0,0 +1,172 @@
+/**
+ * Collection routes
+ * Named groups of presets (see CollectionStore.js)
+ * Anyone may list collections; only their creator may change them, and
+ * presets the user may not see are left out of collection details
+ */
+const express = require('express');
+const { badRequest, notFound, forbidden, asyncHandler } = require('../lib/errors');
+const { requireUser, canRead } = require('../lib/access');
+
+/**
+ * Parse a positive integer parameter
+ * @param {*} value
+ * @param {string} label - For the error message
+ * @returns {number}
+ */
+function parsePositive(value, label) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw badRequest(`Invalid ${label}: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Reject bodies that are not JSON objects
+ */
+function checkBody(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw badRequest('Request body must be a JSON object');
+    }
+}
+
+/**
+ * Create the /api/collections router
+ * @param {CollectionStore} collections
+ * @param {Object} deps
+ * @param {PresetStore} deps.store - Presets listed in collection details
+ * @returns {express.Router}
+ */
+function createCollectionsRouter(collections, { store }) {
+    const router = express.Router();
+
+    /**
+     * Collection with a short description of each of its presets the user may see
+     */
+    function withPresets(collection, user) {
+        const presets = collection.presetIds
+            .map(id => store.get(id))
+            .filter(preset => preset && canRead(preset, user))
+            .map(({ id, name, category, tags, sounds }) => ({
+                id,
+                name,
+                category,
+                tags,
+                soundCount: Array.isArray(sounds) ? sounds.filter(Boolean).length : 0
+            }));
+        return { ...collection, presets };
+    }
+
+    /**
+     * Get a collection the user may change
+     */
+    function writableCollection(id, user) {
+        const collection = collections.get(id);
+        if (!collection) {
+            throw notFound('Collection not found');
+        }
+        if (collection.owner && collection.owner !== user.id) {
+            throw forbidden('Only the creator can change this collection');
+        }
+        return collection;
+    }
+
+    // List collections
+    router.get('/', (req, res) => {
+        const list = collections.list().map(c => ({ ...c, presetCount: withPresets(c, req.user).presets.length }));
+
+        console.log(`GET /api/collections - Sending ${list.length} collection(s)`);
+        res.json(list);
+    });
+
+    // Get a collection with its presets
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const id = parsePositive(req.params.id, 'collection id');
+        const collection = collections.get(id);
+        if (!collection) {
+            throw notFound('Collection not found');
+        }
+
+        await store.refresh();
+        console.log(`GET /api/collections/${id} - Sending collection: ${collection.name}`);
+        res.json(withPresets(collection, req.user));
+    }));
+
+    // Create a collection
+    router.post('/', requireUser, asyncHandler(async (req, res) => {
+        checkBody(req.body);
+        await store.refresh();
+        const { owner, ...fields } = req.body;
+        const collection = await collections.create({ owner: req.user.id, ...fields });
+
+        console.log(`POST /api/collections - Created collection ${collection.id}: ${collection.name}`);
+        res.status(201)
+            .location(`${req.baseUrl}/${collection.id}`)
+            .json(withPresets(collection, req.user));
+    }));
+
+    // Update some fields of a collection (presetIds replaces the whole list)
+    router.patch('/:id', requireUser, asyncHandler(async (req, res) => {
+        const id = parsePositive(req.params.id, 'collection id');
+        checkBody(req.body);
+        const current = writableCollection(id, req.user);
+        await store.refresh();
+        const { owner, ...changes } = req.body;
+        const collection = await collections.update(id, { ...changes, owner: current.owner });
+
+        console.log(`PATCH /api/collections/${id} - Updated collection: ${collection.name}`);
+        res.json(withPresets(collection, req.user));
+    }));
+
+    // Delete a collection (presets are kept)
+    router.delete('/:id', requireUser, asyncHandler(async (req, res) => {
+        const id = parsePositive(req.params.id, 'collection id');
+        writableCollection(id, req.user);
+        const collection = await collections.remove(id);
+
+        console.log(`DELETE /api/collections/${id} - Deleted collection: ${collection.name}`);
+        res.status(204).end();
+    }));
+
+    // Add a preset to a collection: body {presetId}
+    router.post('/:id/presets', requireUser, asyncHandler(async (req, res) => {
+        const id = parsePositive(req.params.id, 'collection id');
+        checkBody(req.body);
+        const presetId = parsePositive(req.body.presetId, 'presetId');
+
+        await store.refresh();
+        const current = writableCollection(id, req.user);
+        const preset = store.get(presetId);
+        if (!preset || !canRead(preset, req.user)) {
+            throw notFound('Preset not found');
+        }
+
+        const collection = current.presetIds.includes(presetId)
+            ? current
+            : await collections.update(id, { presetIds: [...current.presetIds, presetId] });
+
+        console.log(`POST /api/collections/${id}/presets - Added preset ${presetId} to ${collection.name}`);
+        res.json(withPresets(collection, req.user));
+    }));
+
+    // Remove a preset from a collection
+    router.delete('/:id/presets/:presetId', requireUser, asyncHandler(async (req, res) => {
+        const id = parsePositive(req.params.id, 'collection id');
+        const presetId = parsePositive(req.params.presetId, 'preset id');
+
+        const current = writableCollection(id, req.user);
+        if (!current.presetIds.includes(presetId)) {
+            throw notFound(`Preset ${presetId} is not in this collection`);
+        }
+
+        const collection = await collections.update(id, { presetIds: current.presetIds.filter(p => p !== presetId) });
+
+        console.log(`DELETE /api/collections/${id}/presets/${presetId} - Removed preset from ${collection.name}`);
+        res.json(withPresets(collection, req.user));
+    }));
+
+    return router;
+}
+
+module.exports = createCollectionsRouter;
@@ -0,0 +1,26 @@
+/**
+ * Event stream route
+ * GET /api/events opens a Server-Sent Events stream (see EventHub.js)
+ *
+ * Preset events: preset-created, preset-updated, preset-deleted with {id, name},
+ * and presets-reloaded (store file edited by hand, anything may have changed)
+ */
+const express = require('express');
+
+/**
+ * Create the /api/events router
+ * @param {EventHub} hub
+ * @returns {express.Router}
+ */
+function createEventsRouter(hub) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        hub.subscribe(req, res);
+        console.log(`GET /api/events - Client connected (${hub.size} open)`);
+    });
+
+    return router;
+}
+
+module.exports = createEventsRouter;
@@ -0,0 +1,192 @@
+/**
+ * Fork routes
+ * Copy a preset into a new one that remembers where it came from
+ * (forkedFrom: {id, revision} of the original), show the lineage of a preset
+ * and pull the changes made to the original since it was forked
+ */
+const express = require('express');
+const { badRequest, conflict, asyncHandler } = require('../lib/errors');
+const { DEFAULT_VISIBILITY, requireUser, canRead, readablePreset, writablePreset } = require('../lib/access');
+const { diffPresets, mergePresets } = require('../lib/presetDiff');
+const { samplesBaseUrl, resolveSoundUrls } = require('../lib/soundUrls');
+
+// Fields copied from the original into a fork (the rest belongs to the new owner)
+const FORKED_FIELDS = ['description', 'category', 'tags', 'sounds'];
+
+/**
+ * Parse the :id route parameter
+ * @param {string} value
+ * @returns {number}
+ */
+function parseId(value) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+        throw badRequest(`Invalid preset id: ${value}`);
+    }
+    return id;
+}
+
+/**
+ * Create the fork router (mounted on /api/presets)
+ * @param {PresetStore} store
+ * @param {Object} deps
+ * @param {RevisionStore} deps.revisions - Fork points are revisions of the original
+ * @param {UserStore} deps.users - Names of fork owners
+ * @returns {express.Router}
+ */
+function createForksRouter(store, { revisions, users }) {
+    const router = express.Router();
+
+    /**
+     * Compare a fork with its original
+     * @param {Object} fork
+     * @param {Object|null} user - The original must be visible to this user
+     * @param {Object} options - {force} passed to mergePresets, {record} to save the
+     *   current upstream as a revision if it is not one yet (writes only, reads leave history alone)
+     * @returns {Promise<Object|null>} null if the preset is not a fork or the original is gone:
+     *   {upstream, base, latest, behind, changes, merge}
+     */
+    async function compareWithUpstream(fork, user, { record = false, ...options } = {}) {
+        const upstream = fork.forkedFrom ? store.get(fork.forkedFrom.id) : null;
+        if (!upstream || !canRead(upstream, user)) {
+            return null;
+        }
+
+        const base = await revisions.get(upstream.id, fork.forkedFrom.revision);
+        if (!base) {
+            throw conflict(`Revision ${fork.forkedFrom.revision} of preset ${upstream.id} is no longer kept, the fork cannot be compared with it`);
+        }
+        const latest = record ? await revisions.current(upstream) : await revisions.latest(upstream.id);
+
+        return {
+            upstream,
+            base,
+            latest,
+            behind: latest.revision > base.revision,
+            changes: diffPresets(base.preset, upstream),
+            merge: mergePresets(base.preset, fork, upstream, options)
+        };
+    }
+
+    /**
+     * Upstream status sent to clients
+     */
+    function summarizeUpstream(comparison) {
+        const { upstream, base, latest, behind, changes, merge } = comparison;
+        return {
+            id: upstream.id,
+            name: upstream.name,
+            forkedAtRevision: base.revision,
+            latestRevision: latest.revision,
+            behind,
+            changes,
+            conflicts: merge.conflicts
+        };
+    }
+
+    // Copy a preset into a new one owned by the signed-in user
+    // Body (optional): {name, visibility}
+    router.post('/:id/fork', requireUser, asyncHandler(async (req, res) => {
+        const presetId = parseId(req.params.id);
+        await store.refresh();
+        const original = readablePreset(store, presetId, req.user);
+        const { name, visibility = DEFAULT_VISIBILITY } = req.body || {};
+
+        const { revision } = await revisions.current(original);
+        const copied = Object.fromEntries(
+            FORKED_FIELDS.filter(field => original[field] !== undefined).map(field => [field, original[field]])
+        );
+        const preset = await store.create({
+            owner: req.user.id,
+            visibility,
+            name: name === undefined ? `${original.name} (fork)` : name,
+            ...copied,
+            forkedFrom: { id: original.id, revision }
+        });
+
+        console.log(`POST /api/presets/${presetId}/fork - Created preset ${preset.id}: ${preset.name} (from revision ${revision})`);
+        res.status(201)
+            .location(`${req.baseUrl}/${preset.id}`)
+            .json(resolveSoundUrls(preset, samplesBaseUrl(req)));
+    }));
+
+    // Lineage of a preset: the presets it descends from (nearest first),
+    // its direct forks and what changed in its original since it was forked
+    router.get('/:id/lineage', asyncHandler(async (req, res) => {
+        const presetId = parseId(req.params.id);
+        await store.refresh();
+        const preset = readablePreset(store, presetId, req.user);
+
+        // Originals may have been deleted or hidden since: they are listed without a name
+        const ancestors = [];
+        const seen = new Set([preset.id]);
+        for (let from = preset.forkedFrom; from && !seen.has(from.id);) {
+            seen.add(from.id);
+            const ancestor = store.get(from.id);
+            const visible = Boolean(ancestor) && canRead(ancestor, req.user);
+            ancestors.push({ id: from.id, revision: from.revision, name: visible ? ancestor.name : null, available: visible });
+            from = visible ? ancestor.forkedFrom : null;
+        }
+
+        const forks = store.list()
+            .filter(p => p.forkedFrom && p.forkedFrom.id === presetId && canRead(p, req.user))
+            .map(p => {
+                const owner = p.owner ? users.get(p.owner) : null;
+                return { id: p.id, name: p.name, ownerName: owner ? owner.username : null, revision: p.forkedFrom.revision };
+            });
+
+        const comparison = await compareWithUpstream(preset, req.user);
+
+        console.log(`GET /api/presets/${presetId}/lineage - ${ancestors.length} ancestor(s), ${forks.length} fork(s)`);
+        res.json({
+            id: preset.id,
+            forkedFrom: preset.forkedFrom || null,
+            upstream: comparison ? summarizeUpstream(comparison) : null,
+            ancestors,
+            forks
+        });
+    }));
+
+    // Merge the changes made to the original since the fork point (owner only)
+    // Fields and pads changed on both sides are conflicts: the pull is refused
+    // unless the body says which side wins ({resolve: "ours"} or {resolve: "theirs"})
+    router.post('/:id/pull', asyncHandler(async (req, res) => {
+        const presetId = parseId(req.params.id);
+        await store.refresh();
+        const fork = writablePreset(store, presetId, req.user);
+
+        const { resolve } = req.body || {};
+        if (resolve !== undefined && resolve !== 'ours' && resolve !== 'theirs') {
+            throw badRequest('resolve must be "ours" or "theirs"');
+        }
+        if (!fork.forkedFrom) {
+            throw badRequest('This preset is not a fork');
+        }
+
+        const comparison = await compareWithUpstream(fork, req.user, { record: true, force: resolve === 'theirs' });
+        if (!comparison) {
+            throw conflict('The original preset no longer exists or is not visible');
+        }
+        const { latest, merge } = comparison;
+        if (merge.conflicts.length > 0 && resolve === undefined) {
+            throw conflict('Upstream changes conflict with changes made to the fork', { conflicts: merge.conflicts });
+        }
+
+        const upToDate = merge.applied.length === 0 && latest.revision === fork.forkedFrom.revision;
+        const preset = upToDate ? fork : await store.replace(presetId, {
+            ...merge.preset,
+            forkedFrom: { id: fork.forkedFrom.id, revision: latest.revision }
+        });
+
+        console.log(`POST /api/presets/${presetId}/pull - Applied ${merge.applied.length} change(s) from preset ${fork.forkedFrom.id} revision ${latest.revision}`);
+        res.json({
+            preset: resolveSoundUrls(preset, samplesBaseUrl(req)),
+            applied: merge.applied,
+            conflicts: merge.conflicts
+        });
+    }));
+
+    return router;
+}
+
+module.exports = createForksRouter;
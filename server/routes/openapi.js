@@ -0,0 +1,23 @@
+/**
+ * OpenAPI route
+ * GET /openapi.json (also /api/openapi.json) describes every route and schema
+ * of the server (see lib/openapi.js)
+ */
+const express = require('express');
+const { buildOpenApi } = require('../lib/openapi');
+
+/**
+ * Create the OpenAPI router (mounted on /)
+ * @returns {express.Router}
+ */
+function createOpenApiRouter() {
+    const router = express.Router();
+
+    router.get(['/openapi.json', '/api/openapi.json'], (req, res) => {
+        res.json(buildOpenApi({ serverUrl: `${req.protocol}://${req.get('host')}` }));
+    });
+
+    return router;
+}
+
+module.exports = createOpenApiRouter;
@@ -0,0 +1,108 @@
+/**
+ * Waveform peaks and analysis routes
+ * Multi-resolution min/max peaks of preset sounds (see WaveformPeaks.js),
+ * so clients can draw waveforms without decoding the audio, and their
+ * loudness, onsets, tempo and pitch (see SampleAnalysis.js)
+ */
+const express = require('express');
+const { badRequest, notFound, unprocessable, asyncHandler } = require('../lib/errors');
+const { isLibraryPath } = require('../lib/soundUrls');
+const { readablePreset } = require('../lib/access');
+
+/**
+ * Parse a preset id route parameter
+ * @param {string} value
+ * @returns {number}
+ */
+function parseId(value) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+        throw badRequest(`Invalid preset id: ${value}`);
+    }
+    return id;
+}
+
+/**
+ * Create the peaks and analysis router (mounted on /api/presets)
+ * @param {PresetStore} store
+ * @param {Object} deps
+ * @param {WaveformPeaks} deps.peaks
+ * @param {SampleAnalysis} deps.analysis
+ * @param {SampleLibrary} deps.library
+ * @param {SampleCache} deps.cache - Remote sounds are downloaded through the proxy cache
+ * @returns {express.Router}
+ */
+function createPeaksRouter(store, { peaks, analysis, library, cache }) {
+    const router = express.Router();
+
+    /**
+     * Local file of one sound of a preset the user may see (index is the
+     * position in preset.sounds), downloading remote sounds into the cache
+     * @param {express.Request} req
+     * @returns {Promise<Object>} {presetId, index, sound, filePath}
+     */
+    async function soundFile(req) {
+        const presetId = parseId(req.params.id);
+        const index = Number(req.params.index);
+        if (!Number.isInteger(index) || index < 0) {
+            throw badRequest(`Invalid sound index: ${req.params.index}`);
+        }
+
+        await store.refresh();
+        const preset = readablePreset(store, presetId, req.user);
+
+        const sound = (preset.sounds || [])[index];
+        if (!sound || typeof sound.url !== 'string') {
+            throw notFound('Sound not found');
+        }
+
+        let filePath;
+        if (isLibraryPath(sound.url)) {
+            if (!library.existsSync(sound.url)) {
+                throw notFound(`Sample not found: ${sound.url}`);
+            }
+            filePath = library.resolve(sound.url);
+        } else {
+            filePath = (await cache.get(sound.url)).dataPath;
+        }
+        return { presetId, index, sound, filePath };
+    }
+
+    // Peaks of one sound of a preset
+    router.get('/:id/sounds/:index/peaks', asyncHandler(async (req, res) => {
+        const { presetId, index, sound, filePath } = await soundFile(req);
+
+        let data;
+        try {
+            data = await peaks.forFile(filePath);
+        } catch (error) {
+            // The decoder error names the file on disk: keep it in the server log
+            console.error(`Could not compute peaks of ${filePath}:`, error.message);
+            throw unprocessable(`Could not decode sample ${sound.name || sound.url}`);
+        }
+
+        console.log(`GET /api/presets/${presetId}/sounds/${index}/peaks - Sending ${data.levels.length} level(s)`);
+        res.set('Cache-Control', 'public, max-age=3600');
+        res.json(data);
+    }));
+
+    // Analysis of one sound of a preset, computed now if not known yet
+    router.get('/:id/sounds/:index/analysis', asyncHandler(async (req, res) => {
+        const { presetId, index, sound, filePath } = await soundFile(req);
+
+        let data;
+        try {
+            data = await analysis.forFile(filePath);
+        } catch (error) {
+            console.error(`Could not analyse ${filePath}:`, error.message);
+            throw unprocessable(`Could not analyse sample ${sound.name || sound.url}`);
+        }
+
+        console.log(`GET /api/presets/${presetId}/sounds/${index}/analysis - Sending analysis of ${sound.name || sound.url}`);
+        res.json(data);
+    }));
+
+    return router;
+}
+
+module.exports = createPeaksRouter;
@@ -0,0 +1,235 @@
+/**
+ * Preset routes
+ * CRUD REST API over a PresetStore
+ */
+const express = require('express');
+const { badRequest, notFound, unauthorized, asyncHandler } = require('../lib/errors');
+const { DEFAULT_VISIBILITY, requireUser, canRead, readablePreset, writablePreset } = require('../lib/access');
+const { parsePresetQuery, queryPresets } = require('../lib/presetQuery');
+const { sendCachedJson } = require('../lib/httpCache');
+const {
+    samplesBaseUrl,
+    proxyBaseUrl,
+    resolveSoundUrls,
+    proxySoundUrls,
+    relativizeSoundUrls
+} = require('../lib/soundUrls');
+
+/**
+ * Parse the :id route parameter
+ * @param {string} value
+ * @returns {number}
+ */
+function parseId(value) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+        throw badRequest(`Invalid preset id: ${value}`);
+    }
+    return id;
+}
+
+/**
+ * Reject bodies that are not JSON objects
+ * (field level checks are done by the preset schema in the store)
+ * @param {*} body - Request body
+ */
+function checkPresetBody(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw badRequest('Request body must be a JSON object');
+    }
+}
+
+/**
+ * Create the /api/presets router
+ * @param {PresetStore} store
+ * @param {Object} deps
+ * @param {SampleInfo} deps.sampleInfo - Adds audio metadata to sounds
+ * @param {SampleAnalysis} deps.analysis - Adds loudness, onsets, tempo and pitch to sounds
+ * @param {CollectionStore} deps.collections - For the ?collection= filter
+ * @param {UserStore} deps.users - Names of preset owners
+ * @param {UsageStats} deps.usage - Counts preset loads
+ * @returns {express.Router}
+ */
+function createPresetsRouter(store, { sampleInfo, analysis, collections, users, usage }) {
+    const router = express.Router();
+
+    /**
+     * Prepare a request body for storage
+     * (URLs of our own samples become library paths, proxied URLs remote ones)
+     * The owner and fork provenance are set by the server, never taken from the body
+     * @param {express.Request} req
+     * @returns {Object}
+     */
+    function toStored(req) {
+        const { owner, ownerName, forkedFrom, ...body } = req.body;
+        return relativizeSoundUrls(body, samplesBaseUrl(req), proxyBaseUrl(req));
+    }
+
+    /**
+     * Prepare a stored preset for a response: audio metadata and analysis of
+     * hosted and cached sounds, waveform peaks URLs, library paths expanded to absolute URLs
+     * With ?proxy=true, remote URLs are rewritten to go through the caching proxy
+     * @param {express.Request} req
+     * @param {Object} preset
+     * @returns {Promise<Object>}
+     */
+    async function toResponse(req, preset) {
+        const ownBase = samplesBaseUrl(req);
+        const owner = preset.owner ? users.get(preset.owner) : null;
+        const named = owner ? { ...preset, ownerName: owner.username } : preset;
+        const described = await analysis.annotate(await sampleInfo.annotate(named));
+        const resolved = resolveSoundUrls(withPeaksUrls(req, described), ownBase);
+        return req.query.proxy === 'true'
+            ? proxySoundUrls(resolved, proxyBaseUrl(req), ownBase)
+            : resolved;
+    }
+
+    /**
+     * Copy of a preset with sound.peaksUrl pointing at the peaks route
+     * @param {express.Request} req
+     * @param {Object} preset
+     * @returns {Object}
+     */
+    function withPeaksUrls(req, preset) {
+        if (!Array.isArray(preset.sounds)) {
+            return preset;
+        }
+
+        const base = `${req.protocol}://${req.get('host')}${req.baseUrl}/${preset.id}/sounds`;
+        return {
+            ...preset,
+            sounds: preset.sounds.map((sound, index) => (
+                sound && typeof sound.url === 'string' ? { ...sound, peaksUrl: `${base}/${index}/peaks` } : sound
+            ))
+        };
+    }
+
+    /**
+     * Presets the listing starts from: those the user may see, narrowed
+     * to ?collection= and ?owner= (a user id, or "me")
+     * @param {express.Request} req
+     * @returns {Array}
+     */
+    function listScope(req) {
+        let presets = store.list().filter(preset => canRead(preset, req.user));
+
+        if (req.query.collection !== undefined) {
+            const collection = collections.get(parseInt(req.query.collection, 10));
+            if (!collection) {
+                throw notFound(`Collection not found: ${req.query.collection}`);
+            }
+            presets = presets.filter(preset => collection.presetIds.includes(preset.id));
+        }
+
+        if (req.query.owner !== undefined) {
+            if (req.query.owner === 'me' && !req.user) {
+                throw unauthorized('Sign in to list your presets');
+            }
+            const ownerId = req.query.owner === 'me' ? req.user.id : parseInt(req.query.owner, 10);
+            presets = presets.filter(preset => preset.owner === ownerId);
+        }
+
+        return presets;
+    }
+
+    // Get all presets visible to the user
+    // Supports search, tag / category / collection / owner filters, sort and pagination (see presetQuery.js);
+    // the total number of matches is sent in X-Total-Count, the next page in X-Next-Cursor / Link
+    // ?validate=true adds validationErrors to presets failing the schema (e.g. after manual edits)
+    router.get('/', asyncHandler(async (req, res) => {
+        const query = parsePresetQuery(req.query);
+        await store.refresh();
+
+        const page = queryPresets(listScope(req), query);
+        let presets = page.items;
+
+        if (req.query.validate === 'true') {
+            presets = presets.map(preset => {
+                const errors = store.validate(preset);
+                return errors.length > 0 ? { ...preset, validationErrors: errors } : preset;
+            });
+            const invalidCount = presets.filter(p => p.validationErrors).length;
+            console.log(`GET /api/presets - ${invalidCount} preset(s) failing validation`);
+        }
+
+        res.set('X-Total-Count', String(page.total));
+        if (page.nextCursor) {
+            const nextUrl = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+            nextUrl.searchParams.delete('offset');
+            nextUrl.searchParams.set('cursor', page.nextCursor);
+            res.set('X-Next-Cursor', page.nextCursor);
+            res.links({ next: nextUrl.toString() });
+        }
+
+        // The ETag also covers the pagination headers
+        console.log(`GET /api/presets - Sending ${presets.length} of ${page.total} preset(s)`);
+        sendCachedJson(req, res, await Promise.all(presets.map(preset => toResponse(req, preset))), {
+            headers: ['X-Total-Count', 'X-Next-Cursor']
+        });
+    }));
+
+    // Get a specific preset by ID (304 when the client copy is current, see httpCache.js)
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const presetId = parseId(req.params.id);
+        await store.refresh();
+        const preset = readablePreset(store, presetId, req.user);
+        usage.recordLoad(presetId);
+
+        console.log(`GET /api/presets/${presetId} - Sending preset: ${preset.name}`);
+        sendCachedJson(req, res, await toResponse(req, preset));
+    }));
+
+    // Create a preset owned by the signed-in user (private unless visibility is given)
+    router.post('/', requireUser, asyncHandler(async (req, res) => {
+        checkPresetBody(req.body);
+        const preset = await store.create({ owner: req.user.id, visibility: DEFAULT_VISIBILITY, ...toStored(req) });
+
+        console.log(`POST /api/presets - Created preset ${preset.id}: ${preset.name}`);
+        res.status(201)
+            .location(`${req.baseUrl}/${preset.id}`)
+            .json(await toResponse(req, preset));
+    }));
+
+    // Replace a preset (owner only, the owner and fork provenance are kept)
+    router.put('/:id', asyncHandler(async (req, res) => {
+        const presetId = parseId(req.params.id);
+        checkPresetBody(req.body);
+        await store.refresh();
+        const current = writablePreset(store, presetId, req.user);
+        const preset = await store.replace(presetId, {
+            owner: current.owner,
+            ...toStored(req),
+            ...(current.forkedFrom && { forkedFrom: current.forkedFrom })
+        });
+
+        console.log(`PUT /api/presets/${presetId} - Replaced preset: ${preset.name}`);
+        res.json(await toResponse(req, preset));
+    }));
+
+    // Update some fields of a preset (owner only)
+    router.patch('/:id', asyncHandler(async (req, res) => {
+        const presetId = parseId(req.params.id);
+        checkPresetBody(req.body);
+        await store.refresh();
+        writablePreset(store, presetId, req.user);
+        const preset = await store.update(presetId, toStored(req));
+
+        console.log(`PATCH /api/presets/${presetId} - Updated preset: ${preset.name}`);
+        res.json(await toResponse(req, preset));
+    }));
+
+    // Delete a preset (owner only)
+    router.delete('/:id', asyncHandler(async (req, res) => {
+        const presetId = parseId(req.params.id);
+        await store.refresh();
+        writablePreset(store, presetId, req.user);
+        const preset = await store.remove(presetId);
+
+        console.log(`DELETE /api/presets/${presetId} - Deleted preset: ${preset.name}`);
+        res.status(204).end();
+    }));
+
+    return router;
+}
+
+module.exports = createPresetsRouter;
@@ -0,0 +1,47 @@
+/**
+ * Proxy route
+ * Serves remote samples through the SampleCache: GET /api/proxy?url=<remote URL>
+ *
+ * Responses support Range requests and conditional GETs (handled by sendFile),
+ * and carry X-Cache: HIT | MISS | REVALIDATED | STALE
+ */
+const express = require('express');
+const { badRequest, HttpError, asyncHandler } = require('../lib/errors');
+
+/**
+ * Create the /api/proxy router
+ * @param {SampleCache} cache
+ * @param {Object} options
+ * @param {Function} options.isAllowed - (url) => boolean, restricts which URLs may be proxied
+ * @returns {express.Router}
+ */
+function createProxyRouter(cache, { isAllowed = () => true } = {}) {
+    const router = express.Router();
+
+    router.get('/', asyncHandler(async (req, res, next) => {
+        const url = req.query.url;
+
+        if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+            throw badRequest('Query parameter "url" must be an http(s) URL');
+        }
+        if (!isAllowed(url)) {
+            throw new HttpError(403, 'URL is not used by any preset');
+        }
+
+        const entry = await cache.get(url);
+        console.log(`GET /api/proxy - ${entry.status.toUpperCase()} ${url}`);
+
+        res.set({
+            'Content-Type': entry.contentType,
+            'X-Cache': entry.status.toUpperCase(),
+            'Cache-Control': `public, max-age=${cache.maxAge}`
+        });
+        res.sendFile(entry.dataPath, error => {
+            if (error && !res.headersSent) next(error);
+        });
+    }));
+
+    return router;
+}
+
+module.exports = createProxyRouter;
@@ -0,0 +1,165 @@
+/**
+ * Revision routes
+ * History of saved versions of a preset, diffs between them and rollback
+ * (see RevisionStore.js and presetDiff.js)
+ */
+const express = require('express');
+const { badRequest, notFound, unauthorized, forbidden, asyncHandler } = require('../lib/errors');
+const { canRead, canWrite } = require('../lib/access');
+const { diffPresets } = require('../lib/presetDiff');
+const { samplesBaseUrl, resolveSoundUrls } = require('../lib/soundUrls');
+
+/**
+ * Parse a positive integer route parameter
+ * @param {string} value
+ * @param {string} label - For the error message
+ * @returns {number}
+ */
+function parsePositive(value, label) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw badRequest(`Invalid ${label}: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Summary of a revision, without the preset content
+ */
+function summarize({ revision, type, savedAt, restoredFrom, preset }) {
+    return {
+        revision,
+        type,
+        savedAt,
+        ...(restoredFrom !== undefined && { restoredFrom }),
+        name: preset.name,
+        soundCount: Array.isArray(preset.sounds) ? preset.sounds.filter(Boolean).length : 0
+    };
+}
+
+/**
+ * Create the revision router (mounted on /api/presets)
+ * @param {PresetStore} store
+ * @param {Object} deps
+ * @param {RevisionStore} deps.revisions
+ * @returns {express.Router}
+ */
+function createRevisionsRouter(store, { revisions }) {
+    const router = express.Router();
+
+    /**
+     * The preset a history belongs to, as checked for access: the current
+     * version, or the latest revision once the preset is deleted
+     * Throws 404 if there is no such preset or the user may not see it
+     * @returns {Promise<Object>} {preset, deleted}
+     */
+    async function historyOwner(presetId, user) {
+        await store.refresh();
+        const current = store.get(presetId);
+        const list = current ? [] : await revisions.list(presetId);
+        const preset = current || (list.length > 0 ? list[list.length - 1].preset : null);
+
+        if (!preset || !canRead(preset, user)) {
+            throw notFound('Preset not found');
+        }
+        return { preset, deleted: !current };
+    }
+
+    /**
+     * Load one revision, throwing 404 if missing
+     */
+    async function getRevision(presetId, revision) {
+        const found = await revisions.get(presetId, revision);
+        if (!found) {
+            throw notFound(`Revision ${revision} of preset ${presetId} not found`);
+        }
+        return found;
+    }
+
+    // List the revisions of a preset, newest first
+    // History is kept after deletion, so this works for deleted presets too
+    router.get('/:id/revisions', asyncHandler(async (req, res) => {
+        const presetId = parsePositive(req.params.id, 'preset id');
+        await historyOwner(presetId, req.user);
+        const list = await revisions.list(presetId);
+
+        console.log(`GET /api/presets/${presetId}/revisions - Sending ${list.length} revision(s)`);
+        res.json(list.map(summarize).reverse());
+    }));
+
+    // Get a preset as saved in a revision
+    router.get('/:id/revisions/:revision', asyncHandler(async (req, res) => {
+        const presetId = parsePositive(req.params.id, 'preset id');
+        await historyOwner(presetId, req.user);
+        const found = await getRevision(presetId, parsePositive(req.params.revision, 'revision'));
+
+        console.log(`GET /api/presets/${presetId}/revisions/${found.revision} - Sending ${found.type} revision`);
+        res.json({ ...summarize(found), preset: resolveSoundUrls(found.preset, samplesBaseUrl(req)) });
+    }));
+
+    // Diff a revision against the previous one, or against another revision
+    router.get(['/:id/revisions/:from/diff', '/:id/revisions/:from/diff/:to'], asyncHandler(async (req, res) => {
+        const presetId = parsePositive(req.params.id, 'preset id');
+        await historyOwner(presetId, req.user);
+        let fromNumber = parsePositive(req.params.from, 'revision');
+        let toNumber;
+
+        if (req.params.to !== undefined) {
+            toNumber = parsePositive(req.params.to, 'revision');
+        } else {
+            // Changes made by this revision: compare with the one before
+            const list = await revisions.list(presetId);
+            const position = list.findIndex(r => r.revision === fromNumber);
+            if (position < 0) {
+                throw notFound(`Revision ${fromNumber} of preset ${presetId} not found`);
+            }
+            if (position === 0) {
+                throw badRequest(`Revision ${fromNumber} is the oldest one kept, nothing to compare with`);
+            }
+            toNumber = fromNumber;
+            fromNumber = list[position - 1].revision;
+        }
+
+        const from = await getRevision(presetId, fromNumber);
+        const to = await getRevision(presetId, toNumber);
+        const diff = diffPresets(from.preset, to.preset);
+
+        console.log(`GET /api/presets/${presetId}/revisions/${fromNumber}/diff/${toNumber} - ${diff.changed ? 'Changed' : 'Identical'}`);
+        res.json({ from: summarize(from), to: summarize(to), ...diff });
+    }));
+
+    // Restore a revision: its content becomes the current version (recorded as a new revision)
+    // A deleted preset is recreated with its id; owner only, and the owner and visibility are kept
+    router.post('/:id/revisions/:revision/rollback', asyncHandler(async (req, res) => {
+        const presetId = parsePositive(req.params.id, 'preset id');
+        if (!req.user) {
+            throw unauthorized();
+        }
+
+        const { preset: current, deleted } = await historyOwner(presetId, req.user);
+        if (!canWrite(current, req.user)) {
+            throw forbidden('Only the owner can change this preset');
+        }
+
+        const found = await getRevision(presetId, parsePositive(req.params.revision, 'revision'));
+        const context = { restoredFrom: found.revision };
+        const { visibility, ...content } = found.preset;
+        const restored = {
+            ...content,
+            id: presetId,
+            owner: current.owner,
+            ...(current.visibility !== undefined && { visibility: current.visibility })
+        };
+
+        const preset = deleted
+            ? await store.create(restored, context)
+            : await store.replace(presetId, restored, context);
+
+        console.log(`POST /api/presets/${presetId}/revisions/${found.revision}/rollback - Restored preset: ${preset.name}`);
+        res.json(resolveSoundUrls(preset, samplesBaseUrl(req)));
+    }));
+
+    return router;
+}
+
+module.exports = createRevisionsRouter;
@@ -0,0 +1,177 @@
+/**
+ * Sample routes
+ * Upload audio files into the SampleLibrary and list hosted files
+ * (the files themselves are served statically under /samples)
+ */
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const SampleLibrary = require('../lib/SampleLibrary');
+const { HttpError, badRequest, asyncHandler } = require('../lib/errors');
+const { samplesBaseUrl, libraryUrl } = require('../lib/soundUrls');
+const { requireUser } = require('../lib/access');
+
+// Upload limits
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50 MB per file
+const MAX_FILES = 64;
+
+// ?sort= keys: value of a described sample (null for unknown values, listed last)
+const SORT_FIELDS = {
+    name: sample => sample.path.toLowerCase(),
+    size: sample => sample.size,
+    duration: sample => (sample.metadata ? sample.metadata.duration : null),
+    peak: sample => (sample.analysis ? sample.analysis.peak : null),
+    loudness: sample => (sample.analysis ? sample.analysis.loudness : null),
+    tempo: sample => (sample.analysis ? sample.analysis.tempo : null),
+    pitch: sample => (sample.analysis && sample.analysis.rootPitch ? sample.analysis.rootPitch.frequency : null)
+};
+
+/**
+ * Parse the ?sort= query parameter (field, "-" prefix for descending)
+ * @param {*} value
+ * @returns {Object} {field, descending}
+ */
+function parseSort(value) {
+    const param = typeof value === 'string' && value ? value : 'name';
+    const descending = param.startsWith('-');
+    const field = descending ? param.slice(1) : param;
+    if (!SORT_FIELDS[field]) {
+        throw badRequest(`Invalid sort: use one of ${Object.keys(SORT_FIELDS).join(', ')} (prefix with - for descending)`);
+    }
+    return { field, descending };
+}
+
+/**
+ * Parse the optional ?folder= query parameter into a safe library folder
+ * "My Kits/Drums" -> "my-kits/drums"
+ * @param {string} value
+ * @returns {string} Library relative folder ('' for root)
+ */
+function parseFolder(value) {
+    if (!value) return '';
+    if (typeof value !== 'string') {
+        throw badRequest('Invalid folder');
+    }
+
+    return value.split(/[\\/]+/)
+        .filter(segment => segment && segment !== '.' && segment !== '..')
+        .map(segment => SampleLibrary.slugify(segment) || 'folder')
+        .join('/');
+}
+
+/**
+ * Create the /api/samples router
+ * @param {SampleLibrary} library
+ * @param {Object} deps
+ * @param {SampleInfo} deps.sampleInfo - Reads audio metadata of the files
+ * @param {SampleAnalysis} deps.analysis - Loudness, onsets, tempo and pitch of the files
+ * @returns {express.Router}
+ */
+function createSamplesRouter(library, { sampleInfo, analysis }) {
+    const router = express.Router();
+
+    const storage = multer.diskStorage({
+        destination: (req, file, cb) => {
+            const dir = library.resolve(req.uploadFolder);
+            fs.mkdir(dir, { recursive: true }, error => cb(error, dir));
+        },
+        filename: (req, file, cb) => {
+            const relativePath = library.uniquePath(
+                req.uploadFolder,
+                SampleLibrary.sanitizeName(file.originalname),
+                req.reservedPaths
+            );
+            cb(null, path.posix.basename(relativePath));
+        }
+    });
+
+    const upload = multer({
+        storage,
+        limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+        fileFilter: (req, file, cb) => {
+            if (SampleLibrary.isAudioFile(file.originalname)) {
+                cb(null, true);
+            } else {
+                cb(badRequest(`Unsupported file type: ${file.originalname}`, {
+                    allowedExtensions: SampleLibrary.AUDIO_EXTENSIONS
+                }));
+            }
+        }
+    }).fields([
+        { name: 'file', maxCount: 1 },
+        { name: 'files', maxCount: MAX_FILES }
+    ]);
+
+    // List hosted samples, sorted by ?sort= (analyses not computed yet are null and queued)
+    router.get('/', asyncHandler(async (req, res) => {
+        const sort = parseSort(req.query.sort);
+        const baseUrl = samplesBaseUrl(req);
+        const samples = await library.list();
+        const described = await Promise.all(samples.map(async sample => ({
+            ...sample,
+            url: libraryUrl(sample.path, baseUrl),
+            metadata: await sampleInfo.forFile(library.resolve(sample.path)),
+            analysis: await analysis.lookup(library.resolve(sample.path))
+        })));
+
+        const valueOf = SORT_FIELDS[sort.field];
+        described.sort((a, b) => {
+            const [x, y] = [valueOf(a), valueOf(b)];
+            if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+            if (y === null || y === undefined) return -1;
+            const order = x < y ? -1 : x > y ? 1 : 0;
+            return sort.descending ? -order : order;
+        });
+
+        console.log(`GET /api/samples - Sending ${samples.length} sample(s)`);
+        res.json(described);
+    }));
+
+    // Upload one or more audio files (multipart/form-data, field "file" or "files"), signed-in users only
+    router.post('/', requireUser, (req, res, next) => {
+        try {
+            req.uploadFolder = parseFolder(req.query.folder);
+            req.reservedPaths = new Set();
+        } catch (error) {
+            return next(error);
+        }
+
+        upload(req, res, async (error) => {
+            if (error instanceof multer.MulterError) {
+                const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+                return next(new HttpError(status, error.message, { field: error.field }));
+            }
+            if (error) {
+                return next(error);
+            }
+
+            const files = [...(req.files?.file || []), ...(req.files?.files || [])];
+            if (files.length === 0) {
+                return next(badRequest('No audio file uploaded (use field "file" or "files")'));
+            }
+
+            // Analysed in the background, listed once done
+            const baseUrl = samplesBaseUrl(req);
+            const uploaded = await Promise.all(files.map(async file => {
+                const samplePath = library.relative(file.path);
+                analysis.schedule(file.path);
+                return {
+                    name: path.basename(file.originalname, path.extname(file.originalname)),
+                    path: samplePath,
+                    url: libraryUrl(samplePath, baseUrl),
+                    size: file.size,
+                    type: express.static.mime.lookup(file.path),
+                    metadata: await sampleInfo.forFile(file.path)
+                };
+            }));
+
+            console.log(`POST /api/samples - Stored ${uploaded.length} file(s):`, uploaded.map(f => f.path).join(', '));
+            res.status(201).json(uploaded);
+        });
+    });
+
+    return router;
+}
+
+module.exports = createSamplesRouter;
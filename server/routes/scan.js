@@ -0,0 +1,77 @@
+/**
+ * Folder scan routes
+ * Create presets in bulk from a directory tree of audio files on the server
+ * (see folderImport.js for how folders and file names become presets)
+ */
+const path = require('path');
+const express = require('express');
+const { importFolder } = require('../lib/folderImport');
+const { badRequest, asyncHandler } = require('../lib/errors');
+const { DEFAULT_VISIBILITY, requireUser } = require('../lib/access');
+const { samplesBaseUrl, resolveSoundUrls } = require('../lib/soundUrls');
+
+/**
+ * Resolve the requested folder inside the import root
+ * @param {string} importRoot - Absolute path
+ * @param {string} value - Relative folder ('' or missing for the root itself)
+ * @returns {string} Absolute path
+ */
+function resolveScanPath(importRoot, value) {
+    if (value !== undefined && typeof value !== 'string') {
+        throw badRequest('path must be a string');
+    }
+
+    const absolute = path.resolve(importRoot, value || '.');
+    if (absolute !== importRoot && !absolute.startsWith(importRoot + path.sep)) {
+        throw badRequest(`Invalid scan path: ${value}`);
+    }
+    return absolute;
+}
+
+/**
+ * Create the folder scan router (mounted on /api/presets)
+ * @param {PresetStore} store
+ * @param {Object} deps
+ * @param {SampleLibrary} deps.library
+ * @param {SampleInfo} deps.sampleInfo
+ * @param {string} deps.importRoot - Folders outside it cannot be scanned
+ * @returns {express.Router}
+ */
+function createScanRouter(store, { library, sampleInfo, importRoot }) {
+    const router = express.Router();
+    const root = path.resolve(importRoot);
+
+    // Scan a folder of the import root and create one preset per sub folder owned by the signed-in user
+    // Body: {path, dryRun, visibility, category, tags}
+    router.post('/scan', requireUser, asyncHandler(async (req, res) => {
+        const { path: folder, dryRun = false, visibility = DEFAULT_VISIBILITY, category, tags } = req.body || {};
+        const fields = {
+            owner: req.user.id,
+            visibility,
+            ...(category !== undefined && { category }),
+            ...(tags !== undefined && { tags })
+        };
+
+        const result = await importFolder(resolveScanPath(root, folder), { store, library, sampleInfo }, {
+            fields,
+            dryRun: dryRun === true
+        });
+
+        const baseUrl = samplesBaseUrl(req);
+        const summary = `${result.skipped.length} skipped, ${result.unreadable.length} unreadable`;
+        if (dryRun === true) {
+            console.log(`POST /api/presets/scan - Dry run: ${result.planned.length} preset(s) would be created, ${summary}`);
+        } else {
+            console.log(`POST /api/presets/scan - Created ${result.created.length} preset(s), ${result.failed.length} failed, ${summary}`);
+        }
+
+        res.status(dryRun === true || result.created.length === 0 ? 200 : 201).json({
+            ...result,
+            created: result.created.map(preset => resolveSoundUrls(preset, baseUrl))
+        });
+    }));
+
+    return router;
+}
+
+module.exports = createScanRouter;
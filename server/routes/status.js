@@ -0,0 +1,224 @@
+/**
+ * Status routes
+ * Health check, usage statistics (JSON) and the same figures as Prometheus
+ * metrics, for monitoring the server
+ */
+const fs = require('fs');
+const fsp = require('fs/promises');
+const express = require('express');
+const { asyncHandler } = require('../lib/errors');
+const { VISIBILITIES, DEFAULT_VISIBILITY, canRead } = require('../lib/access');
+const { directorySize, fileSize } = require('../lib/diskUsage');
+const { CONTENT_TYPE, formatMetrics } = require('../lib/prometheus');
+
+// Disk usage is measured at most this often (walking the sample library is not free)
+const STORAGE_MAX_AGE = 30 * 1000;
+
+// Most loaded presets listed by /api/stats
+const TOP_PRESETS = 20;
+
+/**
+ * Create the status router (mounted on /api)
+ * @param {Object} deps
+ * @param {string} deps.dataDir - Must be writable for the server to be healthy
+ * @param {UsageStats} deps.usage
+ * @param {PresetStore} deps.store
+ * @param {SampleLibrary} deps.library
+ * @param {SampleCache} deps.cache
+ * @param {SampleInfo} deps.sampleInfo
+ * @param {WaveformPeaks} deps.peaks
+ * @param {SampleAnalysis} deps.analysis
+ * @param {RevisionStore} deps.revisions
+ * @param {UserStore} deps.users
+ * @param {CollectionStore} deps.collections
+ * @param {EventHub} deps.events
+ * @returns {express.Router}
+ */
+function createStatusRouter({ dataDir, usage, store, library, cache, sampleInfo, peaks, analysis, revisions, users, collections, events }) {
+    const router = express.Router();
+
+    let storage = null;
+
+    /**
+     * Bytes and files used by each storage area, measured again once STORAGE_MAX_AGE has passed
+     * @returns {Promise<Object>} {measuredAt, areas: {samples, proxyCache, peaks, analysis, revisions, stores}, total}
+     */
+    async function measureStorage() {
+        if (storage && Date.now() - storage.measuredAt < STORAGE_MAX_AGE) {
+            return storage;
+        }
+
+        const storeFiles = [store.filePath, users.filePath, collections.filePath, usage.filePath];
+        const [samples, proxyCache, peakFiles, analysisFiles, revisionFiles, ...stores] = await Promise.all([
+            directorySize(library.dir),
+            directorySize(cache.dir),
+            directorySize(peaks.dir),
+            directorySize(analysis.dir),
+            directorySize(revisions.dir),
+            ...storeFiles.map(fileSize)
+        ]);
+
+        const areas = {
+            samples,
+            proxyCache,
+            peaks: peakFiles,
+            analysis: analysisFiles,
+            revisions: revisionFiles,
+            stores: stores.reduce((sum, s) => ({ bytes: sum.bytes + s.bytes, files: sum.files + s.files }), { bytes: 0, files: 0 })
+        };
+        const total = Object.values(areas).reduce((sum, area) => sum + area.bytes, 0);
+
+        storage = { measuredAt: Date.now(), areas, total };
+        return storage;
+    }
+
+    /**
+     * Counts of stored things
+     */
+    function countContent() {
+        const presets = store.list();
+        const byVisibility = Object.fromEntries(VISIBILITIES.map(v => [v, 0]));
+        presets.forEach(preset => {
+            byVisibility[preset.owner ? (preset.visibility || DEFAULT_VISIBILITY) : 'public']++;
+        });
+
+        return {
+            presets: presets.length,
+            presetsByVisibility: byVisibility,
+            sounds: presets.reduce((sum, p) => sum + (Array.isArray(p.sounds) ? p.sounds.filter(Boolean).length : 0), 0),
+            users: users.count(),
+            collections: collections.list().length,
+            eventClients: events.size
+        };
+    }
+
+    // Liveness: 200 while the data directory is writable, 503 otherwise
+    router.get('/health', asyncHandler(async (req, res) => {
+        const writable = await fsp.access(dataDir, fs.constants.W_OK).then(() => true, () => false);
+
+        res.status(writable ? 200 : 503).json({
+            status: writable ? 'ok' : 'error',
+            uptime: usage.uptime,
+            startedAt: usage.startedAt.toISOString(),
+            checks: { dataDirWritable: writable }
+        });
+    }));
+
+    // Usage statistics; load counts only name presets the user may see
+    router.get('/stats', asyncHandler(async (req, res) => {
+        await store.refresh();
+        const [{ areas, total }, samples] = await Promise.all([measureStorage(), library.list()]);
+        const counts = countContent();
+
+        const loads = usage.loads()
+            .map(({ id, loads: count }) => ({ preset: store.get(id), loads: count }))
+            .filter(({ preset }) => preset && canRead(preset, req.user))
+            .slice(0, TOP_PRESETS)
+            .map(({ preset, loads: count }) => ({ id: preset.id, name: preset.name, loads: count }));
+
+        console.log('GET /api/stats - Sending server statistics');
+        res.json({
+            uptime: usage.uptime,
+            startedAt: usage.startedAt.toISOString(),
+            ...counts,
+            samples: {
+                count: samples.length,
+                bytes: samples.reduce((sum, sample) => sum + sample.size, 0)
+            },
+            storage: { ...areas, total },
+            caches: {
+                proxy: cache.getStats(),
+                peaks: peaks.getStats(),
+                analysis: analysis.getStats(),
+                sampleInfo: sampleInfo.getStats()
+            },
+            presetLoads: loads,
+            requests: usage.requestCounts()
+        });
+    }));
+
+    // Prometheus text metrics (preset loads are labelled by id only, names may be private)
+    router.get('/metrics', asyncHandler(async (req, res) => {
+        await store.refresh();
+        const { areas } = await measureStorage();
+        const counts = countContent();
+
+        const gauge = (name, help, value) => ({ name, help, type: 'gauge', samples: [{ value }] });
+        // results: label value -> counter name in getStats()
+        const cacheSamples = (cacheName, stats, results) => Object.entries(results).map(([result, key]) => ({
+            labels: { cache: cacheName, result },
+            value: stats[key]
+        }));
+        const proxyStats = cache.getStats();
+        const peakStats = peaks.getStats();
+        const analysisStats = analysis.getStats();
+        const infoStats = sampleInfo.getStats();
+        const requests = usage.requestCounts();
+
+        const metrics = [
+            gauge('audio_presets_uptime_seconds', 'Seconds since the server started', usage.uptime),
+            {
+                name: 'audio_presets_presets',
+                help: 'Stored presets by visibility',
+                type: 'gauge',
+                samples: Object.entries(counts.presetsByVisibility).map(([visibility, value]) => ({ labels: { visibility }, value }))
+            },
+            gauge('audio_presets_sounds', 'Sounds in all presets', counts.sounds),
+            gauge('audio_presets_users', 'User accounts', counts.users),
+            gauge('audio_presets_collections', 'Preset collections', counts.collections),
+            gauge('audio_presets_event_clients', 'Open Server-Sent Events streams', counts.eventClients),
+            gauge('audio_presets_analysis_queue', 'Samples waiting for their analysis', analysisStats.queued),
+            {
+                name: 'audio_presets_storage_bytes',
+                help: 'Disk space used by each storage area',
+                type: 'gauge',
+                samples: Object.entries(areas).map(([area, { bytes }]) => ({ labels: { area }, value: bytes }))
+            },
+            {
+                name: 'audio_presets_storage_files',
+                help: 'Files in each storage area',
+                type: 'gauge',
+                samples: Object.entries(areas).map(([area, { files }]) => ({ labels: { area }, value: files }))
+            },
+            {
+                name: 'audio_presets_cache_requests_total',
+                help: 'Cache lookups by cache and result',
+                type: 'counter',
+                samples: [
+                    ...cacheSamples('proxy', proxyStats, { hit: 'hits', miss: 'misses', revalidated: 'revalidated', stale: 'stale', error: 'errors' }),
+                    ...cacheSamples('peaks', peakStats, { hit: 'hits', miss: 'misses', error: 'errors' }),
+                    ...cacheSamples('analysis', analysisStats, { hit: 'hits', miss: 'misses', error: 'errors' }),
+                    ...cacheSamples('sample_info', infoStats, { hit: 'hits', miss: 'misses' })
+                ]
+            },
+            {
+                name: 'audio_presets_preset_loads_total',
+                help: 'Times each preset was loaded',
+                type: 'counter',
+                samples: usage.loads().map(({ id, loads }) => ({ labels: { preset_id: id }, value: loads }))
+            },
+            {
+                name: 'audio_presets_http_requests_total',
+                help: 'HTTP requests answered, by method and status',
+                type: 'counter',
+                samples: requests.map(({ method, status, count }) => ({ labels: { method, status }, value: count }))
+            },
+            {
+                name: 'audio_presets_http_request_duration_seconds',
+                help: 'Time spent answering HTTP requests, by method and status',
+                type: 'summary',
+                samples: requests.flatMap(({ method, status, count, seconds }) => [
+                    { labels: { method, status }, value: seconds, suffix: '_sum' },
+                    { labels: { method, status }, value: count, suffix: '_count' }
+                ])
+            },
+            gauge('process_resident_memory_bytes', 'Resident memory size in bytes', process.memoryUsage().rss)
+        ];
+
+        res.type(CONTENT_TYPE).send(formatMetrics(metrics));
+    }));
+
+    return router;
+}
+
+module.exports = createStatusRouter;
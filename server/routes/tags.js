@@ -0,0 +1,74 @@
+/**
+ * Tag and category routes
+ * Counts of the tags and categories used by the presets a user may see
+ * and their sounds, for building filters (GET /api/presets?tag= / ?category=)
+ */
+const express = require('express');
+const { asyncHandler } = require('../lib/errors');
+const { CATEGORIES } = require('../lib/presetSchema');
+const { canRead } = require('../lib/access');
+
+/**
+ * Count values over presets and their sounds
+ * @param {Array} presets
+ * @param {Function} valuesOf - (preset or sound) => Array<string>
+ * @returns {Map} value -> {presets, sounds}
+ */
+function countValues(presets, valuesOf) {
+    const counts = new Map();
+    const entry = value => {
+        if (!counts.has(value)) counts.set(value, { presets: 0, sounds: 0 });
+        return counts.get(value);
+    };
+
+    for (const preset of presets) {
+        const sounds = Array.isArray(preset.sounds) ? preset.sounds.filter(Boolean) : [];
+        new Set(valuesOf(preset)).forEach(value => entry(value).presets++);
+        sounds.forEach(sound => new Set(valuesOf(sound)).forEach(value => entry(value).sounds++));
+    }
+    return counts;
+}
+
+/**
+ * Create the tags and categories router (mounted on /api)
+ * @param {PresetStore} store
+ * @returns {express.Router}
+ */
+function createTagsRouter(store) {
+    const router = express.Router();
+
+    // Tags with the number of presets and sounds using them, most used first
+    router.get('/tags', asyncHandler(async (req, res) => {
+        await store.refresh();
+        const presets = store.list().filter(preset => canRead(preset, req.user));
+        const counts = countValues(presets, item => (
+            Array.isArray(item.tags) ? item.tags.map(tag => String(tag).toLowerCase()) : []
+        ));
+
+        const tags = [...counts.entries()]
+            .map(([tag, { presets, sounds }]) => ({ tag, presets, sounds, count: presets + sounds }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+
+        console.log(`GET /api/tags - Sending ${tags.length} tag(s)`);
+        res.json(tags);
+    }));
+
+    // Every known category with the number of presets and sounds in it
+    router.get('/categories', asyncHandler(async (req, res) => {
+        await store.refresh();
+        const presets = store.list().filter(preset => canRead(preset, req.user));
+        const counts = countValues(presets, item => (item.category ? [item.category] : []));
+
+        const categories = CATEGORIES.map(category => {
+            const { presets, sounds } = counts.get(category) || { presets: 0, sounds: 0 };
+            return { category, presets, sounds, count: presets + sounds };
+        });
+
+        console.log(`GET /api/categories - Sending ${categories.length} categories`);
+        res.json(categories);
+    }));
+
+    return router;
+}
+
+module.exports = createTagsRouter;
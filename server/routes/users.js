@@ -0,0 +1,52 @@
+/**
+ * User routes
+ * Local accounts and their API tokens (see UserStore.js and access.js)
+ *
+ * Sign-up is open unless SIGNUP=closed; with closed sign-up only the first
+ * account can be created without a token, later ones by signed-in users.
+ */
+const express = require('express');
+const { unauthorized, asyncHandler } = require('../lib/errors');
+const { requireUser } = require('../lib/access');
+
+/**
+ * Create the /api/users router
+ * @param {UserStore} users
+ * @param {Object} options
+ * @param {boolean} options.openSignup - Anyone may create an account (default true)
+ * @returns {express.Router}
+ */
+function createUsersRouter(users, { openSignup = true } = {}) {
+    const router = express.Router();
+
+    // Create an account; the response holds its API token, shown only once
+    router.post('/', asyncHandler(async (req, res) => {
+        if (!openSignup && !req.user && users.count() > 0) {
+            throw unauthorized('Sign-up is closed, ask a signed-in user to create your account');
+        }
+
+        const { user, token } = await users.create(req.body || {});
+
+        console.log(`POST /api/users - Created user ${user.id}: ${user.username}`);
+        res.status(201)
+            .location(`${req.baseUrl}/${user.id}`)
+            .json({ ...user, token });
+    }));
+
+    // Current user
+    router.get('/me', requireUser, (req, res) => {
+        res.json(req.user);
+    });
+
+    // Replace the current user's token (the old one stops working)
+    router.post('/me/token', requireUser, asyncHandler(async (req, res) => {
+        const token = await users.rotateToken(req.user.id);
+
+        console.log(`POST /api/users/me/token - New token for ${req.user.username}`);
+        res.json({ ...req.user, token });
+    }));
+
+    return router;
+}
+
+module.exports = createUsersRouter;
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * Create presets from a directory tree of audio files, one per folder
+ *
+ *   npm run import-folder -- <folder> [--owner <username>] [--visibility private|shared|public]
+ *                            [--category <category>] [--tag <tag>]... [--dry-run]
+ *
+ * Uses the same DATA_DIR and SAMPLES_DIR as the server; a running server
+ * picks the new presets up on its next request.
+ */
+const path = require('path');
+const PresetStore = require('../lib/PresetStore');
+const SampleLibrary = require('../lib/SampleLibrary');
+const SampleCache = require('../lib/SampleCache');
+const SampleInfo = require('../lib/SampleInfo');
+const UserStore = require('../lib/UserStore');
+const defaultPresets = require('../lib/defaultPresets');
+const { validatePreset } = require('../lib/presetSchema');
+const { importFolder } = require('../lib/folderImport');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+const USAGE = 'Usage: npm run import-folder -- <folder> [--owner <username>] [--visibility private|shared|public] '
+    + '[--category <category>] [--tag <tag>]... [--dry-run]';
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args
+ * @returns {Object} {folder, owner, visibility, category, tags, dryRun}
+ */
+function parseArgs(args) {
+    const options = { folder: null, owner: null, visibility: null, category: null, tags: [], dryRun: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return args[++i];
+        };
+
+        if (arg === '--owner') options.owner = value();
+        else if (arg === '--visibility') options.visibility = value();
+        else if (arg === '--category') options.category = value();
+        else if (arg === '--tag') options.tags.push(value());
+        else if (arg === '--dry-run') options.dryRun = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else if (options.folder === null) options.folder = arg;
+        else throw new Error(`Unexpected argument ${arg}`);
+    }
+
+    if (!options.folder) {
+        throw new Error('Missing folder');
+    }
+    return options;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exit(2);
+    }
+
+    const library = new SampleLibrary(process.env.SAMPLES_DIR || path.join(DATA_DIR, 'samples'));
+    const store = new PresetStore(path.join(DATA_DIR, 'presets.json'), defaultPresets, {
+        validate: preset => validatePreset(preset, { sampleExists: p => library.existsSync(p) })
+    });
+    const users = new UserStore(path.join(DATA_DIR, 'users.json'));
+    const cache = new SampleCache(path.join(DATA_DIR, 'cache'));
+    const sampleInfo = new SampleInfo({ library, cache });
+
+    await Promise.all([users.init(), store.init(), library.init()]);
+
+    const fields = {};
+    if (options.owner) {
+        const owner = users.findByUsername(options.owner);
+        if (!owner) {
+            throw new Error(`Unknown user: ${options.owner}`);
+        }
+        fields.owner = owner.id;
+        fields.visibility = 'private';
+    }
+    if (options.visibility) fields.visibility = options.visibility;
+    if (options.category) fields.category = options.category;
+    if (options.tags.length > 0) fields.tags = options.tags;
+
+    const result = await importFolder(path.resolve(options.folder), { store, library, sampleInfo }, {
+        fields,
+        dryRun: options.dryRun
+    });
+
+    if (options.dryRun) {
+        console.log(`🔎 Dry run: ${result.planned.length} preset(s) would be created`);
+        result.planned.forEach(preset => {
+            console.log(`   ${preset.name} (${preset.sounds.length} sound(s))`);
+            preset.sounds.forEach((sound, i) => {
+                console.log(`      ${String(i + 1).padStart(2)}. ${sound.name}${sound.role ? ` [${sound.role}]` : ''} <- ${sound.file}`);
+            });
+        });
+    } else {
+        console.log(`✅ Created ${result.created.length} preset(s)`);
+        result.created.forEach(preset => {
+            console.log(`   #${preset.id} ${preset.name} (${preset.sounds.length} sound(s))`);
+        });
+    }
+
+    result.failed.forEach(({ name, error, errors }) => {
+        console.error(`❌ ${name}: ${error}`);
+        (errors || []).forEach(e => console.error(`      ${e.field}: ${e.message}`));
+    });
+    if (result.skipped.length > 0) {
+        console.log(`⏭️  Skipped ${result.skipped.length} file(s):`);
+        result.skipped.forEach(({ file, reason }) => console.log(`   ${file} (${reason})`));
+    }
+    if (result.unreadable.length > 0) {
+        console.warn(`⚠️  ${result.unreadable.length} unreadable file(s):`);
+        result.unreadable.forEach(({ file, error }) => console.warn(`   ${file} (${error})`));
+    }
+
+    if (result.failed.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    (error.details?.errors || []).forEach(e => console.error(`   ${e.field}: ${e.message}`));
+    process.exit(1);
+});
@@ -1,154 +1,260 @@
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const PresetStore = require('./lib/PresetStore');
+const SampleLibrary = require('./lib/SampleLibrary');
+const SampleCache = require('./lib/SampleCache');
+const SampleInfo = require('./lib/SampleInfo');
+const WaveformPeaks = require('./lib/WaveformPeaks');
+const SampleAnalysis = require('./lib/SampleAnalysis');
+const EventHub = require('./lib/EventHub');
+const RevisionStore = require('./lib/RevisionStore');
+const CollectionStore = require('./lib/CollectionStore');
+const UserStore = require('./lib/UserStore');
+const UsageStats = require('./lib/UsageStats');
+const defaultPresets = require('./lib/defaultPresets');
+const { validatePreset } = require('./lib/presetSchema');
+const { validateCollection } = require('./lib/collectionSchema');
+const { authenticate, canRead } = require('./lib/access');
+const createPresetsRouter = require('./routes/presets');
+const createBundlesRouter = require('./routes/bundles');
+const createPeaksRouter = require('./routes/peaks');
+const createRevisionsRouter = require('./routes/revisions');
+const createScanRouter = require('./routes/scan');
+const createForksRouter = require('./routes/forks');
+const createCollectionsRouter = require('./routes/collections');
+const createTagsRouter = require('./routes/tags');
+const createUsersRouter = require('./routes/users');
+const createSamplesRouter = require('./routes/samples');
+const createProxyRouter = require('./routes/proxy');
+const createEventsRouter = require('./routes/events');
+const createStatusRouter = require('./routes/status');
+const createOpenApiRouter = require('./routes/openapi');
+const { SAMPLES_ROUTE, PROXY_ROUTE } = require('./lib/soundUrls');
+const { notFound, errorHandler } = require('./lib/errors');
 
 const app = express();
-const PORT = 3000;
+const PORT = process.env.PORT || 3000;
 
-// Enable CORS for all routes (allows Example3 to fetch from this server)
-app.use(cors());
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
-// Parse JSON bodies
-app.use(express.json());
+// Local accounts, authenticated by API tokens
+const users = new UserStore(path.join(DATA_DIR, 'users.json'));
 
-// Sample presets data - each preset contains a collection of audio files
-const presets = [
-    {
-        id: 1,
-        name: "Drum Kit 1",
-        description: "Basic drum sounds from Wikimedia",
-        sounds: [
-            {
-                name: "Kick",
-                url: "https://upload.wikimedia.org/wikipedia/commons/a/a3/Hardstyle_kick.wav"
-            },
-            {
-                name: "Snare",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/c/c7/Redoblante_de_marcha.ogg/Redoblante_de_marcha.ogg.mp3"
-            },
-            {
-                name: "Hi-Hat Closed",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/c/c9/Hi-Hat_Cerrado.ogg/Hi-Hat_Cerrado.ogg.mp3"
-            },
-            {
-                name: "Hi-Hat Open",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/0/07/Hi-Hat_Abierto.ogg/Hi-Hat_Abierto.ogg.mp3"
-            },
-            {
-                name: "Tom High",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/3/3c/Tom_Agudo.ogg/Tom_Agudo.ogg.mp3"
-            },
-            {
-                name: "Tom Mid",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/a/a4/Tom_Medio.ogg/Tom_Medio.ogg.mp3"
-            },
-            {
-                name: "Tom Low",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/8/8d/Tom_Grave.ogg/Tom_Grave.ogg.mp3"
-            },
-            {
-                name: "Crash",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/6/68/Crash.ogg/Crash.ogg.mp3"
-            },
-            {
-                name: "Ride",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/2/24/Ride.ogg/Ride.ogg.mp3"
-            }
-        ]
-    },
-    {
-        id: 2,
-        name: "Percussion Kit",
-        description: "Latin percussion sounds",
-        sounds: [
-            {
-                name: "Bongo High",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/c/c7/Redoblante_de_marcha.ogg/Redoblante_de_marcha.ogg.mp3"
-            },
-            {
-                name: "Bongo Low",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/8/8d/Tom_Grave.ogg/Tom_Grave.ogg.mp3"
-            },
-            {
-                name: "Cowbell",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/c/c9/Hi-Hat_Cerrado.ogg/Hi-Hat_Cerrado.ogg.mp3"
-            },
-            {
-                name: "Shaker",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/0/07/Hi-Hat_Abierto.ogg/Hi-Hat_Abierto.ogg.mp3"
-            }
-        ]
-    },
-    {
-        id: 3,
-        name: "Electronic Kit",
-        description: "Electronic and synth drums",
-        sounds: [
-            {
-                name: "Bass Drum",
-                url: "https://upload.wikimedia.org/wikipedia/commons/a/a3/Hardstyle_kick.wav"
-            },
-            {
-                name: "Snare Electronic",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/c/c7/Redoblante_de_marcha.ogg/Redoblante_de_marcha.ogg.mp3"
-            },
-            {
-                name: "Hi-Hat",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/c/c9/Hi-Hat_Cerrado.ogg/Hi-Hat_Cerrado.ogg.mp3"
-            },
-            {
-                name: "Clap",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/3/3c/Tom_Agudo.ogg/Tom_Agudo.ogg.mp3"
-            },
-            {
-                name: "Crash Cymbal",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/6/68/Crash.ogg/Crash.ogg.mp3"
-            },
-            {
-                name: "Ride Cymbal",
-                url: "https://upload.wikimedia.org/wikipedia/commons/transcoded/2/24/Ride.ogg/Ride.ogg.mp3"
-            }
-        ]
-    }
-];
+// Uploaded audio files, served statically and referenced by presets with relative paths
+const library = new SampleLibrary(process.env.SAMPLES_DIR || path.join(DATA_DIR, 'samples'));
 
-// Routes
+// On-disk preset store (created from the default presets on first start)
+// Presets are checked against the schema, including that hosted samples exist
+const store = new PresetStore(path.join(DATA_DIR, 'presets.json'), defaultPresets, {
+    validate: preset => validatePreset(preset, { sampleExists: p => library.existsSync(p) })
+});
+
+// Folders that POST /api/presets/scan may turn into presets (the sample library by default)
+const IMPORT_ROOT = process.env.IMPORT_ROOT || library.dir;
+
+// Every saved version of each preset, for diffs and rollback
+const revisions = new RevisionStore(path.join(DATA_DIR, 'revisions'));
+revisions.attach(store);
+
+// Named groups of presets (deleted presets leave their collections)
+const collections = new CollectionStore(path.join(DATA_DIR, 'collections.json'), {
+    validate: collection => validateCollection(collection, { presetExists: id => store.get(id) !== null })
+});
+collections.attach(store);
 
-// Get all presets
-app.get('/api/presets', (req, res) => {
-    console.log('GET /api/presets - Sending all presets');
-    res.json(presets);
+// Disk cache for remote samples fetched through the proxy
+const cache = new SampleCache(path.join(DATA_DIR, 'cache'), {
+    maxAge: Number(process.env.PROXY_MAX_AGE) || 24 * 60 * 60
 });
 
-// Get a specific preset by ID
-app.get('/api/presets/:id', (req, res) => {
-    const presetId = parseInt(req.params.id);
-    const preset = presets.find(p => p.id === presetId);
-    
-    if (preset) {
-        console.log(`GET /api/presets/${presetId} - Sending preset: ${preset.name}`);
-        res.json(preset);
+// Audio header reader (duration, sample rate, channels...) for hosted and cached samples
+const sampleInfo = new SampleInfo({ library, cache });
+
+// Precomputed waveform peaks, cached on disk
+const peaks = new WaveformPeaks(path.join(DATA_DIR, 'peaks'));
+
+// Peak level, loudness, onsets, tempo and root pitch of samples, computed in the background
+const analysis = new SampleAnalysis(path.join(DATA_DIR, 'analysis'), { sampleInfo });
+analysis.attach(store);
+
+// Push channel: preset changes are broadcast to open GUIs allowed to see the preset
+const events = new EventHub();
+store.on('change', ({ type, preset, previous }) => {
+    if (type === 'reloaded') {
+        events.broadcast('presets-reloaded', {});
     } else {
-        console.log(`GET /api/presets/${presetId} - Preset not found`);
-        res.status(404).json({ error: 'Preset not found' });
+        const canSee = user => canRead(preset, user) || Boolean(previous && canRead(previous, user));
+        events.broadcast(`preset-${type}`, { id: preset.id, name: preset.name }, canSee);
     }
 });
 
+// Preset load and request counters for the stats and metrics endpoints
+const usage = new UsageStats(path.join(DATA_DIR, 'usage.json'));
+usage.attach(store);
+
+// Only URLs used by a preset (sounds and their velocity layers) may be proxied, unless PROXY_ALLOW_ANY=true
+const usesUrl = (sound, url) => Boolean(sound) && (sound.url === url
+    || (Array.isArray(sound.layers) && sound.layers.some(layer => layer && layer.url === url)));
+const isProxyAllowed = url => process.env.PROXY_ALLOW_ANY === 'true'
+    || store.list().some(preset => (preset.sounds || []).some(sound => usesUrl(sound, url)));
+
+// Enable CORS for all routes (allows Example3 to fetch from this server)
+// Pagination, validator and cache headers are exposed so browser clients can read them
+app.use(cors({
+    exposedHeaders: ['X-Total-Count', 'X-Next-Cursor', 'Link', 'ETag', 'X-Cache', 'X-Bundle-Skipped', 'Content-Disposition']
+}));
+
+// Count requests by method and status
+app.use(usage.middleware());
+
+// Parse JSON bodies
+app.use(express.json());
+
+// Identify the user from the API token (req.user, null when anonymous)
+app.use(authenticate(users));
+
+// Routes
+
+// Kit bundles (ZIP export / import), folder scans, waveform peaks and analysis, revisions, forks, then presets CRUD
+app.use('/api/presets', createBundlesRouter(store, { library, cache }));
+app.use('/api/presets', createScanRouter(store, { library, sampleInfo, importRoot: IMPORT_ROOT }));
+app.use('/api/presets', createPeaksRouter(store, { peaks, analysis, library, cache }));
+app.use('/api/presets', createRevisionsRouter(store, { revisions }));
+app.use('/api/presets', createForksRouter(store, { revisions, users }));
+app.use('/api/presets', createPresetsRouter(store, { sampleInfo, analysis, collections, users, usage }));
+
+// Accounts
+app.use('/api/users', createUsersRouter(users, { openSignup: process.env.SIGNUP !== 'closed' }));
+
+// Collections, tag and category counts
+app.use('/api/collections', createCollectionsRouter(collections, { store }));
+app.use('/api', createTagsRouter(store));
+
+// Sample upload and listing
+app.use('/api/samples', createSamplesRouter(library, { sampleInfo, analysis }));
+
+// Caching proxy for remote samples
+app.use(PROXY_ROUTE, createProxyRouter(cache, { isAllowed: isProxyAllowed }));
+
+// Server-Sent Events stream
+app.use('/api/events', createEventsRouter(events));
+
+// Health, statistics and Prometheus metrics
+app.use('/api', createStatusRouter({
+    dataDir: DATA_DIR, usage, store, library, cache, sampleInfo, peaks, analysis, revisions, users, collections, events
+}));
+
+// OpenAPI description, and the browser client built on it
+app.use(createOpenApiRouter());
+app.use('/client', express.static(path.join(__dirname, 'client')));
+
+// Hosted audio files (Content-Type, Content-Length and Range handled by express.static)
+app.use(SAMPLES_ROUTE, express.static(library.dir));
+
 // Root endpoint
 app.get('/', (req, res) => {
     res.json({
         message: 'Audio Presets API Server',
         endpoints: {
-            'GET /api/presets': 'Get all presets',
-            'GET /api/presets/:id': 'Get a specific preset by ID'
+            'POST /api/users': 'Create an account ({username, displayName}), returns its API token',
+            'GET /api/users/me': 'Get the signed-in user (Authorization: Bearer <token>)',
+            'POST /api/users/me/token': 'Replace the API token of the signed-in user',
+            'GET /api/presets': 'Get presets visible to the user (?q=, ?tag=, ?category=, ?collection=, ?owner=me, ?sort=, ?limit=, ?offset= or ?cursor=, ?validate=true, ?proxy=true; ETag, 304 when unchanged)',
+            'GET /api/presets/:id': 'Get a specific preset by ID (?proxy=true routes remote sounds through the proxy; ETag, 304 when unchanged)',
+            'POST /api/presets': 'Create a preset owned by the signed-in user (visibility: private, shared or public)',
+            'PUT /api/presets/:id': 'Replace a preset (owner only)',
+            'PATCH /api/presets/:id': 'Update some fields of a preset (owner only)',
+            'DELETE /api/presets/:id': 'Delete a preset (owner only)',
+            'GET /api/presets/:id/export': 'Download a preset and its sounds as a ZIP archive',
+            'POST /api/presets/import': 'Create a private preset from a ZIP archive (multipart field "file" or application/zip body, ?visibility= to share it)',
+            'POST /api/presets/scan': 'Create one preset per folder of audio files under IMPORT_ROOT ({path, dryRun, visibility, category, tags})',
+            'GET /api/presets/:id/sounds/:index/peaks': 'Get multi-resolution waveform peaks of a sound',
+            'GET /api/presets/:id/sounds/:index/analysis': 'Get the peak level, loudness, onsets, tempo and root pitch of a sound',
+            'GET /api/presets/:id/revisions': 'List saved versions of a preset (newest first)',
+            'GET /api/presets/:id/revisions/:revision': 'Get a preset as saved in a revision',
+            'GET /api/presets/:id/revisions/:from/diff/:to': 'Diff two revisions (without :to, diff a revision against the previous one)',
+            'POST /api/presets/:id/revisions/:revision/rollback': 'Restore a revision (recreates a deleted preset)',
+            'POST /api/presets/:id/fork': 'Copy a preset into a new one remembering its origin ({name, visibility})',
+            'GET /api/presets/:id/lineage': 'Get the presets a preset was forked from, its forks and the upstream changes',
+            'POST /api/presets/:id/pull': 'Merge the changes made to the original into a fork ({resolve: "ours" | "theirs"} on conflicts)',
+            'GET /api/tags': 'List tags of presets and sounds with counts',
+            'GET /api/categories': 'List categories with counts',
+            'GET /api/collections': 'List preset collections',
+            'GET /api/collections/:id': 'Get a collection with its presets',
+            'POST /api/collections': 'Create a collection ({name, description, presetIds})',
+            'PATCH /api/collections/:id': 'Update a collection',
+            'DELETE /api/collections/:id': 'Delete a collection (presets are kept)',
+            'POST /api/collections/:id/presets': 'Add a preset to a collection ({presetId})',
+            'DELETE /api/collections/:id/presets/:presetId': 'Remove a preset from a collection',
+            'GET /api/samples': 'List hosted audio files with their analysis (?sort=name, size, duration, peak, loudness, tempo or pitch)',
+            'POST /api/samples': 'Upload audio files (multipart, field "file" or "files", optional ?folder=)',
+            'GET /api/health': 'Health check (503 when the data directory is not writable)',
+            'GET /api/stats': 'Uptime, counts, storage used, cache hit rates and preset load counts',
+            'GET /api/metrics': 'The same statistics as Prometheus text metrics',
+            'GET /samples/:path': 'Download a hosted audio file',
+            'GET /api/proxy?url=': 'Fetch a remote sample through the server cache',
+            'GET /api/events': 'Server-Sent Events stream of preset changes',
+            'GET /openapi.json': 'OpenAPI description of every route and schema (also /api/openapi.json)',
+            'GET /client/presetClient.js': 'Browser client for the API (ES module)'
         }
     });
 });
 
-// Start the server
-app.listen(PORT, () => {
-    console.log(`🎵 Audio Presets Server is running on http://localhost:${PORT}`);
-    console.log(`📡 API Endpoints:`);
-    console.log(`   - GET http://localhost:${PORT}/api/presets`);
-    console.log(`   - GET http://localhost:${PORT}/api/presets/:id`);
-    console.log(`\n💡 Try opening http://localhost:${PORT}/api/presets in your browser!`);
-});
+// Unknown routes and errors as JSON
+app.use((req, res, next) => next(notFound(`Cannot ${req.method} ${req.path}`)));
+app.use(errorHandler);
+
+// Start the server once the store is loaded
+Promise.all([users.init(), store.init(), library.init(), cache.init(), peaks.init(), analysis.init(), revisions.init(), collections.init(), usage.init()])
+    .then(() => {
+        app.listen(PORT, () => {
+            console.log(`🎵 Audio Presets Server is running on http://localhost:${PORT}`);
+            console.log(`📡 API Endpoints:`);
+            console.log(`   - POST   http://localhost:${PORT}/api/users`);
+            console.log(`   - GET    http://localhost:${PORT}/api/users/me`);
+            console.log(`   - POST   http://localhost:${PORT}/api/users/me/token`);
+            console.log(`   - GET    http://localhost:${PORT}/api/presets`);
+            console.log(`   - GET    http://localhost:${PORT}/api/presets/:id`);
+            console.log(`   - POST   http://localhost:${PORT}/api/presets`);
+            console.log(`   - PUT    http://localhost:${PORT}/api/presets/:id`);
+            console.log(`   - PATCH  http://localhost:${PORT}/api/presets/:id`);
+            console.log(`   - DELETE http://localhost:${PORT}/api/presets/:id`);
+            console.log(`   - GET    http://localhost:${PORT}/api/presets/:id/export`);
+            console.log(`   - POST   http://localhost:${PORT}/api/presets/import`);
+            console.log(`   - POST   http://localhost:${PORT}/api/presets/scan`);
+            console.log(`   - GET    http://localhost:${PORT}/api/presets/:id/sounds/:index/peaks`);
+            console.log(`   - GET    http://localhost:${PORT}/api/presets/:id/sounds/:index/analysis`);
+            console.log(`   - GET    http://localhost:${PORT}/api/presets/:id/revisions`);
+            console.log(`   - GET    http://localhost:${PORT}/api/presets/:id/revisions/:revision`);
+            console.log(`   - GET    http://localhost:${PORT}/api/presets/:id/revisions/:from/diff/:to`);
+            console.log(`   - POST   http://localhost:${PORT}/api/presets/:id/revisions/:revision/rollback`);
+            console.log(`   - POST   http://localhost:${PORT}/api/presets/:id/fork`);
+            console.log(`   - GET    http://localhost:${PORT}/api/presets/:id/lineage`);
+            console.log(`   - POST   http://localhost:${PORT}/api/presets/:id/pull`);
+            console.log(`   - GET    http://localhost:${PORT}/api/tags`);
+            console.log(`   - GET    http://localhost:${PORT}/api/categories`);
+            console.log(`   - GET    http://localhost:${PORT}/api/collections`);
+            console.log(`   - GET    http://localhost:${PORT}/api/collections/:id`);
+            console.log(`   - POST   http://localhost:${PORT}/api/collections`);
+            console.log(`   - PATCH  http://localhost:${PORT}/api/collections/:id`);
+            console.log(`   - DELETE http://localhost:${PORT}/api/collections/:id`);
+            console.log(`   - POST   http://localhost:${PORT}/api/collections/:id/presets`);
+            console.log(`   - DELETE http://localhost:${PORT}/api/collections/:id/presets/:presetId`);
+            console.log(`   - GET    http://localhost:${PORT}/api/samples`);
+            console.log(`   - POST   http://localhost:${PORT}/api/samples`);
+            console.log(`   - GET    http://localhost:${PORT}/api/health`);
+            console.log(`   - GET    http://localhost:${PORT}/api/stats`);
+            console.log(`   - GET    http://localhost:${PORT}/api/metrics`);
+            console.log(`   - GET    http://localhost:${PORT}${SAMPLES_ROUTE}/:path`);
+            console.log(`   - GET    http://localhost:${PORT}${PROXY_ROUTE}?url=`);
+            console.log(`   - GET    http://localhost:${PORT}/api/events`);
+            console.log(`   - GET    http://localhost:${PORT}/openapi.json`);
+            console.log(`   - GET    http://localhost:${PORT}/client/presetClient.js`);
+            console.log(`\n💡 Try opening http://localhost:${PORT}/api/presets in your browser!`);
+        });
+    })
+    .catch(error => {
+        console.error('Failed to load preset store:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,43 @@
+/**
+ * Tests of the preset merge of forks (run with npm test)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergePresets } = require('../lib/presetDiff');
+
+const sound = name => ({ name, url: `drums/${name}.wav` });
+
+test('a pad removed upstream leaves an empty pad, later pads keep their position', () => {
+    const base = { name: 'Kit', sounds: [sound('kick'), sound('snare'), sound('hat')] };
+    const ours = { name: 'My kit', sounds: [sound('kick'), sound('snare'), sound('hat'), sound('clap')] };
+    const theirs = { name: 'Kit', sounds: [sound('kick'), null, sound('hat')] };
+
+    const { preset, applied, conflicts } = mergePresets(base, ours, theirs);
+
+    assert.deepStrictEqual(preset.sounds, [sound('kick'), null, sound('hat'), sound('clap')]);
+    assert.deepStrictEqual(applied.map(change => change.field), ['sounds[1]']);
+    assert.deepStrictEqual(conflicts, []);
+});
+
+test('pads removed at the end leave no empty pads behind', () => {
+    const base = { name: 'Kit', sounds: [sound('kick'), sound('snare'), sound('hat')] };
+    const ours = { name: 'Kit', sounds: [sound('kick'), sound('snare'), sound('hat')] };
+    const theirs = { name: 'Kit', sounds: [sound('kick')] };
+
+    const { preset } = mergePresets(base, ours, theirs);
+
+    assert.deepStrictEqual(preset.sounds, [sound('kick')]);
+});
+
+test('a pad removed in the fork and changed upstream is a conflict', () => {
+    const base = { name: 'Kit', sounds: [sound('kick'), sound('snare')] };
+    const ours = { name: 'Kit', sounds: [sound('kick'), null] };
+    const theirs = { name: 'Kit', sounds: [sound('kick'), sound('rim')] };
+
+    const kept = mergePresets(base, ours, theirs);
+    assert.deepStrictEqual(kept.preset.sounds, [sound('kick')]);
+    assert.deepStrictEqual(kept.conflicts.map(conflict => conflict.field), ['sounds[1]']);
+
+    const forced = mergePresets(base, ours, theirs, { force: true });
+    assert.deepStrictEqual(forced.preset.sounds, [sound('kick'), sound('rim')]);
+});